@@ -14,7 +14,7 @@ async function ensureSystemAutomationsForOwner(ownerId) {
     create: {
       ownerId,
       title: 'Birthday wishes',
-      message: 'Χρόνια πολλά, {firstName}! 🎉 Σας περιμένουμε με ειδική προσφορά.',
+      message: 'Χρόνια πολλά, {{firstName|vocative|φίλε μας}}! 🎉 Σας περιμένουμε με ειδική προσφορά.',
       trigger: 'birthday',
       isActive: false,
       isSystem: true,
@@ -29,7 +29,7 @@ async function ensureSystemAutomationsForOwner(ownerId) {
     create: {
       ownerId,
       title: 'Name day wishes',
-      message: 'Χρόνια πολλά για τη γιορτή σας, {firstName}! 🎉',
+      message: 'Χρόνια πολλά για τη γιορτή σας, {{firstName|vocative}}! 🎉',
       trigger: 'nameday',
       isActive: false,
       isSystem: true,
@@ -0,0 +1,21 @@
+// apps/api/src/lib/csv.js
+// CSV output shared by exports and reports.
+
+// Cells a spreadsheet may evaluate as a formula, unless they are a plain
+// number or an E.164 phone (+3069...)
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+function csvCell(v) {
+  if (v === null || typeof v === 'undefined') return '';
+  const s = v instanceof Date ? v.toISOString() : String(v);
+  // Quote when needed; neutralize spreadsheet formulas (=, +, -, @, tab, CR)
+  const safe = FORMULA_START.test(s) && !PLAIN_NUMBER.test(s) ? `'${s}` : s;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function csvRow(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+module.exports = { csvCell, csvRow };
@@ -0,0 +1,81 @@
+// apps/api/src/lib/messageLinks.js
+// Per-message short links (offer page + opt-out) and final SMS text.
+const crypto = require('node:crypto');
+const { renderTemplate } = require('./templateEngine');
+
+// Public origin of the API, which serves /o/* and /u/* (routes/links.js), e.g. https://go.example.gr.
+// Required in production: the links go out in SMS and can't be fixed afterwards.
+if (!process.env.LINK_BASE_URL && process.env.NODE_ENV === 'production') {
+  throw new Error('LINK_BASE_URL must be set in production (public URL of the API for SMS links)');
+}
+const LINK_BASE_URL = (process.env.LINK_BASE_URL || `http://localhost:${process.env.PORT || 3001}`)
+  .replace(/\/+$/, '');
+const OPT_OUT_LABEL = process.env.SMS_OPT_OUT_LABEL || 'STOP';
+
+function sha256Hex(s) {
+  return crypto.createHash('sha256').update(s).digest('hex');
+}
+
+/** 12-char base64url id for CampaignMessage.trackingId */
+function newTrackingId() {
+  return crypto.randomBytes(9).toString('base64url');
+}
+
+/**
+ * Per-message opt-out token. Only the hash is stored (CampaignMessage.unsubscribeTokenHash);
+ * the raw token lives in the SMS text alone.
+ */
+function newMessageUnsubToken() {
+  const raw = crypto.randomBytes(12).toString('base64url');
+  return { raw, hash: sha256Hex(raw) };
+}
+
+function offerUrl(trackingId) {
+  return `${LINK_BASE_URL}/o/${trackingId}`;
+}
+
+function unsubscribeUrl(rawToken) {
+  return `${LINK_BASE_URL}/u/${rawToken}`;
+}
+
+/**
+ * Render the final text of one campaign message.
+ * {{offerUrl}} / {{unsubscribeUrl}} are placed where the template puts them;
+ * a link the template doesn't reference is appended on its own line.
+ */
+function buildMessageText(templateText, { contact, owner, trackingId, unsubToken }) {
+  const message = {
+    offerUrl: offerUrl(trackingId),
+    unsubscribeUrl: unsubscribeUrl(unsubToken),
+  };
+  let text = renderTemplate(templateText, { contact, owner, message }).trim();
+
+  if (!/\{\{\s*offerUrl\b/.test(templateText)) text += `\n${message.offerUrl}`;
+  if (!/\{\{\s*unsubscribeUrl\b/.test(templateText)) text += `\n${OPT_OUT_LABEL}: ${message.unsubscribeUrl}`;
+
+  return text;
+}
+
+/**
+ * The offer as shown on the public offer page: the template rendered without
+ * the message's links. The opt-out link must never leave the SMS — anyone the
+ * offer link is forwarded to could unsubscribe the recipient.
+ */
+function buildOfferText(templateText, { contact, owner }) {
+  // The opt-out line goes whole (a bare "STOP:" means nothing without its link)
+  const text = String(templateText || '')
+    .split('\n')
+    .filter((line) => !/\{\{\s*unsubscribeUrl\b/.test(line))
+    .join('\n');
+  return renderTemplate(text, { contact, owner }).replace(/[ \t]+$/gm, '').trim();
+}
+
+module.exports = {
+  sha256Hex,
+  newTrackingId,
+  newMessageUnsubToken,
+  offerUrl,
+  unsubscribeUrl,
+  buildMessageText,
+  buildOfferText,
+};
@@ -1,5 +1,5 @@
 // Strong phone parsing/validation with libphonenumber-js
-const { parsePhoneNumberFromString } = require('libphonenumber-js')
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js')
 
 /**
  * Normalize any plausible input to E.164 (+<countrycode><nsn>)
@@ -26,4 +26,4 @@ function isE164(v) {
   return typeof v === 'string' && /^\+[1-9]\d{6,14}$/.test(v)
 }
 
-module.exports = { normalizeToE164, isE164 }
+module.exports = { normalizeToE164, isE164, isSupportedCountry }
@@ -0,0 +1,149 @@
+// apps/api/src/lib/recurrence.js
+// Recurring schedules: 5-field cron expressions or a subset of iCalendar RRULE,
+// both normalized to cron (what BullMQ job schedulers run on) + an IANA timezone.
+const cronParser = require('cron-parser');
+
+// Guard against schedules that would message the audience every few minutes
+const MIN_INTERVAL_MINUTES = Number(process.env.RECURRENCE_MIN_INTERVAL_MINUTES || 60);
+
+const RRULE_DAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function assertTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (_) {
+    throw badRequest(`invalid timezone: ${timezone}`);
+  }
+}
+
+function intList(value, min, max, name) {
+  const list = String(value).split(',').map((v) => Number(v.trim()));
+  if (!list.length || list.some((n) => !Number.isInteger(n) || n < min || n > max)) {
+    throw badRequest(`invalid ${name} in RRULE`);
+  }
+  return list;
+}
+
+// RRULE UNTIL: 20261231T235959Z or 20261231
+function parseUntil(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!m) throw badRequest('invalid UNTIL in RRULE');
+  const [, y, mo, d, h = '23', mi = '59', s = '59'] = m;
+  return new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+}
+
+/**
+ * RRULE subset → cron:
+ *   FREQ=DAILY|WEEKLY|MONTHLY, BYDAY (no ordinals), BYMONTHDAY, BYHOUR, BYMINUTE, UNTIL
+ * BYMONTHDAY only with MONTHLY and never together with BYDAY: RRULE intersects
+ * the two, while cron fires when either the day of month or the weekday matches.
+ * e.g. "FREQ=WEEKLY;BYDAY=FR;BYHOUR=11;BYMINUTE=0" → "0 11 * * 5"
+ */
+function rruleToCron(rule) {
+  const parts = {};
+  for (const pair of rule.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [k, v] = pair.split('=');
+    if (!k || typeof v === 'undefined') throw badRequest('malformed RRULE');
+    parts[k.trim().toUpperCase()] = v.trim().toUpperCase();
+  }
+
+  const { FREQ, BYDAY, BYMONTHDAY, BYHOUR, BYMINUTE = '0', INTERVAL = '1', UNTIL, COUNT } = parts;
+  if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(FREQ)) {
+    throw badRequest('RRULE FREQ must be DAILY, WEEKLY or MONTHLY');
+  }
+  if (INTERVAL !== '1') throw badRequest('RRULE INTERVAL other than 1 is not supported; use a cron expression');
+  if (COUNT) throw badRequest('RRULE COUNT is not supported; use UNTIL');
+  if (typeof BYHOUR === 'undefined') throw badRequest('RRULE needs BYHOUR');
+  if (BYMONTHDAY && FREQ !== 'MONTHLY') throw badRequest('RRULE BYMONTHDAY is only supported with FREQ=MONTHLY');
+  if (BYMONTHDAY && BYDAY) throw badRequest('RRULE BYDAY together with BYMONTHDAY is not supported');
+
+  const minutes = intList(BYMINUTE, 0, 59, 'BYMINUTE');
+  const hours = intList(BYHOUR, 0, 23, 'BYHOUR');
+
+  let dom = '*';
+  let dow = '*';
+  if (BYDAY) {
+    const days = BYDAY.split(',').map((d) => RRULE_DAYS[d.trim()]);
+    if (days.some((d) => typeof d === 'undefined')) throw badRequest('invalid BYDAY in RRULE');
+    dow = days.join(',');
+  }
+  if (FREQ === 'WEEKLY' && !BYDAY) throw badRequest('weekly RRULE needs BYDAY');
+  if (FREQ === 'MONTHLY') {
+    if (!BYMONTHDAY) throw badRequest('monthly RRULE needs BYMONTHDAY');
+    dom = intList(BYMONTHDAY, 1, 31, 'BYMONTHDAY').join(',');
+  }
+
+  return {
+    cron: `${minutes.join(',')} ${hours.join(',')} ${dom} * ${dow}`,
+    until: UNTIL ? parseUntil(UNTIL) : null
+  };
+}
+
+/**
+ * Upcoming occurrences of a cron schedule (after `from`, at most `count`).
+ * @returns {Date[]}
+ */
+function nextOccurrences(cron, timezone, { from = new Date(), count = 5, endDate = null } = {}) {
+  const it = cronParser.parseExpression(cron, {
+    currentDate: from,
+    tz: timezone,
+    ...(endDate ? { endDate } : {})
+  });
+  const out = [];
+  while (out.length < count && it.hasNext()) out.push(it.next().toDate());
+  return out;
+}
+
+/**
+ * Most recent occurrence at or before `at` (the slot a repeat job fired for).
+ */
+function lastOccurrence(cron, timezone, at = new Date()) {
+  // +1s so a job that fires exactly on the slot resolves to that slot
+  const it = cronParser.parseExpression(cron, { currentDate: new Date(at.getTime() + 1000), tz: timezone });
+  return it.prev().toDate();
+}
+
+/**
+ * Validate a schedule as entered by the user.
+ * @param {string} rule      cron ("0 11 * * 5") or RRULE ("FREQ=WEEKLY;BYDAY=FR;BYHOUR=11")
+ * @param {string} timezone  IANA name, e.g. "Europe/Athens"
+ * @returns {{ rule: string, cron: string, timezone: string, until: Date|null }}
+ */
+function parseRecurrence(rule, timezone) {
+  const raw = String(rule || '').trim();
+  if (!raw) throw badRequest('recurrence rule required');
+  if (!timezone) throw badRequest('timezone required');
+  assertTimezone(timezone);
+
+  let cron;
+  let until = null;
+  if (/^(RRULE:)?FREQ=/i.test(raw)) {
+    ({ cron, until } = rruleToCron(raw));
+  } else {
+    cron = raw.split(/\s+/).join(' ');
+    if (cron.split(' ').length !== 5) throw badRequest('cron expression must have 5 fields');
+  }
+
+  let upcoming;
+  try {
+    upcoming = nextOccurrences(cron, timezone, { count: 6 });
+  } catch (e) {
+    throw badRequest(`invalid recurrence: ${e.message}`);
+  }
+  if (!upcoming.length) throw badRequest('recurrence never fires');
+  for (let i = 1; i < upcoming.length; i++) {
+    if (upcoming[i] - upcoming[i - 1] < MIN_INTERVAL_MINUTES * 60 * 1000) {
+      throw badRequest(`occurrences must be at least ${MIN_INTERVAL_MINUTES} minutes apart`);
+    }
+  }
+
+  return { rule: raw, cron, timezone, until };
+}
+
+module.exports = { parseRecurrence, nextOccurrences, lastOccurrence, rruleToCron };
@@ -0,0 +1,34 @@
+// apps/api/src/lib/sendErrors.js
+// Coarse classes for SMS send failures (CampaignMessage.errorClass).
+
+const ERROR_CLASSES = {
+  network: 'network',                 // no HTTP status: timeout, DNS, connection reset
+  provider_error: 'provider_error',   // provider 5xx
+  rate_limited: 'rate_limited',       // provider 429
+  auth: 'auth',                       // 401/403: credentials or sender not allowed
+  rejected: 'rejected',               // other 4xx: invalid number/text, blocked, ...
+  dlr_failed: 'dlr_failed',           // accepted, then reported failed by the DLR
+  interrupted: 'interrupted',         // worker died or stalled mid-send (stale 'sending' claim)
+};
+
+// Transient classes: worth retrying on the spot (BullMQ attempts)
+const TRANSIENT = new Set(['network', 'provider_error', 'rate_limited']);
+
+function classifySendError(err) {
+  const status = err?.status;
+  if (!status) return ERROR_CLASSES.network;
+  if (status >= 500) return ERROR_CLASSES.provider_error;
+  if (status === 429) return ERROR_CLASSES.rate_limited;
+  if (status === 401 || status === 403) return ERROR_CLASSES.auth;
+  return ERROR_CLASSES.rejected;
+}
+
+function isTransient(errorClass) {
+  return TRANSIENT.has(errorClass);
+}
+
+module.exports = {
+  ERROR_CLASSES: Object.keys(ERROR_CLASSES),
+  classifySendError,
+  isTransient,
+};
@@ -0,0 +1,149 @@
+// apps/api/src/lib/sendWindow.js
+// Owner send windows (quiet hours): the days and local hours marketing SMS may go out.
+// Stored on User.sendWindow as { timezone, days: [0-6, 0 = Sunday], start: 'HH:MM', end: 'HH:MM' }.
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function toMinutes(hhmm, field) {
+  const m = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(hhmm || ''));
+  if (!m) throw badRequest(`sendWindow.${field} must be HH:MM`);
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function toDay(d) {
+  if (Number.isInteger(d) && d >= 0 && d <= 6) return d;
+  const i = DAY_NAMES.indexOf(String(d).slice(0, 3).toLowerCase());
+  if (i === -1) throw badRequest(`invalid sendWindow day: ${d}`);
+  return i;
+}
+
+/**
+ * Validate a window from a request body; null/"" clears it.
+ * days accept 0-6 (0 = Sunday) or names ("mon", "Tuesday"); the window must
+ * start and end on the same day (start < end).
+ * @returns {{ timezone: string, days: number[], start: string, end: string } | null}
+ */
+function parseSendWindow(input) {
+  if (input === null || input === '') return null;
+  if (typeof input !== 'object') throw badRequest('sendWindow must be an object or null');
+
+  const { timezone, days, start, end } = input;
+  if (!timezone) throw badRequest('sendWindow.timezone required');
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (_) {
+    throw badRequest(`invalid sendWindow.timezone: ${timezone}`);
+  }
+  if (!Array.isArray(days) || !days.length) throw badRequest('sendWindow.days must be a non-empty array');
+  if (toMinutes(start, 'start') >= toMinutes(end, 'end')) {
+    throw badRequest('sendWindow.start must be before sendWindow.end');
+  }
+
+  return {
+    timezone,
+    days: [...new Set(days.map(toDay))].sort(),
+    start,
+    end
+  };
+}
+
+// Wall-clock parts of an instant in a timezone
+function localParts(date, timezone) {
+  const parts = {};
+  for (const p of new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    weekday: 'short', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+  }).formatToParts(date)) parts[p.type] = p.value;
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+// UTC instant of a local wall-clock time (DST-aware; a time skipped by DST moves forward)
+function zonedTime(year, month, day, minutes, timezone) {
+  const wall = Date.UTC(year, month - 1, day, 0, minutes);
+  let guess = wall;
+  for (let i = 0; i < 2; i++) {
+    const p = localParts(new Date(guess), timezone);
+    const seen = Date.UTC(p.year, p.month - 1, p.day, 0, p.minutes);
+    guess += wall - seen;
+  }
+  return new Date(guess);
+}
+
+/** True when `at` falls inside the window (no window = always open). */
+function isWithinWindow(window, at = new Date()) {
+  if (!window) return true;
+  const p = localParts(at, window.timezone);
+  return window.days.includes(p.weekday)
+    && p.minutes >= toMinutes(window.start, 'start')
+    && p.minutes < toMinutes(window.end, 'end');
+}
+
+/**
+ * `at` itself when inside the window, otherwise the next moment the window opens.
+ */
+function nextWindowStart(window, at = new Date()) {
+  if (isWithinWindow(window, at)) return at;
+  const startMin = toMinutes(window.start, 'start');
+
+  for (let offset = 0; offset <= 7; offset++) {
+    // Calendar day `offset` days after `at`, in the window's timezone
+    const p = localParts(new Date(at.getTime() + offset * DAY_MS), window.timezone);
+    if (!window.days.includes(p.weekday)) continue;
+    const opens = zonedTime(p.year, p.month, p.day, startMin, window.timezone);
+    if (opens > at) return opens;
+  }
+  return null; // unreachable with at least one allowed day
+}
+
+/**
+ * Short notice for API responses about a send time and the owner's window.
+ * @returns {null | { open: boolean, nextAllowedAt: Date }}
+ */
+function windowNotice(window, at = new Date()) {
+  if (!window) return null;
+  const open = isWithinWindow(window, at);
+  return { open, nextAllowedAt: open ? at : nextWindowStart(window, at) };
+}
+
+/**
+ * The window on a calendar day ("YYYY-MM-DD" in the window's timezone), for
+ * date-triggered sends such as birthday/name-day automations.
+ * @returns {null | { allowed: true, opensAt: Date, closesAt: Date } | { allowed: false, nextAllowedAt: Date }}
+ */
+function windowOnDate(window, ymd) {
+  if (!window) return null;
+  const [year, month, day] = ymd.split('-').map(Number);
+  const opensAt = zonedTime(year, month, day, toMinutes(window.start, 'start'), window.timezone);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  if (!window.days.includes(weekday)) {
+    return { allowed: false, nextAllowedAt: nextWindowStart(window, opensAt) };
+  }
+  return {
+    allowed: true,
+    opensAt,
+    closesAt: zonedTime(year, month, day, toMinutes(window.end, 'end'), window.timezone)
+  };
+}
+
+module.exports = {
+  parseSendWindow,
+  isWithinWindow,
+  nextWindowStart,
+  windowNotice,
+  windowOnDate,
+};
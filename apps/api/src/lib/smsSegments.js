@@ -0,0 +1,94 @@
+// apps/api/src/lib/smsSegments.js
+// Encoding-aware SMS segment calculator (GSM 03.38 vs UCS-2).
+
+// GSM-7 basic character set (ESC excluded)
+const GSM7_BASIC = new Set(Array.from(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+));
+
+// GSM-7 extension table: each of these is sent as ESC + char (2 septets)
+const GSM7_EXTENDED = new Set(Array.from('^{}\\[~]|€\f'));
+
+const LIMITS = {
+  'GSM-7': { single: 160, multi: 153 },
+  'UCS-2': { single: 70, multi: 67 },
+};
+
+/** True if every character can be sent with the GSM-7 alphabet. */
+function isGsm7(text) {
+  for (const ch of text) {
+    if (!GSM7_BASIC.has(ch) && !GSM7_EXTENDED.has(ch)) return false;
+  }
+  return true;
+}
+
+/**
+ * Units each character occupies in its encoding:
+ *  - GSM-7: 1 septet, 2 for extension-table characters (escape + char)
+ *  - UCS-2: 1 code unit, 2 for astral characters (surrogate pairs, e.g. emoji)
+ * Iterating a string with for..of yields whole code points, so surrogate
+ * pairs are never split.
+ */
+function charUnits(text, encoding) {
+  const units = [];
+  for (const ch of text) {
+    if (encoding === 'GSM-7') units.push(GSM7_EXTENDED.has(ch) ? 2 : 1);
+    else units.push(ch.length); // 1 or 2 UTF-16 code units
+  }
+  return units;
+}
+
+/**
+ * Segment an SMS text.
+ * Multipart messages are filled greedily: an escape sequence or a surrogate
+ * pair is never split across parts, as handsets/providers do.
+ *
+ * @param {string} text
+ * @returns {{ encoding: 'GSM-7'|'UCS-2', characters: number, units: number,
+ *             parts: number, perPart: number, charsLeft: number }}
+ */
+function segmentSms(text) {
+  const s = typeof text === 'string' ? text : String(text ?? '');
+  const encoding = isGsm7(s) ? 'GSM-7' : 'UCS-2';
+  const { single, multi } = LIMITS[encoding];
+  const units = charUnits(s, encoding);
+  const total = units.reduce((a, b) => a + b, 0);
+
+  if (total <= single) {
+    return {
+      encoding,
+      characters: units.length,
+      units: total,
+      parts: 1,
+      perPart: single,
+      charsLeft: single - total,
+    };
+  }
+
+  let parts = 1;
+  let fill = 0;
+  for (const u of units) {
+    if (fill + u > multi) {
+      parts += 1;
+      fill = 0;
+    }
+    fill += u;
+  }
+
+  return {
+    encoding,
+    characters: units.length,
+    units: total,
+    parts,
+    perPart: multi,
+    charsLeft: multi - fill,
+  };
+}
+
+/** Number of billable SMS parts for a text. */
+function smsParts(text) {
+  return segmentSms(text).parts;
+}
+
+module.exports = { segmentSms, smsParts, isGsm7 };
@@ -1,5 +1,6 @@
 // apps/api/src/lib/systemLists.js
 const prisma = require('./prisma');
+const { SOURCES, recordContactEvents } = require('../services/contactEvents.service');
 
 const SLUG = { MALE: 'male', FEMALE: 'female', HIGH: 'high-conversions' };
 
@@ -35,15 +36,94 @@ async function syncGenderMembership(contact) {
     prisma.list.findUnique({ where: { ownerId_slug: { ownerId, slug: SLUG.FEMALE } } }),
   ]);
 
+  const current = await prisma.listMembership.findMany({
+    where: { contactId, listId: { in: [male.id, female.id] } },
+    select: { listId: true },
+  });
+  const target = gender === 'male' ? male : gender === 'female' ? female : null;
+  const had = new Set(current.map((m) => m.listId));
+
   await prisma.listMembership.deleteMany({
     where: { contactId, listId: { in: [male.id, female.id] } },
   });
+  if (target) {
+    await prisma.listMembership.create({ data: { contactId, listId: target.id } });
+  }
+
+  // Activity log: only actual changes
+  const event = (type, list) => ({
+    ownerId, contactId, type, source: SOURCES.SYSTEM, listId: list.id, meta: { listName: list.name }
+  });
+  await recordContactEvents([
+    ...[male, female].filter((l) => had.has(l.id) && l !== target).map((l) => event('list_removed', l)),
+    ...(target && !had.has(target.id) ? [event('list_added', target)] : []),
+  ]);
+}
 
-  if (gender === 'male') {
-    await prisma.listMembership.create({ data: { contactId, listId: male.id } });
-  } else if (gender === 'female') {
-    await prisma.listMembership.create({ data: { contactId, listId: female.id } });
+/**
+ * syncGenderMembership for many contacts of one owner (bulk imports):
+ * a fixed number of queries per call instead of a few per contact.
+ * @param {{ id: number, gender: string }[]} contacts
+ */
+async function syncGenderMembershipBulk(ownerId, contacts) {
+  if (!contacts.length) return;
+  await ensureSystemListsForOwner(ownerId);
+
+  const [male, female] = await Promise.all([
+    prisma.list.findUnique({ where: { ownerId_slug: { ownerId, slug: SLUG.MALE } } }),
+    prisma.list.findUnique({ where: { ownerId_slug: { ownerId, slug: SLUG.FEMALE } } }),
+  ]);
+  const targetOf = (gender) => (gender === 'male' ? male : gender === 'female' ? female : null);
+  const genderOf = new Map(contacts.map((c) => [c.id, c.gender]));
+
+  const current = await prisma.listMembership.findMany({
+    where: { contactId: { in: [...genderOf.keys()] }, listId: { in: [male.id, female.id] } },
+    select: { id: true, contactId: true, listId: true },
+  });
+  const has = new Set(current.map((m) => `${m.contactId}:${m.listId}`));
+
+  const toRemove = current.filter((m) => targetOf(genderOf.get(m.contactId))?.id !== m.listId);
+  const toAdd = contacts
+    .map((c) => ({ contactId: c.id, list: targetOf(c.gender) }))
+    .filter((a) => a.list && !has.has(`${a.contactId}:${a.list.id}`));
+
+  if (toRemove.length) {
+    await prisma.listMembership.deleteMany({ where: { id: { in: toRemove.map((m) => m.id) } } });
+  }
+  if (toAdd.length) {
+    await prisma.listMembership.createMany({
+      data: toAdd.map((a) => ({ contactId: a.contactId, listId: a.list.id })),
+      skipDuplicates: true,
+    });
   }
+
+  const listById = new Map([[male.id, male], [female.id, female]]);
+  const event = (type, contactId, list) => ({
+    ownerId, contactId, type, source: SOURCES.SYSTEM, listId: list.id, meta: { listName: list.name }
+  });
+  await recordContactEvents([
+    ...toRemove.map((m) => event('list_removed', m.contactId, listById.get(m.listId))),
+    ...toAdd.map((a) => event('list_added', a.contactId, a.list)),
+  ]);
+}
+
+/**
+ * Members of the virtual High Conversions list: contacts with ≥ min redemptions.
+ */
+async function highConversionContactIds(ownerId, minConversions = 2) {
+  const groups = await prisma.redemption.groupBy({
+    by: ['contactId'],
+    where: { ownerId, redeemedByUserId: { not: null } }, // offer visits alone aren't conversions
+    _count: { _all: true },
+    having: { contactId: { _count: { gte: minConversions } } }
+  });
+  return groups.map((g) => g.contactId);
 }
 
-module.exports = { ensureSystemListsForOwner, syncGenderMembership, SLUG };
+module.exports = {
+  ensureSystemListsForOwner,
+  syncGenderMembership,
+  syncGenderMembershipBulk,
+  highConversionContactIds,
+  SLUG,
+};
@@ -0,0 +1,197 @@
+// apps/api/src/lib/templateEngine.js
+// Single rendering module for campaign templates, ad-hoc texts and automations.
+//
+// Syntax:
+//   {{firstName}}                 plain variable
+//   {{firstName|customer}}        default when the value is empty (used as written,
+//                                 trimmed; filters never apply to it)
+//   {{firstName|vocative|upper}}  filters, applied left to right
+//   {firstName}                   legacy single-brace form (known variables only)
+//   {{custom.loyaltyTier}}        owner-defined contact field (Contact.customFields)
+//
+// A pipe segment that names a filter is a filter; anything else is the default.
+
+/* =========================
+   Variables
+   ========================= */
+const VARIABLES = {
+  // Contact
+  firstName: (ctx) => ctx.contact?.firstName,
+  lastName: (ctx) => ctx.contact?.lastName,
+  fullName: (ctx) => [ctx.contact?.firstName, ctx.contact?.lastName].filter(Boolean).join(' '),
+  email: (ctx) => ctx.contact?.email,
+  phone: (ctx) => ctx.contact?.phone,
+  // Store (campaign owner)
+  company: (ctx) => ctx.owner?.company,
+  storeName: (ctx) => ctx.owner?.company || ctx.owner?.senderName,
+  senderName: (ctx) => ctx.owner?.senderName,
+  // Per message
+  offerUrl: (ctx) => ctx.message?.offerUrl,
+  unsubscribeUrl: (ctx) => ctx.message?.unsubscribeUrl,
+};
+
+// Custom contact fields: {{custom.<key>}}; which keys exist is per owner,
+// so validation takes them as extraVariables
+const CUSTOM_PREFIX = 'custom.';
+
+/* =========================
+   Greek helpers
+   ========================= */
+const GREEK_LETTER = /[\u0370-\u03ff\u1f00-\u1fff]/;
+const GREEK_SYLLABLE = /αι|ει|οι|ου|αυ|ευ|υι|[αεηιουω]/g;
+
+function stripTonos(s) {
+  return s.normalize('NFD').replace(/\u0301/g, '').normalize('NFC');
+}
+
+/**
+ * Lowercase letters without diacritics + index of the accented letter (or -1).
+ */
+function analyzeAccent(word) {
+  let plain = '';
+  let accentAt = -1;
+  for (const ch of word.toLowerCase().normalize('NFD')) {
+    if (ch === '\u0301') accentAt = plain.length - 1;
+    else if (!/[\u0300-\u036f]/.test(ch)) plain += ch;
+  }
+  return { plain, accentAt };
+}
+
+function vocativeWord(input) {
+  const word = input.normalize('NFC');
+  if (!GREEK_LETTER.test(word)) return input;
+
+  const { plain, accentAt } = analyzeAccent(word);
+  const caps = word === word.toUpperCase();
+
+  // -ας / -ης / -ους / -ής / -άς → drop the final sigma (Κώστας → Κώστα)
+  if (/(ας|ης|ους)$/.test(plain)) return word.slice(0, -1);
+  if (!plain.endsWith('ος')) return word;
+
+  // -ος: proparoxytone names take -ε (Αλέξανδρος → Αλέξανδρε),
+  // the rest -ο (Γιώργος → Γιώργο). Short -ιος names are pronounced
+  // with synizesis and keep -ο (Στέλιος → Στέλιο).
+  const syllables = [];
+  let m;
+  GREEK_SYLLABLE.lastIndex = 0;
+  while ((m = GREEK_SYLLABLE.exec(plain))) syllables.push([m.index, m.index + m[0].length]);
+  const accented = syllables.findIndex(([a, b]) => accentAt >= a && accentAt < b);
+  const n = syllables.length;
+
+  const antepenult = n >= 3 && accented === n - 3;
+  const synizesis = plain.endsWith('ιος') && n <= 3;
+  if (antepenult && !synizesis) return word.slice(0, -2) + (caps ? 'Ε' : 'ε');
+  return word.slice(0, -1);
+}
+
+/** Greek vocative of a (first) name; non-Greek names are returned unchanged. */
+function greekVocative(name) {
+  return String(name).split(/(\s+)/).map((w) => (/\s/.test(w) ? w : vocativeWord(w))).join('');
+}
+
+/* =========================
+   Filters
+   ========================= */
+const FILTERS = {
+  // Greek capitals are written without tonos
+  upper: (v) => stripTonos(v.toLocaleUpperCase('el')),
+  lower: (v) => v.toLocaleLowerCase('el'),
+  capitalize: (v) => v.charAt(0).toLocaleUpperCase('el') + v.slice(1).toLocaleLowerCase('el'),
+  vocative: (v) => greekVocative(v),
+};
+
+/* =========================
+   Parsing
+   ========================= */
+const TOKEN = /\{\{\s*([A-Za-z][\w.]*)\s*((?:\|[^|}]*)*)\}\}/g;
+const LEGACY_TOKEN = new RegExp(`(?<!\\{)\\{(${Object.keys(VARIABLES).join('|')})\\}(?!\\})`, 'g');
+
+function parsePipes(raw) {
+  const filters = [];
+  let fallback;
+  for (const seg of raw.split('|').slice(1)) {
+    const s = seg.trim();
+    if (FILTERS[s.toLowerCase()]) filters.push(s.toLowerCase());
+    else fallback = s;
+  }
+  return { filters, fallback };
+}
+
+function resolve(name, ctx) {
+  const fn = VARIABLES[name];
+  let v;
+  if (fn) v = fn(ctx);
+  else if (name.startsWith(CUSTOM_PREFIX)) v = ctx.contact?.customFields?.[name.slice(CUSTOM_PREFIX.length)];
+  else v = ctx.extra?.[name];
+  return v === null || typeof v === 'undefined' ? '' : String(v);
+}
+
+/**
+ * Render a template text for one recipient.
+ * @param {string} text
+ * @param {{ contact?: object, owner?: object, message?: object, extra?: object }} ctx
+ */
+function renderTemplate(text, ctx = {}) {
+  if (!text) return '';
+  return String(text)
+    .replace(TOKEN, (_m, name, pipes) => {
+      const { filters, fallback } = parsePipes(pipes);
+      let v = resolve(name, ctx).trim();
+      if (!v) return fallback ?? '';
+      for (const f of filters) v = FILTERS[f](v);
+      return v;
+    })
+    .replace(LEGACY_TOKEN, (_m, name) => resolve(name, ctx));
+}
+
+/**
+ * Validate a template before saving it.
+ * @param {string} text
+ * @param {{ extraVariables?: string[] }} [opts] variables allowed besides the built-in ones
+ * @returns {{ ok: boolean, variables: string[], unknown: string[], malformed: boolean }}
+ */
+function validateTemplate(text, { extraVariables = [] } = {}) {
+  const allowed = new Set([...Object.keys(VARIABLES), ...extraVariables]);
+  const variables = new Set();
+  const unknown = new Set();
+
+  const s = String(text || '');
+  for (const m of s.matchAll(TOKEN)) {
+    variables.add(m[1]);
+    if (!allowed.has(m[1])) unknown.add(m[1]);
+  }
+  for (const m of s.matchAll(LEGACY_TOKEN)) variables.add(m[1]);
+
+  // Leftover double braces → an unterminated or otherwise broken placeholder
+  const malformed = /\{\{|\}\}/.test(s.replace(TOKEN, ''));
+
+  return {
+    ok: unknown.size === 0 && !malformed,
+    variables: [...variables],
+    unknown: [...unknown],
+    malformed,
+  };
+}
+
+/** validateTemplate that throws a 400 error (for route handlers). */
+function assertValidTemplate(text, opts) {
+  const v = validateTemplate(text, opts);
+  if (v.ok) return v;
+  const err = new Error(
+    v.unknown.length
+      ? `unknown template variable(s): ${v.unknown.join(', ')}`
+      : 'malformed template placeholder'
+  );
+  err.status = 400;
+  err.unknown = v.unknown;
+  throw err;
+}
+
+module.exports = {
+  renderTemplate,
+  validateTemplate,
+  assertValidTemplate,
+  greekVocative,
+  VARIABLES: Object.keys(VARIABLES),
+  FILTERS: Object.keys(FILTERS),
+};
@@ -0,0 +1,15 @@
+// apps/api/src/lib/templateEngine.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate } = require('./templateEngine');
+
+test('filters apply to the value, never to the default', () => {
+  const text = 'Χρόνια πολλά, {{firstName|vocative|φίλε μας}}!';
+  assert.equal(renderTemplate(text, { contact: { firstName: 'Κώστας' } }), 'Χρόνια πολλά, Κώστα!');
+  assert.equal(renderTemplate(text, { contact: { firstName: null } }), 'Χρόνια πολλά, φίλε μας!');
+  assert.equal(renderTemplate(text, { contact: { firstName: '  ' } }), 'Χρόνια πολλά, φίλε μας!');
+});
+
+test('the default is trimmed', () => {
+  assert.equal(renderTemplate('Hi {{ firstName | φίλε }}!', { contact: {} }), 'Hi φίλε!');
+});
@@ -0,0 +1,25 @@
+// apps/api/src/queues/contacts.queue.js
+const { Queue } = require('bullmq');
+const IORedis = require('ioredis');
+
+if (process.env.QUEUE_DISABLED === '1') {
+  module.exports = null;
+  return;
+}
+
+const url = process.env.REDIS_URL || 'redis://localhost:6379';
+const connection = new IORedis(url, { maxRetriesPerRequest: null });
+
+// Bulk contact jobs (imports, bulk operations). Jobs resume from their saved
+// progress, so a retry after a crash continues where the previous attempt stopped.
+const contactsQueue = new Queue('contactsQueue', {
+  connection,
+  defaultJobOptions: {
+    attempts: Number(process.env.CONTACTS_QUEUE_ATTEMPTS || 3),
+    backoff: { type: 'exponential', delay: 5000 },
+    removeOnComplete: true,
+    removeOnFail: false
+  }
+});
+
+module.exports = contactsQueue;
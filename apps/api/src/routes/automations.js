@@ -5,6 +5,11 @@ const requireAuth = require('../middleware/requireAuth');
 const prisma = require('../lib/prisma');
 const { ensureSystemAutomationsForOwner, SYS } = require('../lib/automations.system');
 const { canonicalizeName, hasNamedayOn } = require('../lib/namedays');
+const { segmentSms } = require('../lib/smsSegments');
+const { renderTemplate, assertValidTemplate } = require('../lib/templateEngine');
+const { partitionByFrequencyCap, SKIP_REASON } = require('../services/frequencyCap.service');
+const { customFieldVariables } = require('../services/contactFields.service');
+const { windowOnDate } = require('../lib/sendWindow');
 
 router.use(requireAuth);
 
@@ -13,6 +18,40 @@ async function ensure(req) {
   await ensureSystemAutomationsForOwner(req.user.id);
 }
 
+// Attach encoding/parts/charsLeft of the automation message (for cost display)
+function withSegments(a) {
+  return { ...a, segments: segmentSms(a.message) };
+}
+
+// Render the owner's system automation message for each preview match.
+// Contacts over the owner's frequency cap are flagged as skipped. A sender
+// must run its own check when inserting the messages
+// (frequencyCap.lockedCappedContactIds), as campaign enqueue does.
+async function renderForSystem(ownerId, slug, contacts) {
+  const [automation, owner, { skipped }] = await Promise.all([
+    prisma.automation.findUnique({
+      where: { ownerId_systemSlug: { ownerId, systemSlug: slug } },
+      select: { message: true }
+    }),
+    prisma.user.findUnique({ where: { id: ownerId }, select: { company: true, senderName: true } }),
+    partitionByFrequencyCap(ownerId, contacts)
+  ]);
+  if (!automation) return contacts;
+  const capped = new Set(skipped.map((c) => c.id));
+  return contacts.map((c) => {
+    const text = renderTemplate(automation.message, { contact: c, owner });
+    const skip = capped.has(c.id) ? { skipped: true, skipReason: SKIP_REASON } : {};
+    return { ...c, text, segments: segmentSms(text), ...skip };
+  });
+}
+
+// Owner's send window on the preview date: automation messages for a day the
+// window is closed wait for its next opening (sendWindow.allowed = false)
+async function sendWindowFor(ownerId, date) {
+  const owner = await prisma.user.findUnique({ where: { id: ownerId }, select: { sendWindow: true } });
+  return windowOnDate(owner?.sendWindow, date);
+}
+
 // GET /api/automations
 router.get('/automations', async (req, res, next) => {
   try {
@@ -26,7 +65,7 @@ router.get('/automations', async (req, res, next) => {
         createdAt: true, updatedAt: true,
       }
     });
-    res.json(list);
+    res.json(list.map(withSegments));
   } catch (e) { next(e); }
 });
 
@@ -44,6 +83,10 @@ router.put('/automations/:id', async (req, res, next) => {
       return res.status(400).json({ message: 'Cannot change trigger of a system automation' });
     }
 
+    if (typeof message === 'string') {
+      assertValidTemplate(message, { extraVariables: await customFieldVariables(req.user.id) });
+    }
+
     const updated = await prisma.automation.update({
       where: { id },
       data: {
@@ -58,7 +101,7 @@ router.put('/automations/:id', async (req, res, next) => {
       }
     });
 
-    res.json(updated);
+    res.json(withSegments(updated));
   } catch (e) { next(e); }
 });
 
@@ -98,7 +141,7 @@ router.get('/automations/preview/birthday', async (req, res, next) => {
         isSubscribed: true,
         birthday: { not: null },
       },
-      select: { id: true, firstName: true, phone: true, birthday: true }
+      select: { id: true, firstName: true, lastName: true, email: true, phone: true, birthday: true, customFields: true }
     });
 
     const matches = contacts.filter(c => {
@@ -106,7 +149,10 @@ router.get('/automations/preview/birthday', async (req, res, next) => {
       return b && (b.getUTCMonth() === month) && (b.getUTCDate() === day);
     });
 
-    res.json({ date: dateStr || d.toISOString().slice(0,10), total: matches.length, items: matches.slice(0, 200) });
+    const items = await renderForSystem(req.user.id, SYS.BIRTHDAY, matches.slice(0, 200));
+    const date = dateStr || d.toISOString().slice(0,10);
+    const sendWindow = await sendWindowFor(req.user.id, date);
+    res.json({ date, total: matches.length, items, sendWindow });
   } catch (e) { next(e); }
 });
 
@@ -126,11 +172,14 @@ router.get('/automations/preview/nameday', async (req, res, next) => {
         isSubscribed: true,
         firstName: { not: null }
       },
-      select: { id: true, firstName: true, phone: true }
+      select: { id: true, firstName: true, lastName: true, email: true, phone: true, customFields: true }
     });
 
     const matches = contacts.filter(c => hasNamedayOn(c.firstName, d));
-    res.json({ date: dateStr || d.toISOString().slice(0,10), total: matches.length, items: matches.slice(0, 200) });
+    const items = await renderForSystem(req.user.id, SYS.NAMEDAY, matches.slice(0, 200));
+    const date = dateStr || d.toISOString().slice(0,10);
+    const sendWindow = await sendWindowFor(req.user.id, date);
+    res.json({ date, total: matches.length, items, sendWindow });
   } catch (e) { next(e); }
 });
 
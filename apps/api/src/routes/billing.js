@@ -2,18 +2,19 @@
 const { Router } = require("express");
 const prisma = require("../lib/prisma");
 const requireAuth = require("../middleware/requireAuth");
-const { getBalance, credit } = require("../services/wallet.service");
+const { getWallet, credit } = require("../services/wallet.service");
 const { requireIdempotencyKey } = require("../middleware/idempotency");
 
 const r = Router();
 
 /**
  * GET /billing/balance
+ * balance = spendable, reserved = held for messages not yet delivered/failed
  */
 r.get("/billing/balance", requireAuth, async (req, res, next) => {
   try {
-    const balance = await getBalance(req.user.id);
-    res.json({ balance });
+    const { balance, reserved } = await getWallet(req.user.id);
+    res.json({ balance, reserved });
   } catch (e) {
     next(e);
   }
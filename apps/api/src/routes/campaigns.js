@@ -2,12 +2,18 @@
 const express = require('express');
 const prisma = require('../lib/prisma');
 const requireAuth = require('../middleware/requireAuth');
-const { enqueueCampaign } = require('../services/campaignEnqueue.service');
+const { enqueueCampaign, estimateCampaign, previewCampaign } = require('../services/campaignEnqueue.service');
 const { finalizeCampaignIfDone } = require('../services/campaignFinalizer.service');
-
-// Optional scheduler queue (only if you have one)
-let schedulerQueue = null;
-try { schedulerQueue = require('../queues/scheduler.queue'); } catch (_) {}
+const { pauseCampaign, resumeCampaign, cancelCampaign } = require('../services/campaignControl.service');
+const { scheduleCampaignJob, unscheduleCampaignJob } = require('../services/campaignSchedule.service');
+const { retryFailedMessages } = require('../services/campaignRetry.service');
+const { sendCampaignTest, listCampaignTests } = require('../services/campaignTestSend.service');
+const { removeRecurrenceJob } = require('../services/campaignRecurrence.service');
+const { archivedFilter } = require('../services/campaignsList.service');
+const { VARIANT_LABELS, MIN_VARIANTS, parseAbTestSettings } = require('../services/campaignAbTest.service');
+const { windowNotice } = require('../lib/sendWindow');
+const { assertValidTemplate } = require('../lib/templateEngine');
+const { customFieldVariables } = require('../services/contactFields.service');
 
 const router = express.Router();
 router.use(requireAuth);
@@ -18,6 +24,20 @@ router.use(requireAuth);
 const ALL_LIST_NAME = '[ALL_CONTACTS]'; // virtual audience marker
 const ADHOC_PREFIX = 'AdHoc';           // prefix for on-the-fly templates
 
+// Owner's send window as a notice for `at` when it is closed then, else null
+async function closedWindowNotice(ownerId, at) {
+  const owner = await prisma.user.findUnique({ where: { id: ownerId }, select: { sendWindow: true } });
+  const notice = windowNotice(owner?.sendWindow, at);
+  return notice && !notice.open ? notice : null;
+}
+
+function outsideWindowResponse(res, notice) {
+  return res.status(400).json({
+    message: 'scheduledAt is outside your send window',
+    nextAllowedAt: notice.nextAllowedAt
+  });
+}
+
 async function ensureAllContactsList(ownerId) {
   // We keep a real List row to satisfy FK constraint,
   // but we won't use memberships for it in enqueue/preview.
@@ -49,12 +69,82 @@ async function resolveListId(ownerId, listId) {
   return id;
 }
 
-async function upsertAdhocTemplate({ ownerId, campaignName, text, existingTemplateId }) {
+// Array (or comma-separated string) of list ids / "ALL" → unique numeric ids
+async function resolveListIds(ownerId, value) {
+  if (typeof value === 'undefined' || value === null || value === '') return [];
+  const raw = Array.isArray(value) ? value : String(value).split(',');
+  const ids = [];
+  for (const v of raw) {
+    const id = await resolveListId(ownerId, typeof v === 'string' ? v.trim() : v);
+    if (!id) {
+      const err = new Error('invalid list id');
+      err.status = 400;
+      throw err;
+    }
+    ids.push(id);
+  }
+  return [...new Set(ids)];
+}
+
+async function assertOwnedLists(ownerId, ids) {
+  if (!ids.length) return;
+  const found = await prisma.list.count({ where: { ownerId, id: { in: ids } } });
+  if (found !== ids.length) {
+    const err = new Error('list not found');
+    err.status = 404;
+    throw err;
+  }
+}
+
+function assertDisjoint(include, exclude) {
+  if (include.some((id) => exclude.includes(id))) {
+    const err = new Error('a list cannot be both included and excluded');
+    err.status = 400;
+    throw err;
+  }
+}
+
+// Saved segment id (null/"" clears it) → owned segment id or null
+async function resolveSegmentId(ownerId, value) {
+  if (value === null || value === '') return null;
+  const id = Number(value);
+  const segment = id ? await prisma.segment.findFirst({ where: { id, ownerId }, select: { id: true } }) : null;
+  if (!segment) {
+    const err = new Error('segment not found');
+    err.status = 404;
+    throw err;
+  }
+  return segment.id;
+}
+
+const AUDIENCE_SELECT = { audienceLists: { select: { listId: true, mode: true } } };
+const DETAIL_INCLUDE = {
+  ...AUDIENCE_SELECT,
+  variants: {
+    select: { id: true, label: true, templateId: true, template: { select: { name: true, text: true } } },
+    orderBy: { label: 'asc' }
+  }
+};
+
+// Flatten CampaignList rows into includeListIds / excludeListIds
+function withAudience(c) {
+  const { audienceLists, ...rest } = c;
+  if (!audienceLists) return c;
+  return {
+    ...rest,
+    includeListIds: audienceLists.filter((a) => a.mode === 'include').map((a) => a.listId),
+    excludeListIds: audienceLists.filter((a) => a.mode === 'exclude').map((a) => a.listId)
+  };
+}
+
+async function upsertAdhocTemplate({ ownerId, campaignName, text, existingTemplateId, label }) {
   if (!text || !text.trim()) {
     const err = new Error('text required');
     err.status = 400;
     throw err;
   }
+  // Reject unknown/malformed placeholders before anything is saved
+  assertValidTemplate(text, { extraVariables: await customFieldVariables(ownerId) });
 
   // If current template is already an AdHoc we own, update it (nice UX when editing)
   if (existingTemplateId) {
@@ -71,7 +161,8 @@ async function upsertAdhocTemplate({ ownerId, campaignName, text, existingTempla
   }
 
   // Else create a new one
-  const niceName = `${ADHOC_PREFIX} - ${campaignName} - ${new Date().toISOString().slice(0,19).replace(/[:T]/g,'-')}`;
+  // label keeps A/B variant templates created in the same second apart
+  const niceName = `${ADHOC_PREFIX} - ${campaignName}${label ? ` [${label}]` : ''} - ${new Date().toISOString().slice(0,19).replace(/[:T]/g,'-')}`;
   const created = await prisma.messageTemplate.create({
     data: {
       ownerId,
@@ -82,34 +173,101 @@ async function upsertAdhocTemplate({ ownerId, campaignName, text, existingTempla
   return created.id;
 }
 
+/**
+ * A/B variants from the body: [{ templateId } | { text }, ...] (2–3, labelled A, B, C
+ * in order) → [{ label, templateId }]. Free text becomes an ad-hoc template; on edit
+ * the ad-hoc template of the same label is updated in place.
+ */
+async function resolveVariants({ ownerId, campaignName, variants, existing = [] }) {
+  if (!Array.isArray(variants) || variants.length < MIN_VARIANTS || variants.length > VARIANT_LABELS.length) {
+    const err = new Error(`variants must be an array of ${MIN_VARIANTS} to ${VARIANT_LABELS.length} items`);
+    err.status = 400;
+    throw err;
+  }
+
+  const resolved = [];
+  for (const [i, v] of variants.entries()) {
+    const label = VARIANT_LABELS[i];
+    const tplId = Number(v?.templateId) || null;
+    if (tplId) {
+      const tpl = await prisma.messageTemplate.findFirst({ where: { id: tplId, ownerId } });
+      if (!tpl) {
+        const err = new Error(`template not found (variant ${label})`);
+        err.status = 404;
+        throw err;
+      }
+      resolved.push({ label, templateId: tplId });
+    } else {
+      const templateId = await upsertAdhocTemplate({
+        ownerId,
+        campaignName,
+        text: v?.text,
+        label,
+        existingTemplateId: existing.find((e) => e.label === label)?.templateId
+      });
+      resolved.push({ label, templateId });
+    }
+  }
+  return resolved;
+}
+
 // ------------------------------------------------------------------
 // POST /api/campaigns
-// Body: { name, templateId?, text?, listId | "ALL", scheduledAt? }
+// Body: { name, templateId?, text?, listId? | "ALL", includeListIds?, excludeListIds?,
+//         segmentId?, scheduledAt?, variants?, abTest? }
 // Rules:
-//  - Require name and audience (listId or "ALL")
-//  - Require either templateId OR text (ad-hoc)
+//  - scheduledAt must fall inside the owner's send window (400 with nextAllowedAt)
+//  - Require name and audience (listId/includeListIds and/or segmentId; "ALL" allowed)
+//  - Audience = union of include lists and segment minus union of exclude lists
+//    (system lists, incl. virtual high-conversions, allowed on either side)
+//  - The segment is evaluated when the campaign is enqueued, not when saved
+//  - Require either templateId OR text (ad-hoc), or A/B variants:
+//    variants: [{ templateId? , text? }, ...] (2–3) with
+//    abTest: { testPercent, winnerMetric: delivery|offer_visits|redemptions, evalDelayMinutes? }
 // ------------------------------------------------------------------
 router.post('/campaigns', async (req, res, next) => {
   try {
-    let { name, templateId, text, listId, scheduledAt } = req.body || {};
+    let { name, templateId, text, listId, includeListIds, excludeListIds, segmentId, scheduledAt, variants, abTest } = req.body || {};
     name = String(name || '').trim();
 
     if (!name) return res.status(400).json({ message: 'name is required' });
-    if (!templateId && !text) {
-      return res.status(400).json({ message: 'Provide templateId or text' });
+    const withVariants = Array.isArray(variants) && variants.length > 0;
+    if (!templateId && !text && !withVariants) {
+      return res.status(400).json({ message: 'Provide templateId, text or variants' });
+    }
+    if (withVariants !== !!abTest) {
+      return res.status(400).json({ message: 'variants and abTest go together' });
+    }
+    const abSettings = withVariants ? parseAbTestSettings(abTest) : null;
+    if (scheduledAt) {
+      const closed = await closedWindowNotice(req.user.id, new Date(scheduledAt));
+      if (closed) return outsideWindowResponse(res, closed);
     }
 
-    // Resolve audience
-    const resolvedListId = await resolveListId(req.user.id, listId);
-    if (!resolvedListId) return res.status(400).json({ message: 'listId (or "ALL") is required' });
+    // Resolve audience (legacy listId is just another include list)
+    const include = await resolveListIds(req.user.id, includeListIds);
+    if (listId) {
+      const resolvedListId = await resolveListId(req.user.id, listId);
+      if (!resolvedListId) return res.status(400).json({ message: 'invalid listId' });
+      if (!include.includes(resolvedListId)) include.unshift(resolvedListId);
+    }
+    const resolvedSegmentId = segmentId ? await resolveSegmentId(req.user.id, segmentId) : null;
+    if (!include.length && !resolvedSegmentId) {
+      return res.status(400).json({ message: 'listId, includeListIds (or "ALL") or segmentId is required' });
+    }
+    const exclude = await resolveListIds(req.user.id, excludeListIds);
+    assertDisjoint(include, exclude);
 
     // Verify list ownership
-    const list = await prisma.list.findFirst({ where: { id: resolvedListId, ownerId: req.user.id } });
-    if (!list) return res.status(404).json({ message: 'list not found' });
+    await assertOwnedLists(req.user.id, [...include, ...exclude]);
 
-    // Resolve template
+    // Resolve template (A/B: variant A doubles as the campaign template for preview/estimate)
+    let resolvedVariants = [];
     let resolvedTemplateId = Number(templateId) || null;
-    if (resolvedTemplateId) {
+    if (withVariants) {
+      resolvedVariants = await resolveVariants({ ownerId: req.user.id, campaignName: name, variants });
+      resolvedTemplateId = resolvedVariants[0].templateId;
+    } else if (resolvedTemplateId) {
       const tpl = await prisma.messageTemplate.findFirst({ where: { id: resolvedTemplateId, ownerId: req.user.id } });
       if (!tpl) return res.status(404).json({ message: 'template not found' });
     } else {
@@ -125,8 +283,17 @@ router.post('/campaigns', async (req, res, next) => {
       createdById: req.user.id,
       name,
       templateId: resolvedTemplateId,
-      listId: resolvedListId,
-      status: 'draft'
+      listId: include[0] || null, // kept for clients reading the single-list field
+      segmentId: resolvedSegmentId,
+      status: 'draft',
+      audienceLists: {
+        create: [
+          ...include.map((id) => ({ listId: id, mode: 'include' })),
+          ...exclude.map((id) => ({ listId: id, mode: 'exclude' }))
+        ]
+      },
+      ...(abSettings || {}),
+      ...(withVariants ? { variants: { create: resolvedVariants } } : {})
     };
 
     if (scheduledAt) {
@@ -134,8 +301,9 @@ router.post('/campaigns', async (req, res, next) => {
       data.status = 'scheduled';
     }
 
-    const campaign = await prisma.campaign.create({ data });
-    res.status(201).json(campaign);
+    const campaign = await prisma.campaign.create({ data, include: DETAIL_INCLUDE });
+    if (campaign.status === 'scheduled') await scheduleCampaignJob(campaign.id, campaign.scheduledAt);
+    res.status(201).json(withAudience(campaign));
   } catch (e) {
     next(e);
   }
@@ -143,13 +311,14 @@ router.post('/campaigns', async (req, res, next) => {
 
 // ------------------------------------------------------------------
 // GET /api/campaigns (simple paged list)
+// Query: page, pageSize, archived=false|true|all (default false)
 // ------------------------------------------------------------------
 router.get('/campaigns', async (req, res, next) => {
   try {
     const page = Math.max(1, Number(req.query.page || 1));
     const pageSize = Math.min(100, Math.max(1, Number(req.query.pageSize || 20)));
 
-    const where = { ownerId: req.user.id };
+    const where = { ownerId: req.user.id, ...archivedFilter(req.query.archived) };
 
     const [total, items] = await Promise.all([
       prisma.campaign.count({ where }),
@@ -174,10 +343,11 @@ router.get('/campaigns/:id', async (req, res, next) => {
   try {
     const id = Number(req.params.id);
     const c = await prisma.campaign.findFirst({
-      where: { id, ownerId: req.user.id }
+      where: { id, ownerId: req.user.id },
+      include: DETAIL_INCLUDE
     });
     if (!c) return res.status(404).json({ message: 'not found' });
-    res.json(c);
+    res.json(withAudience(c));
   } catch (e) {
     next(e);
   }
@@ -185,35 +355,83 @@ router.get('/campaigns/:id', async (req, res, next) => {
 
 // ------------------------------------------------------------------
 // PUT /api/campaigns/:id
-// Body: { name?, templateId?, text?, listId? | "ALL", scheduledAt? (null unschedule) }
+// Body: { name?, templateId?, text?, listId? | "ALL", includeListIds?, excludeListIds?,
+//         segmentId? (null clears), scheduledAt? (null unschedule),
+//         variants? + abTest? (null/[] turn the A/B test off; draft/scheduled only) }
 //  - If text provided, we upsert ad-hoc template and re-link
 //  - If listId is "ALL", we auto-resolve special list
+//  - listId/includeListIds replace the include side, excludeListIds the exclude side
 // ------------------------------------------------------------------
 router.put('/campaigns/:id', async (req, res, next) => {
   try {
     const id = Number(req.params.id);
-    let { name, templateId, text, listId, scheduledAt } = req.body || {};
+    let { name, templateId, text, listId, includeListIds, excludeListIds, segmentId, scheduledAt, variants, abTest } = req.body || {};
 
     const campaign = await prisma.campaign.findFirst({
-      where: { id, ownerId: req.user.id }
+      where: { id, ownerId: req.user.id },
+      include: DETAIL_INCLUDE
     });
     if (!campaign) return res.status(404).json({ message: 'not found' });
 
     if (campaign.status === 'sending') {
       return res.status(409).json({ message: 'Cannot edit while sending' });
     }
+    // Recurring campaigns are scheduled via /campaigns/:id/recurrence; a paused,
+    // completed or cancelled one would be enqueued again and re-send to everyone
+    if (typeof scheduledAt !== 'undefined' && campaign.status === 'recurring') {
+      return res.status(409).json({ message: 'campaign is recurring; change its recurrence instead' });
+    }
+    if (typeof scheduledAt !== 'undefined' && !['draft', 'scheduled'].includes(campaign.status)) {
+      return res.status(409).json({ message: `cannot schedule a ${campaign.status} campaign` });
+    }
+    if (scheduledAt) {
+      const closed = await closedWindowNotice(req.user.id, new Date(scheduledAt));
+      if (closed) return outsideWindowResponse(res, closed);
+    }
 
     const data = {};
 
     if (typeof name !== 'undefined') data.name = String(name);
 
     // Audience update
-    if (typeof listId !== 'undefined') {
-      const resolvedListId = await resolveListId(req.user.id, listId);
-      if (!resolvedListId) return res.status(400).json({ message: 'invalid listId' });
-      const lst = await prisma.list.findFirst({ where: { id: resolvedListId, ownerId: req.user.id } });
-      if (!lst) return res.status(404).json({ message: 'list not found' });
-      data.listId = resolvedListId;
+    const current = withAudience(campaign);
+    let include = current.includeListIds;
+    let exclude = current.excludeListIds;
+    const includeChanged = typeof listId !== 'undefined' || typeof includeListIds !== 'undefined';
+    const excludeChanged = typeof excludeListIds !== 'undefined';
+
+    if (includeChanged) {
+      include = await resolveListIds(req.user.id, includeListIds);
+      if (typeof listId !== 'undefined') {
+        const resolvedListId = await resolveListId(req.user.id, listId);
+        if (!resolvedListId) return res.status(400).json({ message: 'invalid listId' });
+        if (!include.includes(resolvedListId)) include.unshift(resolvedListId);
+      }
+    }
+    if (excludeChanged) exclude = await resolveListIds(req.user.id, excludeListIds);
+
+    let nextSegmentId = campaign.segmentId;
+    if (typeof segmentId !== 'undefined') {
+      nextSegmentId = await resolveSegmentId(req.user.id, segmentId);
+      data.segmentId = nextSegmentId;
+    }
+    if (!include.length && !nextSegmentId) {
+      return res.status(400).json({ message: 'audience needs at least one include list or a segment' });
+    }
+
+    if (includeChanged || excludeChanged) {
+      assertDisjoint(include, exclude);
+      await assertOwnedLists(req.user.id, [...(includeChanged ? include : []), ...(excludeChanged ? exclude : [])]);
+
+      const modes = [...(includeChanged ? ['include'] : []), ...(excludeChanged ? ['exclude'] : [])];
+      data.audienceLists = {
+        deleteMany: { mode: { in: modes } },
+        create: [
+          ...(includeChanged ? include.map((lid) => ({ listId: lid, mode: 'include' })) : []),
+          ...(excludeChanged ? exclude.map((lid) => ({ listId: lid, mode: 'exclude' })) : [])
+        ]
+      };
+      if (includeChanged) data.listId = include[0] || null;
     }
 
     // Template update path
@@ -234,28 +452,55 @@ router.put('/campaigns/:id', async (req, res, next) => {
       data.templateId = newTplId;
     }
 
-    // Scheduling
+    // A/B test (variants replace the template; variant A becomes the campaign template)
+    const variantsChanged = typeof variants !== 'undefined';
+    const abTestChanged = typeof abTest !== 'undefined';
+    if (variantsChanged || abTestChanged) {
+      if (!['draft', 'scheduled'].includes(campaign.status)) {
+        return res.status(409).json({ message: 'A/B settings cannot change once sending started' });
+      }
+      const hasVariants = variantsChanged ? Array.isArray(variants) && variants.length > 0 : campaign.variants.length > 0;
+      const hasAbTest = abTestChanged ? !!abTest : campaign.abTestPercent !== null;
+      if (hasVariants !== hasAbTest) {
+        return res.status(400).json({ message: 'variants and abTest go together' });
+      }
+
+      if (abTestChanged) {
+        Object.assign(data, abTest
+          ? parseAbTestSettings(abTest)
+          : { abTestPercent: null, abWinnerMetric: null, abEvalDelayMinutes: null });
+      }
+      if (variantsChanged) {
+        const resolved = hasVariants
+          ? await resolveVariants({
+            ownerId: req.user.id,
+            campaignName: data.name || campaign.name,
+            variants,
+            existing: campaign.variants
+          })
+          : [];
+        data.variants = { deleteMany: {}, create: resolved };
+        if (resolved.length) data.templateId = resolved[0].templateId;
+      }
+    }
+
+    // Scheduling (draft/scheduled only, checked above)
     if (typeof scheduledAt !== 'undefined') {
       if (scheduledAt) {
         const when = new Date(scheduledAt);
         data.scheduledAt = when;
         data.status = 'scheduled';
-        try { await schedulerQueue?.remove(`campaign:schedule:${id}`); } catch(_) {}
-        const delay = Math.max(0, when.getTime() - Date.now());
-        await schedulerQueue?.add('enqueueCampaign', { campaignId: id }, {
-          delay,
-          jobId: `campaign:schedule:${id}`
-        });
+        await scheduleCampaignJob(id, when);
       } else {
         // unschedule
-        try { await schedulerQueue?.remove(`campaign:schedule:${id}`); } catch(_) {}
+        await unscheduleCampaignJob(id);
         data.scheduledAt = null;
         if (campaign.status === 'scheduled') data.status = 'draft';
       }
     }
 
-    const updated = await prisma.campaign.update({ where: { id }, data });
-    res.json(updated);
+    const updated = await prisma.campaign.update({ where: { id }, data, include: DETAIL_INCLUDE });
+    res.json(withAudience(updated));
   } catch (e) {
     next(e);
   }
@@ -263,6 +508,8 @@ router.put('/campaigns/:id', async (req, res, next) => {
 
 // ------------------------------------------------------------------
 // DELETE /api/campaigns/:id
+//  - Only campaigns that never sent: deleting would cascade to messages
+//    and redemptions, so campaigns with history are archived instead
 // ------------------------------------------------------------------
 router.delete('/campaigns/:id', async (req, res, next) => {
   try {
@@ -274,7 +521,12 @@ router.delete('/campaigns/:id', async (req, res, next) => {
     if (c.status === 'sending') {
       return res.status(409).json({ message: 'Cannot delete while sending' });
     }
-    try { await schedulerQueue?.remove(`campaign:schedule:${id}`); } catch(_) {}
+    const messages = await prisma.campaignMessage.count({ where: { campaignId: id } });
+    if (messages > 0) {
+      return res.status(409).json({ message: 'campaign has send history; archive it instead' });
+    }
+    await unscheduleCampaignJob(id);
+    await removeRecurrenceJob(id);
     await prisma.campaign.delete({ where: { id } });
     res.json({ ok: true });
   } catch (e) {
@@ -283,50 +535,145 @@ router.delete('/campaigns/:id', async (req, res, next) => {
 });
 
 // ------------------------------------------------------------------
-// GET /api/campaigns/:id/preview
-//  - If list is [ALL_CONTACTS], we preview against all subscribed contacts
+// POST /api/campaigns/:id/duplicate
+// Body: { name? } (default "<name> (copy)")
+// New draft with the same content (template, or a fresh copy of its ad-hoc
+// text), audience, A/B variants and schedule. The schedule is copied but not
+// activated: a future scheduledAt / the recurrence rule are kept on the draft
+// until it is scheduled (PUT scheduledAt) or made recurring (PUT recurrence).
 // ------------------------------------------------------------------
-router.get('/campaigns/:id/preview', async (req, res, next) => {
+router.post('/campaigns/:id/duplicate', async (req, res, next) => {
   try {
     const id = Number(req.params.id);
-    const campaign = await prisma.campaign.findFirst({
+    const src = await prisma.campaign.findFirst({
       where: { id, ownerId: req.user.id },
       include: {
-        template: true,
-        list: {
-          include: {
-            memberships: { include: { contact: true } }
-          }
-        }
+        template: { select: { id: true, name: true, text: true } },
+        audienceLists: { select: { listId: true, mode: true } },
+        variants: { select: { label: true, template: { select: { id: true, name: true, text: true } } } }
       }
     });
-    if (!campaign) return res.status(404).json({ message: 'not found' });
+    if (!src) return res.status(404).json({ message: 'not found' });
 
-    const render = (text, contact) =>
-      text
-        .replace(/\{\{firstName\}\}/g, contact.firstName || '')
-        .replace(/\{\{lastName\}\}/g, contact.lastName || '')
-        .replace(/\{\{email\}\}/g, contact.email || '');
-
-    let contacts = [];
-    if (campaign.list?.name === ALL_LIST_NAME) {
-      contacts = await prisma.contact.findMany({
-        where: { ownerId: req.user.id, isSubscribed: true },
-        orderBy: { id: 'desc' },
-        take: 200 // safety cap for preview
-      });
-    } else {
-      contacts = campaign.list.memberships
-        .map((m) => m.contact)
-        .filter((c) => c.isSubscribed);
+    const name = String(req.body?.name || '').trim() || `${src.name} (copy)`;
+
+    // Ad-hoc templates are edited in place, so the copy gets its own
+    const copyTemplate = async (tpl, label) => {
+      if (!tpl || !tpl.name.startsWith(`${ADHOC_PREFIX} - `)) return tpl?.id ?? null;
+      return upsertAdhocTemplate({ ownerId: req.user.id, campaignName: name, text: tpl.text, label });
+    };
+
+    const variants = [];
+    for (const v of src.variants) {
+      variants.push({ label: v.label, templateId: await copyTemplate(v.template, v.label) });
+    }
+    const templateId = variants.length ? variants[0].templateId : await copyTemplate(src.template);
+
+    const future = src.scheduledAt && src.scheduledAt > new Date() ? src.scheduledAt : null;
+    const campaign = await prisma.campaign.create({
+      data: {
+        ownerId: req.user.id,
+        createdById: req.user.id,
+        name,
+        templateId,
+        bodyOverride: src.bodyOverride,
+        listId: src.listId,
+        segmentId: src.segmentId,
+        status: 'draft',
+        scheduledAt: future,
+        recurrenceRule: src.recurrenceRule,
+        recurrenceCron: src.recurrenceCron,
+        timezone: src.timezone,
+        recurrenceEndsAt: src.recurrenceEndsAt,
+        abTestPercent: src.abTestPercent,
+        abWinnerMetric: src.abWinnerMetric,
+        abEvalDelayMinutes: src.abEvalDelayMinutes,
+        audienceLists: { create: src.audienceLists },
+        variants: { create: variants }
+      },
+      include: DETAIL_INCLUDE
+    });
+    res.status(201).json(withAudience(campaign));
+  } catch (e) {
+    next(e);
+  }
+});
+
+// ------------------------------------------------------------------
+// POST /api/campaigns/:id/archive | /unarchive
+//  - archive: finished campaigns (completed, failed, cancelled) only;
+//    hidden from campaign lists unless ?archived=true|all
+// ------------------------------------------------------------------
+const ARCHIVABLE_STATUSES = ['completed', 'failed', 'cancelled'];
+
+router.post('/campaigns/:id/archive', async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    const c = await prisma.campaign.findFirst({
+      where: { id, ownerId: req.user.id },
+      select: { id: true, status: true, archivedAt: true }
+    });
+    if (!c) return res.status(404).json({ message: 'not found' });
+    if (!ARCHIVABLE_STATUSES.includes(c.status)) {
+      return res.status(409).json({ message: 'only finished campaigns can be archived' });
     }
+    const updated = c.archivedAt ? c : await prisma.campaign.update({
+      where: { id },
+      data: { archivedAt: new Date() },
+      select: { id: true, status: true, archivedAt: true }
+    });
+    res.json(updated);
+  } catch (e) {
+    next(e);
+  }
+});
 
-    const items = contacts.slice(0, 10).map((c) => ({
-      to: c.phone,
-      text: render(campaign.template.text, c)
-    }));
+router.post('/campaigns/:id/unarchive', async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    const r = await prisma.campaign.updateMany({
+      where: { id, ownerId: req.user.id },
+      data: { archivedAt: null }
+    });
+    if (r.count === 0) return res.status(404).json({ message: 'not found' });
+    res.json({ id, archivedAt: null });
+  } catch (e) {
+    next(e);
+  }
+});
 
-    res.json({ items, totalRecipients: contacts.length });
+// ------------------------------------------------------------------
+// GET /api/campaigns/:id/preview
+//  - Resolves the same audience as enqueue/estimate (include/exclude lists,
+//    subscribed, valid E.164) and renders the first 10 messages (A/B: with
+//    the variant each recipient would get)
+// ------------------------------------------------------------------
+router.get('/campaigns/:id/preview', async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    const result = await previewCampaign(id, req.user.id);
+    if (!result.ok) return res.status(404).json({ message: 'not found' });
+
+    res.json({ items: result.items, totalRecipients: result.totalRecipients });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// ------------------------------------------------------------------
+// GET /api/campaigns/:id/estimate
+//  - Dry run of enqueue: same audience resolution and rendering, nothing
+//    is persisted or debited. Returns recipients, exclusions (and why),
+//    total segments, credits needed and the current wallet balance.
+// ------------------------------------------------------------------
+router.get('/campaigns/:id/estimate', async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    const result = await estimateCampaign(id, req.user.id);
+    if (!result.ok) return res.status(404).json({ message: 'not found' });
+
+    const { ok, ...estimate } = result;
+    res.json(estimate);
   } catch (e) {
     next(e);
   }
@@ -344,16 +691,40 @@ router.post('/campaigns/:id/enqueue', async (req, res, next) => {
     });
     if (!campaign) return res.status(404).json({ message: 'not found' });
 
-    if (!['draft', 'scheduled', 'paused'].includes(campaign.status)) {
+    // 'sending' without enqueuedAt = a build that may have died halfway (service checks the heartbeat)
+    const resumable = campaign.status === 'sending' && !campaign.enqueuedAt;
+    if (!['draft', 'scheduled', 'paused'].includes(campaign.status) && !resumable) {
       return res.status(409).json({ message: 'campaign not in enqueueable status' });
     }
 
     const result = await enqueueCampaign(id);
-    if (result?.ok) return res.json(result);
+    if (result?.ok) {
+      // Send window closed right now: messages are queued and go out when it opens
+      const closed = await closedWindowNotice(req.user.id, new Date());
+      return res.json(closed ? { ...result, sendWindow: closed } : result);
+    }
 
     if (result?.reason === 'no_valid_recipients') {
       return res.status(400).json({ message: 'no valid recipients in the audience' });
     }
+    if (result?.reason === 'ab_sample_empty') {
+      return res.status(400).json({ message: 'A/B test sample is empty; raise the test percentage' });
+    }
+    if (result?.reason === 'all_recipients_capped') {
+      return res.status(409).json({
+        message: 'every recipient has reached the frequency cap',
+        skipped: result.skipped
+      });
+    }
+    if (result?.reason === 'invalid_status') {
+      return res.status(409).json({ message: 'campaign not in enqueueable status' });
+    }
+    if (result?.reason === 'insufficient_credits') {
+      return res.status(402).json({ message: 'insufficient credits; campaign paused, resume after top-up', ...result });
+    }
+    if (result?.reason === 'aborted') {
+      return res.status(409).json({ message: 'campaign was cancelled while enqueueing', ...result });
+    }
 
     return res.status(500).json({ message: 'enqueue_failed' });
   } catch (e) {
@@ -362,6 +733,98 @@ router.post('/campaigns/:id/enqueue', async (req, res, next) => {
   }
 });
 
+// ------------------------------------------------------------------
+// POST /api/campaigns/:id/pause | /resume | /cancel
+//  - pause:  sending -> paused (worker holds remaining queued messages)
+//  - resume: paused -> sending
+//  - cancel: scheduled|sending|paused -> cancelled (unsent messages refunded)
+// ------------------------------------------------------------------
+function controlHandler(action, verb) {
+  return async (req, res, next) => {
+    try {
+      const id = Number(req.params.id);
+      const result = await action(id, req.user.id);
+      if (result?.ok) return res.json(result);
+
+      if (result?.reason === 'not_found') return res.status(404).json({ message: 'not found' });
+      if (result?.reason === 'insufficient_credits') {
+        return res.status(402).json({ message: 'insufficient credits', ...result });
+      }
+      return res.status(409).json({ message: `campaign cannot be ${verb} in its current status` });
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
+router.post('/campaigns/:id/pause', controlHandler(pauseCampaign, 'paused'));
+router.post('/campaigns/:id/resume', controlHandler(resumeCampaign, 'resumed'));
+router.post('/campaigns/:id/cancel', controlHandler(cancelCampaign, 'cancelled'));
+
+// ------------------------------------------------------------------
+// POST /api/campaigns/:id/retry-failed
+// Body: { errorClasses?: string[] }  (e.g. ["network","provider_error"]; omit = all failed)
+// Re-queues failed messages (same text and trackingId) and reserves their credits again.
+// ------------------------------------------------------------------
+router.post('/campaigns/:id/retry-failed', async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    const result = await retryFailedMessages(id, req.user.id, {
+      errorClasses: req.body?.errorClasses
+    });
+    if (result?.ok) return res.json(result);
+
+    if (result?.reason === 'not_found') return res.status(404).json({ message: 'not found' });
+    if (result?.reason === 'insufficient_credits') {
+      return res.status(402).json({ message: 'insufficient credits', ...result });
+    }
+    return res.status(409).json({ message: 'campaign failures cannot be retried in its current status' });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// ------------------------------------------------------------------
+// POST /api/campaigns/:id/test-send
+// Body: { phones?: string[] (max 5; default = profile seedNumbers),
+//         sampleContactId?, variant? ("A"/"B"/"C", A/B campaigns) }
+// Sends the rendered campaign text now and debits its credits; results are
+// stored as test messages (not part of the campaign stats).
+// ------------------------------------------------------------------
+router.post('/campaigns/:id/test-send', async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    const { phones, sampleContactId, variant } = req.body || {};
+    const result = await sendCampaignTest(id, req.user.id, { phones, sampleContactId, variant });
+    if (result?.ok) return res.json(result);
+
+    if (result?.reason === 'not_found') return res.status(404).json({ message: 'not found' });
+    if (result?.reason === 'no_recipients') {
+      return res.status(400).json({ message: 'provide phones or save seed numbers on your profile' });
+    }
+    if (result?.reason === 'contact_not_found') return res.status(400).json({ message: 'sample contact not found' });
+    if (result?.reason === 'variant_not_found') return res.status(400).json({ message: 'variant not found' });
+    return res.status(409).json({ message: 'campaign already launched' });
+  } catch (e) {
+    if (e?.status === 402) return res.status(402).json({ message: 'insufficient credits' });
+    next(e);
+  }
+});
+
+// ------------------------------------------------------------------
+// GET /api/campaigns/:id/test-sends?limit=
+// ------------------------------------------------------------------
+router.get('/campaigns/:id/test-sends', async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    const exists = await prisma.campaign.count({ where: { id, ownerId: req.user.id } });
+    if (!exists) return res.status(404).json({ message: 'not found' });
+    res.json({ items: await listCampaignTests(id, req.user.id, { limit: req.query.limit }) });
+  } catch (e) {
+    next(e);
+  }
+});
+
 // ------------------------------------------------------------------
 // GET /api/campaigns/:id/status
 // ------------------------------------------------------------------
@@ -374,16 +837,25 @@ router.get('/campaigns/:id/status', async (req, res, next) => {
     });
     if (!c) return res.status(404).json({ message: 'not found' });
 
-    const [queued, sent, delivered, failed] = await Promise.all([
+    const [queued, sending, sent, delivered, failed, skipped] = await Promise.all([
       prisma.campaignMessage.count({ where: { ownerId: req.user.id, campaignId: id, status: 'queued' } }),
+      prisma.campaignMessage.count({ where: { ownerId: req.user.id, campaignId: id, status: 'sending' } }),
       prisma.campaignMessage.count({ where: { ownerId: req.user.id, campaignId: id, status: 'sent' } }),
       prisma.campaignMessage.count({ where: { ownerId: req.user.id, campaignId: id, status: 'delivered' } }),
       prisma.campaignMessage.count({ where: { ownerId: req.user.id, campaignId: id, status: 'failed' } }),
+      prisma.campaignMessage.count({ where: { ownerId: req.user.id, campaignId: id, status: 'skipped' } }),
     ]);
 
     await finalizeCampaignIfDone(id);
 
-    res.json({ campaign: c, metrics: { queued, sent, delivered, failed } });
+    const enqueue = {
+      processed: c.enqueueProcessed,
+      total: c.enqueueTotal,
+      done: !!c.enqueuedAt,
+      progress: c.enqueuedAt ? 1 : (c.enqueueTotal ? Math.min(1, Number((c.enqueueProcessed / c.enqueueTotal).toFixed(4))) : 0)
+    };
+
+    res.json({ campaign: c, metrics: { queued, sending, sent, delivered, failed, skipped }, enqueue });
   } catch (e) {
     next(e);
   }
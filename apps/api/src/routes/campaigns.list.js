@@ -16,6 +16,7 @@ router.use(requireAuth);
  *  - dateFrom, dateTo (ISO)
  *  - orderBy (createdAt|startedAt|finishedAt), order (asc|desc)
  *  - withStats=true|false
+ *  - archived=false|true|all (default false: archived campaigns are hidden)
  */
 router.get('/campaigns', async (req, res, next) => {
   try {
@@ -28,13 +29,14 @@ router.get('/campaigns', async (req, res, next) => {
       dateTo,
       orderBy = 'createdAt',
       order = 'desc',
-      withStats = 'true'
+      withStats = 'true',
+      archived
     } = req.query;
 
     const result = await listCampaigns({
       ownerId: req.user.id,
       page, pageSize, q, status, dateFrom, dateTo,
-      orderBy, order,
+      orderBy, order, archived,
       withStats: String(withStats).toLowerCase() !== 'false'
     });
 
@@ -0,0 +1,72 @@
+// apps/api/src/routes/campaigns.messages.js
+const express = require('express');
+const prisma = require('../lib/prisma');
+const requireAuth = require('../middleware/requireAuth');
+const {
+  listCampaignMessages,
+  exportCampaignMessagesCsv,
+} = require('../services/campaignMessages.service');
+
+const router = express.Router();
+
+async function findOwnedCampaign(req) {
+  const id = Number(req.params.id);
+  if (!id) return null;
+  return prisma.campaign.findFirst({
+    where: { id, ownerId: req.user.id },
+    select: { id: true, name: true }
+  });
+}
+
+/* =========================================================
+ * GET /campaigns/:id/messages  (protected)
+ * Per-recipient message log.
+ * Query: status? (comma-separated), q? (phone or name), cursor?, limit? (≤200)
+ * Returns { items, nextCursor } — pass nextCursor back as ?cursor= for the next page.
+ * ========================================================= */
+router.get('/campaigns/:id/messages', requireAuth, async (req, res, next) => {
+  try {
+    const campaign = await findOwnedCampaign(req);
+    if (!campaign) return res.status(404).json({ message: 'not found' });
+
+    const { status, q, cursor, limit } = req.query;
+    const page = await listCampaignMessages(req.user.id, campaign.id, { status, q, cursor, limit });
+    res.json(page);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * GET /campaigns/:id/messages/export  (protected)
+ * Same data and filters as the log, streamed as CSV.
+ * ========================================================= */
+router.get('/campaigns/:id/messages/export', requireAuth, async (req, res, next) => {
+  let started = false;
+  try {
+    const campaign = await findOwnedCampaign(req);
+    if (!campaign) return res.status(404).json({ message: 'not found' });
+
+    const { status, q } = req.query;
+    const write = (chunk) => {
+      if (!started) {
+        started = true;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="campaign-${campaign.id}-messages.csv"`);
+        res.write('\uFEFF'); // BOM so Excel reads Greek names correctly
+      }
+      // Respect backpressure on large exports
+      if (res.write(chunk)) return;
+      return new Promise((resolve) => res.once('drain', resolve));
+    };
+
+    await exportCampaignMessagesCsv(req.user.id, campaign.id, { status, q }, write);
+    res.end();
+  } catch (e) {
+    // Headers already sent: the only option left is to cut the download
+    if (started) return res.destroy(e);
+    next(e);
+  }
+});
+
+module.exports = router;
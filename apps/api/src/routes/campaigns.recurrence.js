@@ -0,0 +1,108 @@
+// apps/api/src/routes/campaigns.recurrence.js
+const express = require('express');
+const requireAuth = require('../middleware/requireAuth');
+const {
+  setRecurrence,
+  clearRecurrence,
+  listOccurrences,
+  skipOccurrence,
+} = require('../services/campaignRecurrence.service');
+
+const router = express.Router();
+
+function sendFailure(res, result, conflictMessage) {
+  if (result.reason === 'not_found') return res.status(404).json({ message: 'not found' });
+  if (result.reason === 'not_an_occurrence') {
+    return res.status(400).json({ message: 'not an upcoming occurrence of this campaign' });
+  }
+  if (result.reason === 'outside_send_window') {
+    return res.status(400).json({
+      message: 'no occurrence falls inside your send window',
+      nextAllowedAt: result.nextAllowedAt
+    });
+  }
+  if (result.reason === 'nothing_to_skip') return res.status(409).json({ message: 'no upcoming occurrence to skip' });
+  return res.status(409).json({ message: conflictMessage });
+}
+
+/* =========================================================
+ * PUT /campaigns/:id/recurrence  (protected)
+ * Body: { rule, timezone, endsAt? }
+ *   rule: cron ("0 11 * * 5") or RRULE ("FREQ=WEEKLY;BYDAY=FR;BYHOUR=11;BYMINUTE=0")
+ *   timezone: IANA name ("Europe/Athens")
+ * Draft campaign → recurring parent. Every occurrence creates and sends a child
+ * campaign with the audience as it is at that moment.
+ * outsideSendWindow lists upcoming occurrences outside the owner's send window
+ * (sent when it opens); a schedule with none inside is refused.
+ * ========================================================= */
+router.put('/campaigns/:id/recurrence', requireAuth, async (req, res, next) => {
+  try {
+    const { rule, timezone, endsAt } = req.body || {};
+    const result = await setRecurrence(Number(req.params.id), req.user.id, { rule, timezone, endsAt });
+    if (!result.ok) return sendFailure(res, result, 'only draft campaigns can recur');
+
+    const { campaign, upcoming, outsideSendWindow } = result;
+    res.json({
+      campaignId: campaign.id,
+      status: campaign.status,
+      recurrence: {
+        rule: campaign.recurrenceRule,
+        cron: campaign.recurrenceCron,
+        timezone: campaign.timezone,
+        endsAt: campaign.recurrenceEndsAt
+      },
+      upcoming,
+      outsideSendWindow
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * DELETE /campaigns/:id/recurrence  (protected)
+ * Stop recurring; the campaign returns to draft, past occurrences stay.
+ * ========================================================= */
+router.delete('/campaigns/:id/recurrence', requireAuth, async (req, res, next) => {
+  try {
+    const result = await clearRecurrence(Number(req.params.id), req.user.id);
+    if (!result.ok) return sendFailure(res, result, 'campaign is not recurring');
+    res.json({ ok: true, status: 'draft' });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * GET /campaigns/:id/occurrences  (protected)
+ * Query: upcoming? (≤50, default 5), limit? (past, ≤100, default 20)
+ * Returns { recurrence, past: child campaigns, upcoming: [{ at, skipped }] }
+ * ========================================================= */
+router.get('/campaigns/:id/occurrences', requireAuth, async (req, res, next) => {
+  try {
+    const { upcoming, limit } = req.query;
+    const result = await listOccurrences(Number(req.params.id), req.user.id, { upcoming, limit });
+    if (!result.ok) return sendFailure(res, result);
+
+    const { ok, ...body } = result;
+    res.json(body);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * POST /campaigns/:id/occurrences/skip  (protected)
+ * Body: { at? } — a specific upcoming occurrence (ISO); default: the next one
+ * ========================================================= */
+router.post('/campaigns/:id/occurrences/skip', requireAuth, async (req, res, next) => {
+  try {
+    const result = await skipOccurrence(Number(req.params.id), req.user.id, { at: req.body?.at });
+    if (!result.ok) return sendFailure(res, result, 'campaign is not recurring');
+    res.json(result);
+  } catch (e) {
+    next(e);
+  }
+});
+
+module.exports = router;
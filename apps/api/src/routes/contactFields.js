@@ -0,0 +1,84 @@
+// apps/api/src/routes/contactFields.js
+const express = require('express');
+const requireAuth = require('../middleware/requireAuth');
+const {
+  listContactFields,
+  createContactField,
+  updateContactField,
+  deleteContactField,
+} = require('../services/contactFields.service');
+
+const router = express.Router();
+
+/* =========================================================
+ * GET /contact-fields  (protected)
+ * The owner's custom contact fields.
+ * ========================================================= */
+router.get('/contact-fields', requireAuth, async (req, res, next) => {
+  try {
+    res.json({ items: await listContactFields(req.user.id) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * POST /contact-fields  (protected)
+ * Body: { key, label?, type: text | number | date | boolean | enum, options? (enum) }
+ * Contacts then accept customFields: { [key]: value }; filters, segments,
+ * exports and templates use it as custom.<key>.
+ * ========================================================= */
+router.post('/contact-fields', requireAuth, async (req, res, next) => {
+  try {
+    const { key, label, type, options } = req.body || {};
+    const result = await createContactField(req.user.id, { key, label, type, options });
+    if (!result.ok) {
+      if (result.reason === 'key_taken') return res.status(409).json({ message: 'key already exists' });
+      return res.status(409).json({ message: 'too many custom fields' });
+    }
+    res.status(201).json(result.field);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * PUT /contact-fields/:id  (protected)
+ * Body: { label?, options? (enum) }. Key and type can't change.
+ * ========================================================= */
+router.put('/contact-fields/:id', requireAuth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: 'invalid id' });
+
+    const { label, options } = req.body || {};
+    const result = await updateContactField(id, req.user.id, { label, options });
+    if (!result.ok) return res.status(404).json({ message: 'not found' });
+    res.json(result.field);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * DELETE /contact-fields/:id  (protected)
+ * Removes the field and its value from every contact.
+ * Refused while a segment has a rule on the field.
+ * ========================================================= */
+router.delete('/contact-fields/:id', requireAuth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: 'invalid id' });
+
+    const result = await deleteContactField(id, req.user.id);
+    if (!result.ok) {
+      if (result.reason === 'not_found') return res.status(404).json({ message: 'not found' });
+      return res.status(409).json({ message: 'field is used by segments', segments: result.segments });
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    next(e);
+  }
+});
+
+module.exports = router;
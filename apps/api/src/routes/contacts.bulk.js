@@ -0,0 +1,69 @@
+// apps/api/src/routes/contacts.bulk.js
+const express = require('express');
+const requireAuth = require('../middleware/requireAuth');
+const { createLimiter, rateLimitByIp } = require('../lib/ratelimit');
+const {
+  createBulkOperation,
+  getBulkOperation,
+  listBulkOperations,
+} = require('../services/contactBulk.service');
+
+const router = express.Router();
+
+// Bulk writes (protected): 10 req/min per IP
+const bulkIpLimiter = createLimiter({ keyPrefix: 'rl:contacts:bulk:ip', points: 10, duration: 60 });
+
+/* =========================================================
+ * POST /contacts/bulk  (protected)
+ * Body: { action: delete | subscribe | unsubscribe | set_gender | add_to_list | remove_from_list
+ *                 | add_tags | remove_tags,
+ *         ids?: number[] | filter?: { q, isSubscribed, listId, gender, birthdayFrom,
+ *         birthdayTo, minConversions, tags, tagMatch, custom.<key>... } (same as GET /contacts;
+ *         {} = every contact),
+ *         gender? (set_gender), listId? (add_to_list / remove_from_list),
+ *         tagIds? (add_tags / remove_tags) }
+ * Small selections run right away (200, final counts); larger ones run in the
+ * background (202), poll GET /contacts/bulk/:id.
+ * ========================================================= */
+router.post('/contacts/bulk', requireAuth, rateLimitByIp(bulkIpLimiter), async (req, res, next) => {
+  try {
+    const { action, ids, filter, gender, listId, tagIds } = req.body || {};
+    const result = await createBulkOperation(req.user.id, { action, ids, filter, gender, listId, tagIds });
+    if (!result.ok) {
+      if (result.reason === 'list_not_found') return res.status(404).json({ message: 'list not found' });
+      if (result.reason === 'tag_not_found') return res.status(404).json({ message: 'tag not found', tagIds: result.missing });
+      return res.status(409).json({ message: 'System list membership is automatic' });
+    }
+    res.status(result.queued ? 202 : 200).json(result.operation);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * GET /contacts/bulk?page=&pageSize=  (protected)
+ * ========================================================= */
+router.get('/contacts/bulk', requireAuth, async (req, res, next) => {
+  try {
+    const { page, pageSize } = req.query;
+    res.json(await listBulkOperations(req.user.id, { page, pageSize }));
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * GET /contacts/bulk/:id  (protected)
+ * Status and counts: total, processed, affected (changed), unchanged.
+ * ========================================================= */
+router.get('/contacts/bulk/:id', requireAuth, async (req, res, next) => {
+  try {
+    const op = await getBulkOperation(Number(req.params.id), req.user.id);
+    if (!op) return res.status(404).json({ message: 'not found' });
+    res.json(op);
+  } catch (e) {
+    next(e);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+// apps/api/src/routes/contacts.import.js
+const express = require('express');
+const multer = require('multer');
+const requireAuth = require('../middleware/requireAuth');
+const {
+  createContactImport,
+  dryRunContactImport,
+  startContactImport,
+  getContactImport,
+  listContactImports,
+  writeImportErrorReport,
+} = require('../services/contactImport.service');
+
+const router = express.Router();
+
+const MAX_FILE_MB = Number(process.env.IMPORT_MAX_FILE_MB || 10);
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_MB * 1024 * 1024, files: 1 }
+});
+
+// multer errors (file too large, unexpected field) → 400
+function uploadFile(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) return res.status(400).json({ message: err.message });
+    next(err);
+  });
+}
+
+function settingsFrom(body = {}) {
+  const { mapping, defaultCountry, updateExisting, listId } = body;
+  return { mapping, defaultCountry, updateExisting, listId };
+}
+
+function sendFailure(res, result) {
+  if (result.reason === 'not_found') return res.status(404).json({ message: 'not found' });
+  return res.status(409).json({ message: 'import already started' });
+}
+
+/* =========================================================
+ * POST /contacts/imports  (protected, multipart/form-data)
+ * Field "file": .csv (comma, semicolon or tab separated) or .xlsx (first sheet),
+ * first row = column names. Returns the import with headers, the first rows
+ * and a suggested mapping.
+ * ========================================================= */
+router.post('/contacts/imports', requireAuth, uploadFile, async (req, res, next) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: 'file required' });
+    const result = await createContactImport(req.user.id, req.file);
+    res.status(201).json(result);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * GET /contacts/imports?page=&pageSize=  (protected)
+ * ========================================================= */
+router.get('/contacts/imports', requireAuth, async (req, res, next) => {
+  try {
+    const { page, pageSize } = req.query;
+    res.json(await listContactImports(req.user.id, { page, pageSize }));
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * GET /contacts/imports/:id  (protected)
+ * Status and progress (processedRows / totalRows, counts).
+ * ========================================================= */
+router.get('/contacts/imports/:id', requireAuth, async (req, res, next) => {
+  try {
+    const imp = await getContactImport(Number(req.params.id), req.user.id);
+    if (!imp) return res.status(404).json({ message: 'not found' });
+    res.json(imp);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * POST /contacts/imports/:id/dry-run  (protected)
+ * Body: { mapping: { phone, firstName?, lastName?, fullName?, email?, gender?,
+ *         birthday?, list? } (field → column name),
+ *         defaultCountry? ("GR"), updateExisting? (true), listId? }
+ * Saves the settings and reports what the import would create, update,
+ * skip and reject. Nothing else is written.
+ * ========================================================= */
+router.post('/contacts/imports/:id/dry-run', requireAuth, async (req, res, next) => {
+  try {
+    const result = await dryRunContactImport(Number(req.params.id), req.user.id, settingsFrom(req.body));
+    if (!result.ok) return sendFailure(res, result);
+    const { ok, ...report } = result;
+    res.json(report);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * POST /contacts/imports/:id/start  (protected)
+ * Body: same settings as the dry run (optional when already saved).
+ * Runs the import in the background; poll GET /contacts/imports/:id.
+ * A failed import can be started again and resumes where it stopped.
+ * ========================================================= */
+router.post('/contacts/imports/:id/start', requireAuth, async (req, res, next) => {
+  try {
+    const result = await startContactImport(Number(req.params.id), req.user.id, settingsFrom(req.body));
+    if (!result.ok) return sendFailure(res, result);
+    res.status(202).json(result.import);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * GET /contacts/imports/:id/errors.csv  (protected)
+ * Rejected rows: row number, reason and the original columns.
+ * ========================================================= */
+router.get('/contacts/imports/:id/errors.csv', requireAuth, async (req, res, next) => {
+  let started = false;
+  try {
+    const id = Number(req.params.id);
+    const write = (chunk) => {
+      if (!started) {
+        started = true;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="contact-import-${id}-errors.csv"`);
+        res.write('\uFEFF'); // BOM so Excel reads Greek names correctly
+      }
+      if (res.write(chunk)) return;
+      return new Promise((resolve) => res.once('drain', resolve));
+    };
+
+    const found = await writeImportErrorReport(id, req.user.id, write);
+    if (!found) return res.status(404).json({ message: 'not found' });
+    res.end();
+  } catch (e) {
+    if (started) return res.destroy(e);
+    next(e);
+  }
+});
+
+module.exports = router;
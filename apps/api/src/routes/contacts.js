@@ -14,6 +14,24 @@ const { normalizeToE164, isE164 } = require('../lib/phone');
 // System lists (male/female) helpers
 // create file ../lib/systemLists.js with ensureSystemListsForOwner & syncGenderMembership
 const { ensureSystemListsForOwner, syncGenderMembership } = require('../lib/systemLists');
+const { unsubscribeByToken } = require('../services/unsubscribe.service');
+const { deleteContacts } = require('../services/contactDelete.service');
+const { SOURCES, recordContactEvent, getContactActivity } = require('../services/contactEvents.service');
+const { normalizeGender, buildContactWhere } = require('../services/contactFilters.service');
+const { resolveCustomFields, listContactFields } = require('../services/contactFields.service');
+const {
+  CONTACT_TAGS_SELECT,
+  parseTagIds,
+  findOwnerTags,
+  addTagsToContacts,
+  flattenTags,
+} = require('../services/tags.service');
+const {
+  parseExportColumns,
+  parseExportFormat,
+  exportContactsCsv,
+  exportContactsXlsx,
+} = require('../services/contactExport.service');
 
 const router = express.Router();
 
@@ -35,11 +53,6 @@ function newUnsubTokenHash() {
   return { raw, hash };
 }
 
-/** Hash helper for incoming public tokens */
-function sha256Hex(s) {
-  return crypto.createHash('sha256').update(s).digest('hex');
-}
-
 /** Safe parse of a date-like value (YYYY-MM-DD allowed). Returns Date | null | undefined. */
 function parseBirthday(val) {
   if (val === null) return null;
@@ -49,19 +62,13 @@ function parseBirthday(val) {
   return d;
 }
 
-/** Normalize gender to allowed enum. Returns one of: male|female|other|unknown */
-function normalizeGender(g) {
-  const s = String(g || '').toLowerCase();
-  if (s === 'male' || s === 'm') return 'male';
-  if (s === 'female' || s === 'f') return 'female';
-  if (s === 'other') return 'other';
-  return 'unknown';
-}
-
-/** Enrollment Code: HMAC-signed blob "ownerId.timestamp" → base64url(ownerId.ts.sig) */
-function signEnrollCode(ownerId) {
+/**
+ * Enrollment Code: HMAC-signed blob "ownerId.timestamp[.tagIds]" → base64url(ownerId.ts[.tags].sig)
+ * tagIds (joined with "-") are tags every contact enrolling with the code gets.
+ */
+function signEnrollCode(ownerId, tagIds = []) {
   const ts = Date.now();
-  const data = `${ownerId}.${ts}`;
+  const data = tagIds.length ? `${ownerId}.${ts}.${tagIds.join('-')}` : `${ownerId}.${ts}`;
   const sig = crypto.createHmac('sha256', ENROLL_SECRET).update(data).digest('hex');
   const token = Buffer.from(`${data}.${sig}`).toString('base64url');
   return token;
@@ -70,13 +77,16 @@ function signEnrollCode(ownerId) {
 function verifyEnrollCode(token) {
   try {
     const raw = Buffer.from(String(token), 'base64url').toString('utf8');
-    const [ownerIdStr, tsStr, sig] = raw.split('.');
+    const parts = raw.split('.');
+    if (parts.length !== 3 && parts.length !== 4) return { ok: false, reason: 'malformed' };
+    const sig = parts.pop();
+    const [ownerIdStr, tsStr, tagsStr] = parts;
     const ownerId = Number(ownerIdStr);
     const ts = Number(tsStr);
     if (!ownerId || !ts || !sig) return { ok: false, reason: 'malformed' };
 
     const expect = crypto.createHmac('sha256', ENROLL_SECRET)
-      .update(`${ownerId}.${ts}`).digest('hex');
+      .update(parts.join('.')).digest('hex');
     if (!crypto.timingSafeEqual(Buffer.from(expect), Buffer.from(sig))) {
       return { ok: false, reason: 'bad-signature' };
     }
@@ -86,7 +96,8 @@ function verifyEnrollCode(token) {
       return { ok: false, reason: 'expired' };
     }
 
-    return { ok: true, ownerId };
+    const tagIds = tagsStr ? tagsStr.split('-').map(Number).filter(Boolean) : [];
+    return { ok: true, ownerId, tagIds };
   } catch (_e) {
     return { ok: false, reason: 'decode-failed' };
   }
@@ -99,6 +110,9 @@ function verifyEnrollCode(token) {
 // Write ops (protected): 60 req/min per IP (covers create/update/delete)
 const writeIpLimiter = createLimiter({ keyPrefix: 'rl:contacts:write:ip', points: 60, duration: 60 });
 
+// Exports (protected, full table scans): 10 req/min per IP
+const exportIpLimiter = createLimiter({ keyPrefix: 'rl:contacts:export:ip', points: 10, duration: 60 });
+
 // Public unsubscribe: 20 req/min per IP; and per-token 5 / day
 const unsubIpLimiter = createLimiter({ keyPrefix: 'rl:unsub:ip', points: 20, duration: 60 });
 const unsubTokenLimiter = createLimiter({ keyPrefix: 'rl:unsub:token', points: 5, duration: 86400 });
@@ -123,6 +137,7 @@ router.post(
         lastName,
         gender,
         birthday,
+        customFields,
       } = req.body || {};
 
       if (!phone) return res.status(400).json({ message: 'phone required' });
@@ -139,6 +154,9 @@ router.post(
         e164 = norm.e164;
       }
 
+      // Validated against the owner's custom field definitions
+      const custom = await resolveCustomFields(req.user.id, customFields);
+
       // Prepare unsubscribe token hash if absent; we don't return raw token here.
       const { hash } = newUnsubTokenHash();
 
@@ -151,6 +169,7 @@ router.post(
           lastName: lastName || null,
           gender: normalizeGender(gender),
           birthday: parseBirthday(birthday) ?? null,
+          customFields: custom,
           unsubscribeTokenHash: hash,
         },
         select: {
@@ -158,6 +177,7 @@ router.post(
           firstName: true, lastName: true,
           gender: true, birthday: true,
           isSubscribed: true, unsubscribedAt: true,
+          customFields: true,
           ownerId: true,
         }
       });
@@ -165,6 +185,14 @@ router.post(
       // Auto-manage Male/Female system lists
       await syncGenderMembership(created);
 
+      await recordContactEvent({
+        ownerId: created.ownerId,
+        contactId: created.id,
+        type: 'subscribed',
+        source: SOURCES.MANUAL,
+        meta: { created: true }
+      });
+
       res.status(201).json(created);
     } catch (e) {
       if (e.code === 'P2002') {
@@ -177,81 +205,13 @@ router.post(
 
 
 // =============================
-// PROTECTED: List contacts (with listId, gender, birthday, minConversions)
+// PROTECTED: List contacts (with listId, gender, birthday, minConversions, tags, custom fields)
 router.get('/contacts', requireAuth, async (req, res, next) => {
   try {
     const page = Math.max(1, parseInt(req.query.page || '1', 10));
     const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize || '20', 10)));
-    const q = (req.query.q || '').toString().trim();
-    const sub = (req.query.isSubscribed || '').toString().toLowerCase();
-
-    let listId = req.query.listId ? Number(req.query.listId) : undefined;
-    const gender = req.query.gender ? normalizeGender(req.query.gender) : undefined;
-    const bFrom = req.query.birthdayFrom ? new Date(req.query.birthdayFrom) : undefined;
-    const bTo   = req.query.birthdayTo   ? new Date(req.query.birthdayTo)   : undefined;
-
-    // explicit minConversions param also supported
-    let minConversions = req.query.minConversions ? Number(req.query.minConversions) : undefined;
-    if (Number.isNaN(minConversions) || minConversions <= 0) minConversions = undefined;
-
-    // If a system list with slug = high-conversions is selected, translate to minConversions=2
-    if (listId) {
-      const selected = await prisma.list.findFirst({
-        where: { id: listId, ownerId: req.user.id },
-        select: { id: true, isSystem: true, slug: true }
-      });
-      if (selected?.isSystem && selected.slug === 'high-conversions') {
-        minConversions = minConversions ?? 2; // default
-        listId = undefined; // do not filter by membership; we'll use conversions
-      }
-    }
-
-    const where = { ownerId: req.user.id };
-
-    if (q) {
-      where.OR = [
-        { phone:     { contains: q, mode: 'insensitive' } },
-        { email:     { contains: q, mode: 'insensitive' } },
-        { firstName: { contains: q, mode: 'insensitive' } },
-        { lastName:  { contains: q, mode: 'insensitive' } },
-      ];
-    }
-
-    if (sub === 'true') where.isSubscribed = true;
-    if (sub === 'false') where.isSubscribed = false;
-
-    if (gender && gender !== 'unknown') {
-      where.gender = gender;
-    }
-    if (bFrom || bTo) {
-      where.birthday = {};
-      if (bFrom && !Number.isNaN(bFrom.getTime())) where.birthday.gte = bFrom;
-      if (bTo   && !Number.isNaN(bTo.getTime()))   where.birthday.lte = bTo;
-    }
-
-    // Either filter by a normal list membership...
-    if (listId) {
-      where.listMemberships = { some: { listId } };
-    }
-
-    // ...or by conversions (redemptions) >= N (virtual list)
-    let convIds = undefined;
-    if (minConversions) {
-      const groups = await prisma.redemption.groupBy({
-        by: ['contactId'],
-        where: { ownerId: req.user.id },
-        _count: { _all: true },
-        having: {
-          contactId: { _count: { gte: minConversions } }
-        }
-      });
-      convIds = groups.map(g => g.contactId);
-      if (convIds.length === 0) {
-        return res.json({ items: [], total: 0, page, pageSize });
-      }
-      // restrict to those ids
-      where.id = { in: convIds };
-    }
+    const { where, empty } = await buildContactWhere(req.user.id, req.query);
+    if (empty) return res.json({ items: [], total: 0, page, pageSize });
 
     const [items, total] = await Promise.all([
       prisma.contact.findMany({
@@ -264,18 +224,63 @@ router.get('/contacts', requireAuth, async (req, res, next) => {
           firstName: true, lastName: true,
           gender: true, birthday: true,
           isSubscribed: true, unsubscribedAt: true,
+          customFields: true,
+          tags: CONTACT_TAGS_SELECT,
         }
       }),
       prisma.contact.count({ where })
     ]);
 
-    res.json({ items, total, page, pageSize });
+    res.json({ items: items.map(flattenTags), total, page, pageSize });
   } catch (e) {
     next(e);
   }
 });
 
 
+// =============================
+// PROTECTED: Export contacts (same filters as the list)
+// GET /contacts/export?format=csv|xlsx&columns=phone,firstName,custom.tier,...&<list filters>
+// Streams every matching contact; columns default to the common ones plus
+// the custom fields (see contactExport.service for the full set).
+// =============================
+router.get('/contacts/export', requireAuth, rateLimitByIp(exportIpLimiter), async (req, res, next) => {
+  let started = false;
+  try {
+    const format = parseExportFormat(req.query.format);
+    const fields = await listContactFields(req.user.id);
+    const columns = parseExportColumns(req.query.columns, fields.map((f) => f.key));
+    const filename = `contacts-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      started = true;
+      await exportContactsXlsx(req.user.id, req.query, columns, res);
+      return;
+    }
+
+    const write = (chunk) => {
+      if (!started) {
+        started = true;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.write('\uFEFF'); // BOM so Excel reads Greek names correctly
+      }
+      // Respect backpressure on large exports
+      if (res.write(chunk)) return;
+      return new Promise((resolve) => res.once('drain', resolve));
+    };
+    await exportContactsCsv(req.user.id, req.query, columns, write);
+    res.end();
+  } catch (e) {
+    // Headers already sent: the only option left is to cut the download
+    if (started) return res.destroy(e);
+    next(e);
+  }
+});
+
+
 // =============================
 // PROTECTED: Get one contact
 // =============================
@@ -291,11 +296,36 @@ router.get('/contacts/:id', requireAuth, async (req, res, next) => {
         firstName: true, lastName: true,
         gender: true, birthday: true,
         isSubscribed: true, unsubscribedAt: true,
+        customFields: true,
+        tags: CONTACT_TAGS_SELECT,
       }
     });
 
     if (!contact) return res.status(404).json({ message: 'not found' });
-    res.json(contact);
+    res.json(flattenTags(contact));
+  } catch (e) {
+    next(e);
+  }
+});
+
+// =============================
+// PROTECTED: Activity timeline of one contact
+// Messages, redemptions, subscription/list changes, offer visits, automation sends.
+// Query: cursor? (nextCursor from the previous page), limit? (≤100)
+// =============================
+router.get('/contacts/:id/activity', requireAuth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: 'invalid id' });
+
+    const contact = await prisma.contact.findFirst({
+      where: { id, ownerId: req.user.id },
+      select: { id: true }
+    });
+    if (!contact) return res.status(404).json({ message: 'not found' });
+
+    const { cursor, limit } = req.query;
+    res.json(await getContactActivity(req.user.id, id, { cursor, limit }));
   } catch (e) {
     next(e);
   }
@@ -313,7 +343,7 @@ router.put(
       const id = Number(req.params.id);
       if (!id) return res.status(400).json({ message: 'invalid id' });
 
-      const { phone, email, firstName, lastName, isSubscribed, gender, birthday } = req.body || {};
+      const { phone, email, firstName, lastName, isSubscribed, gender, birthday, customFields } = req.body || {};
       const data = {};
 
       if (typeof phone !== 'undefined') {
@@ -357,6 +387,11 @@ router.put(
       const before = await prisma.contact.findFirst({ where: { id, ownerId: req.user.id } });
       if (!before) return res.status(404).json({ message: 'not found' });
 
+      // Merged into the stored values (null removes a field)
+      if (typeof customFields !== 'undefined') {
+        data.customFields = await resolveCustomFields(req.user.id, customFields, before.customFields);
+      }
+
       const updated = await prisma.contact.update({
         where: { id },
         data,
@@ -365,6 +400,7 @@ router.put(
           firstName: true, lastName: true,
           gender: true, birthday: true,
           isSubscribed: true, unsubscribedAt: true,
+          customFields: true,
           ownerId: true,
         }
       });
@@ -374,6 +410,15 @@ router.put(
         await syncGenderMembership(updated);
       }
 
+      if (before.isSubscribed !== updated.isSubscribed) {
+        await recordContactEvent({
+          ownerId: updated.ownerId,
+          contactId: updated.id,
+          type: updated.isSubscribed ? 'subscribed' : 'unsubscribed',
+          source: SOURCES.MANUAL
+        });
+      }
+
       res.json(updated);
     } catch (e) {
       if (e.code === 'P2002') return res.status(409).json({ message: 'phone already exists' });
@@ -394,11 +439,10 @@ router.delete(
       const id = Number(req.params.id);
       if (!id) return res.status(400).json({ message: 'invalid id' });
 
-      const r = await prisma.contact.deleteMany({
-        where: { id, ownerId: req.user.id }
-      });
+      // Closes the credit reservations of the contact's messages first
+      const deleted = await deleteContacts(req.user.id, [id]);
 
-      if (r.count === 0) return res.status(404).json({ message: 'not found' });
+      if (deleted === 0) return res.status(404).json({ message: 'not found' });
       res.json({ ok: true });
     } catch (e) {
       next(e);
@@ -418,17 +462,8 @@ router.post(
       const { token } = req.body || {};
       if (!token) return res.status(400).json({ message: 'token required' });
 
-      const hash = sha256Hex(token);
-      const contact = await prisma.contact.findFirst({
-        where: { unsubscribeTokenHash: hash, isSubscribed: true }
-      });
-
-      if (!contact) return res.json({ ok: true }); // idempotent/no-leak
-
-      await prisma.contact.update({
-        where: { id: contact.id },
-        data: { isSubscribed: false, unsubscribedAt: new Date() }
-      });
+      // Contact-level or per-message (SMS link) token; idempotent/no-leak
+      await unsubscribeByToken(token);
 
       res.json({ ok: true });
     } catch (e) {
@@ -439,18 +474,27 @@ router.post(
 
 // =============================
 // PROTECTED: Generate store enroll code (for QR)
+// Body: { tagIds? } — tags given to every contact enrolling with this code
 // =============================
 router.post(
   '/contacts/enroll-code',
   requireAuth,
   async (req, res, next) => {
     try {
+      let tags = [];
+      if (typeof req.body?.tagIds !== 'undefined') {
+        const found = await findOwnerTags(req.user.id, parseTagIds(req.body.tagIds));
+        if (!found.ok) return res.status(404).json({ message: 'tag not found', tagIds: found.missing });
+        tags = found.tags;
+      }
+
       // Ensure system lists exist for this owner (nice to have)
       await ensureSystemListsForOwner(req.user.id);
 
-      const code = signEnrollCode(req.user.id);
+      const code = signEnrollCode(req.user.id, tags.map((t) => t.id));
       res.json({
         code,
+        tags,
         // Frontend can embed this in a QR that opens a public enroll page
         // e.g., `${APP_PUBLIC_URL}/enroll?code=${code}`
       });
@@ -501,7 +545,7 @@ router.post(
   rateLimitByKey(enrollCodeLimiter, (req) => (req.body?.code || '').slice(0, 256)),
   async (req, res, next) => {
     try {
-      const { code, phone, email, firstName, lastName, gender, birthday } = req.body || {};
+      const { code, phone, email, firstName, lastName, gender, birthday, customFields } = req.body || {};
       if (!code)  return res.status(400).json({ message: 'code required' });
       if (!phone) return res.status(400).json({ message: 'phone required' });
 
@@ -525,8 +569,9 @@ router.post(
       // Upsert: if the phone already exists for this owner, update fields & resubscribe
       const existing = await prisma.contact.findFirst({
         where: { ownerId, phone: e164 },
-        select: { id: true, gender: true, ownerId: true }
+        select: { id: true, gender: true, ownerId: true, isSubscribed: true, customFields: true }
       });
+      const custom = await resolveCustomFields(ownerId, customFields, existing?.customFields);
 
       let contact;
       if (existing) {
@@ -538,6 +583,7 @@ router.post(
             lastName: lastName ?? undefined,
             gender: normalizeGender(gender),
             birthday: parseBirthday(birthday),
+            customFields: custom,
             isSubscribed: true,
             unsubscribedAt: null,
           },
@@ -546,6 +592,7 @@ router.post(
             firstName: true, lastName: true,
             gender: true, birthday: true,
             isSubscribed: true, unsubscribedAt: true,
+            customFields: true,
             ownerId: true,
           }
         });
@@ -560,6 +607,7 @@ router.post(
             lastName: lastName || null,
             gender: normalizeGender(gender),
             birthday: parseBirthday(birthday) ?? null,
+            customFields: custom,
             isSubscribed: true,
             unsubscribeTokenHash: hash,
           },
@@ -568,6 +616,7 @@ router.post(
             firstName: true, lastName: true,
             gender: true, birthday: true,
             isSubscribed: true, unsubscribedAt: true,
+            customFields: true,
             ownerId: true,
           }
         });
@@ -576,6 +625,25 @@ router.post(
       // Auto-manage Male/Female list membership
       await syncGenderMembership(contact);
 
+      // Tags of the enroll code (the ones deleted since are skipped)
+      if (v.tagIds.length) {
+        const tags = await prisma.tag.findMany({
+          where: { ownerId, id: { in: v.tagIds } },
+          select: { id: true }
+        });
+        await addTagsToContacts(tags.map((t) => t.id), [contact.id]);
+      }
+
+      if (!existing || !existing.isSubscribed) {
+        await recordContactEvent({
+          ownerId,
+          contactId: contact.id,
+          type: 'subscribed',
+          source: SOURCES.ENROLLMENT,
+          meta: existing ? { resubscribed: true } : { created: true }
+        });
+      }
+
       res.status(existing ? 200 : 201).json(contact);
     } catch (e) {
       next(e);
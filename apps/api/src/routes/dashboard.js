@@ -33,7 +33,7 @@ router.get('/dashboard/kpis', rateLimitByIp(kpiLimiter), async (req, res, next)
       redemptionsAgg
     ] = await Promise.all([
       prisma.campaign.count({ where: { ownerId } }),
-      prisma.campaignMessage.count({ where: { ownerId } }),
+      prisma.campaignMessage.count({ where: { ownerId, status: { not: 'skipped' } } }),
       prisma.campaignMessage.groupBy({
         by: ['status'],
         where: { ownerId },
@@ -3,6 +3,10 @@ const express = require('express');
 const requireAuth = require('../middleware/requireAuth');
 const smsQueue = require('../queues/sms.queue');
 const schedulerQueue = require('../queues/scheduler.queue');
+const {
+  reconcileScheduledCampaigns,
+  getLastReconcileReport,
+} = require('../services/campaignSchedule.service');
 const router = express.Router();
 
 router.get('/jobs/health', requireAuth, async (_req, res) => {
@@ -16,4 +20,37 @@ router.get('/jobs/health', requireAuth, async (_req, res) => {
   res.json(out);
 });
 
+// Reconciliation reports cover every owner; only show the caller's campaigns
+function ownReport(report, ownerId) {
+  if (!report) return null;
+  const { fixed = [], orphansRemoved = [], ...rest } = report;
+  return {
+    ...rest,
+    orphansRemoved: orphansRemoved.length,
+    fixed: fixed.filter((f) => f.ownerId === ownerId),
+  };
+}
+
+// GET /api/jobs/scheduler/reconcile → last report (worker runs it on startup + periodically)
+router.get('/jobs/scheduler/reconcile', requireAuth, async (req, res, next) => {
+  try {
+    if (!schedulerQueue) return res.status(503).json({ message: 'scheduler queue disabled' });
+    const report = await getLastReconcileReport();
+    res.json({ report: ownReport(report, req.user.id) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// POST /api/jobs/scheduler/reconcile → run now for the caller's campaigns and return what was fixed
+router.post('/jobs/scheduler/reconcile', requireAuth, async (req, res, next) => {
+  try {
+    const report = await reconcileScheduledCampaigns({ ownerId: req.user.id });
+    if (!report.ok) return res.status(503).json({ message: 'scheduler queue disabled' });
+    res.json({ report: ownReport(report, req.user.id) });
+  } catch (e) {
+    next(e);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,69 @@
+// apps/api/src/routes/links.js
+// Short links embedded in campaign SMS (see lib/messageLinks): served at
+// LINK_BASE_URL/o/:trackingId (offer page) and LINK_BASE_URL/u/:token (opt-out).
+const express = require('express');
+const { createLimiter, rateLimitByIp } = require('../lib/ratelimit');
+const { visitOffer } = require('../services/offers.service');
+const { unsubscribeByToken } = require('../services/unsubscribe.service');
+
+const router = express.Router();
+
+const linkIpLimiter = createLimiter({ keyPrefix: 'rl:link:ip', points: 60, duration: 60 }); // 60/min/IP
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, (c) => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+  ));
+}
+
+function page(res, status, title, body) {
+  res.status(status).type('html').send(
+    '<!doctype html><html><head><meta charset="utf-8">'
+    + '<meta name="viewport" content="width=device-width, initial-scale=1">'
+    + `<title>${escapeHtml(title)}</title></head><body>${body}</body></html>`
+  );
+}
+
+function notFound(res) {
+  page(res, 404, 'Not found', '<p>This link is not valid.</p>');
+}
+
+/**
+ * PUBLIC: GET /o/:trackingId — the offer of one message (counts a visit).
+ */
+router.get('/o/:trackingId', rateLimitByIp(linkIpLimiter), async (req, res, next) => {
+  try {
+    const { trackingId } = req.params;
+    if (trackingId.length < 4 || trackingId.length > 64) return notFound(res);
+
+    const offer = await visitOffer(trackingId);
+    if (!offer) return notFound(res);
+
+    page(res, 200, offer.storeName,
+      `<h1>${escapeHtml(offer.storeName)}</h1><p style="white-space:pre-line">${escapeHtml(offer.offerText)}</p>`);
+  } catch (e) { next(e); }
+});
+
+/**
+ * PUBLIC: GET /u/:token — opt-out confirmation. The opt-out itself is the
+ * form POST: link previews and scanners fetch SMS links with GET and must
+ * not unsubscribe the contact.
+ */
+router.get('/u/:token', rateLimitByIp(linkIpLimiter), (req, res) => {
+  const action = `/u/${encodeURIComponent(req.params.token)}`;
+  page(res, 200, 'Unsubscribe',
+    '<p>Stop receiving marketing SMS from this store?</p>'
+    + `<form method="post" action="${escapeHtml(action)}"><button type="submit">Unsubscribe</button></form>`);
+});
+
+/**
+ * PUBLIC: POST /u/:token — unsubscribe (idempotent; never reveals whether the token exists).
+ */
+router.post('/u/:token', rateLimitByIp(linkIpLimiter), async (req, res, next) => {
+  try {
+    await unsubscribeByToken(req.params.token);
+    page(res, 200, 'Unsubscribed', '<p>You have been unsubscribed and will not receive further marketing SMS.</p>');
+  } catch (e) { next(e); }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const express = require('express');
 const prisma = require('../lib/prisma');
 const requireAuth = require('../middleware/requireAuth');
 const { ensureSystemListsForOwner, SLUG } = require('../lib/systemLists');
+const { SOURCES, recordContactEvent } = require('../services/contactEvents.service');
 
 const router = express.Router();
 
@@ -116,7 +117,7 @@ router.post('/lists/:listId/contacts/:contactId', requireAuth, async (req, res)
     const [list, contact] = await Promise.all([
       prisma.list.findFirst({
         where: { id: listId, ownerId: req.user.id },
-        select: { id: true, isSystem: true, slug: true }
+        select: { id: true, name: true, isSystem: true, slug: true }
       }),
       prisma.contact.findFirst({ where: { id: contactId, ownerId: req.user.id } })
     ]);
@@ -127,6 +128,14 @@ router.post('/lists/:listId/contacts/:contactId', requireAuth, async (req, res)
     }
 
     const m = await prisma.listMembership.create({ data: { listId, contactId } });
+    await recordContactEvent({
+      ownerId: req.user.id,
+      contactId,
+      type: 'list_added',
+      source: SOURCES.MANUAL,
+      listId,
+      meta: { listName: list.name }
+    });
     res.status(201).json(m);
   } catch (e) {
     if (e.code === 'P2002') return res.status(409).json({ message: 'contact already in list' });
@@ -146,7 +155,7 @@ router.delete('/lists/:listId/contacts/:contactId', requireAuth, async (req, res
 
   const list = await prisma.list.findFirst({
     where: { id: listId, ownerId: req.user.id },
-    select: { id: true, isSystem: true }
+    select: { id: true, name: true, isSystem: true }
   });
   if (!list) return res.status(404).json({ message: 'list not found' });
 
@@ -154,7 +163,17 @@ router.delete('/lists/:listId/contacts/:contactId', requireAuth, async (req, res
     return res.status(409).json({ message: 'System list membership is automatic' });
   }
 
-  await prisma.listMembership.deleteMany({ where: { listId, contactId } });
+  const r = await prisma.listMembership.deleteMany({ where: { listId, contactId } });
+  if (r.count > 0) {
+    await recordContactEvent({
+      ownerId: req.user.id,
+      contactId,
+      type: 'list_removed',
+      source: SOURCES.MANUAL,
+      listId,
+      meta: { listName: list.name }
+    });
+  }
   res.json({ ok: true });
 });
 
@@ -195,7 +214,7 @@ router.get('/lists/:listId/contacts', requireAuth, async (req, res, next) => {
       // groupBy redemptions → contact ids with count >= min
       const groups = await prisma.redemption.groupBy({
         by: ['contactId'],
-        where: { ownerId: req.user.id },
+        where: { ownerId: req.user.id, redeemedByUserId: { not: null } },
         _count: { _all: true },
         having: { contactId: { _count: { gte: minConversions } } }
       });
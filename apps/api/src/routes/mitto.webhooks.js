@@ -5,6 +5,8 @@ const pino = require('pino');
 const crypto = require('node:crypto');
 const { cacheDel } = require('../lib/cache'); // safe no-op if Redis disabled
 const { normalizeToE164, isE164 } = require('../lib/phone');
+const { settleMessages, releaseMessages } = require('../services/wallet.service');
+const { SOURCES, recordContactEvents } = require('../services/contactEvents.service');
 
 const router = express.Router();
 const logger = pino({ transport: { target: 'pino-pretty' } });
@@ -68,21 +70,40 @@ async function persistWebhook(provider, eventType, payload, providerMessageId) {
 }
 
 /**
- * Auto-complete helper: if no queued messages remain for a campaign, mark it completed.
+ * Auto-complete helper: if no queued (or in-flight) messages remain for a campaign, mark it completed.
  */
 async function maybeCompleteCampaign(campaignId) {
   if (!campaignId) return;
   const remaining = await prisma.campaignMessage.count({
-    where: { campaignId, status: 'queued' }
+    where: { campaignId, status: { in: ['queued', 'sending'] } }
   });
   if (remaining === 0) {
-    await prisma.campaign.update({
-      where: { id: campaignId },
+    await prisma.campaign.updateMany({
+      where: { id: campaignId, status: 'sending', enqueuedAt: { not: null }, abPhase: { not: 'testing' } },
       data: { status: 'completed', finishedAt: new Date() }
     });
   }
 }
 
+/**
+ * Settle/release the credits reserved for DLR-matched messages (per owner).
+ * Best-effort: a billing error must not make the provider retry the DLR.
+ */
+async function closeReservations(fn, msgs, reason) {
+  const byOwner = new Map();
+  for (const m of msgs) {
+    if (!byOwner.has(m.ownerId)) byOwner.set(m.ownerId, []);
+    byOwner.get(m.ownerId).push(m);
+  }
+  for (const [ownerId, list] of byOwner) {
+    try {
+      await fn(ownerId, list.map((m) => m.id), { reason, campaignId: list[0].campaignId });
+    } catch (e) {
+      logger.error({ err: e, ownerId, reason }, 'DLR credit settlement failed');
+    }
+  }
+}
+
 /**
  * --- Delivery Status (DLR) ---
  * Accepts single object or array of objects. Always 202 to avoid retry storms.
@@ -132,16 +153,19 @@ router.post('/webhooks/mitto/dlr', async (req, res) => {
             data: { status: 'delivered', deliveredAt: new Date(doneAt) }
           });
           updated += r.count;
+          await closeReservations(settleMessages, msgs, 'dlr:delivered');
         } else if (mapped === 'failed') {
           const r = await prisma.campaignMessage.updateMany({
             where: { providerMessageId: providerId },
             data: {
               status: 'failed',
               failedAt: new Date(doneAt),
-              error: errorDesc || 'FAILED_DLR'
+              error: errorDesc || 'FAILED_DLR',
+              errorClass: 'dlr_failed'
             }
           });
           updated += r.count;
+          await closeReservations(releaseMessages, msgs, 'dlr:failed');
         } else if (mapped === 'sent') {
           await prisma.campaignMessage.updateMany({
             where: { providerMessageId: providerId },
@@ -212,10 +236,21 @@ router.post('/webhooks/mitto/inbound', async (req, res) => {
 
     // Simple STOP detection (extend with STOPALL etc. if needed)
     if (/^\s*stop\b/i.test(text)) {
-      const r = await prisma.contact.updateMany({
+      // The number may be a contact of several stores: opt out of all of them
+      const contacts = await prisma.contact.findMany({
         where: { phone, isSubscribed: true },
+        select: { id: true, ownerId: true }
+      });
+      const r = await prisma.contact.updateMany({
+        where: { id: { in: contacts.map((c) => c.id) }, isSubscribed: true },
         data: { isSubscribed: false, unsubscribedAt: new Date() }
       });
+      await recordContactEvents(contacts.map((c) => ({
+        ownerId: c.ownerId,
+        contactId: c.id,
+        type: 'unsubscribed',
+        source: SOURCES.STOP_REPLY
+      })));
       logger.info({ phone, count: r.count }, 'Inbound STOP → unsubscribed');
     }
 
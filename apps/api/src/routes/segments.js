@@ -0,0 +1,197 @@
+// apps/api/src/routes/segments.js
+const express = require('express');
+const prisma = require('../lib/prisma');
+const requireAuth = require('../middleware/requireAuth');
+const { validateDefinition, countSegment } = require('../services/segments.service');
+const { listContactFields } = require('../services/contactFields.service');
+
+const router = express.Router();
+
+const SEGMENT_SELECT = {
+  id: true, name: true, description: true, definition: true,
+  createdAt: true, updatedAt: true,
+};
+
+/* =========================================================
+ * POST /segments/count  (protected)
+ * Live count for an unsaved definition (segment builder UI).
+ * Body: { definition }
+ * ========================================================= */
+router.post('/segments/count', requireAuth, async (req, res, next) => {
+  try {
+    const { definition } = req.body || {};
+    res.json(await countSegment(req.user.id, definition));
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ message: e.message });
+    next(e);
+  }
+});
+
+/* =========================================================
+ * POST /segments  (protected)
+ * Body: { name, description?, definition }
+ * ========================================================= */
+router.post('/segments', requireAuth, async (req, res, next) => {
+  try {
+    const { name, description, definition } = req.body || {};
+    if (!name || !String(name).trim()) return res.status(400).json({ message: 'name required' });
+    validateDefinition(definition, { customFields: await listContactFields(req.user.id) });
+
+    const segment = await prisma.segment.create({
+      data: {
+        ownerId: req.user.id,
+        name: String(name).trim(),
+        description: description || null,
+        definition,
+      },
+      select: SEGMENT_SELECT
+    });
+
+    res.status(201).json(segment);
+  } catch (e) {
+    if (e.code === 'P2002') return res.status(409).json({ message: 'name already exists' });
+    if (e.status === 400) return res.status(400).json({ message: e.message });
+    next(e);
+  }
+});
+
+/* =========================================================
+ * GET /segments  (protected)
+ * Owner's segments. Optional: page/pageSize/q
+ * ========================================================= */
+router.get('/segments', requireAuth, async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize || '50', 10)));
+    const q = (req.query.q || '').toString().trim();
+
+    const where = { ownerId: req.user.id };
+    if (q) where.name = { contains: q, mode: 'insensitive' };
+
+    const [items, total] = await Promise.all([
+      prisma.segment.findMany({
+        where,
+        orderBy: { name: 'asc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+        select: SEGMENT_SELECT
+      }),
+      prisma.segment.count({ where }),
+    ]);
+
+    res.json({ items, total, page, pageSize });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * GET /segments/:id  (protected)
+ * ========================================================= */
+router.get('/segments/:id', requireAuth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: 'invalid id' });
+
+    const segment = await prisma.segment.findFirst({
+      where: { id, ownerId: req.user.id },
+      select: SEGMENT_SELECT
+    });
+    if (!segment) return res.status(404).json({ message: 'not found' });
+
+    res.json(segment);
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * GET /segments/:id/count  (protected)
+ * Live count of contacts currently matching the segment.
+ * ========================================================= */
+router.get('/segments/:id/count', requireAuth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: 'invalid id' });
+
+    const segment = await prisma.segment.findFirst({
+      where: { id, ownerId: req.user.id },
+      select: { id: true, definition: true }
+    });
+    if (!segment) return res.status(404).json({ message: 'not found' });
+
+    const counts = await countSegment(req.user.id, segment.definition);
+    res.json({ segmentId: segment.id, ...counts });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * PUT /segments/:id  (protected)
+ * Body: { name?, description?, definition? }
+ * Campaigns using the segment pick up the change at their next enqueue.
+ * ========================================================= */
+router.put('/segments/:id', requireAuth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: 'invalid id' });
+
+    const existing = await prisma.segment.findFirst({
+      where: { id, ownerId: req.user.id },
+      select: { id: true }
+    });
+    if (!existing) return res.status(404).json({ message: 'not found' });
+
+    const { name, description, definition } = req.body || {};
+    const data = {};
+    if (typeof name !== 'undefined') {
+      if (!String(name).trim()) return res.status(400).json({ message: 'name required' });
+      data.name = String(name).trim();
+    }
+    if (typeof description !== 'undefined') data.description = description || null;
+    if (typeof definition !== 'undefined') {
+      validateDefinition(definition, { customFields: await listContactFields(req.user.id) });
+      data.definition = definition;
+    }
+
+    const segment = await prisma.segment.update({
+      where: { id },
+      data,
+      select: SEGMENT_SELECT
+    });
+
+    res.json(segment);
+  } catch (e) {
+    if (e.code === 'P2002') return res.status(409).json({ message: 'name already exists' });
+    if (e.status === 400) return res.status(400).json({ message: e.message });
+    next(e);
+  }
+});
+
+/* =========================================================
+ * DELETE /segments/:id  (protected)
+ * Refused while any campaign still targets the segment.
+ * ========================================================= */
+router.delete('/segments/:id', requireAuth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: 'invalid id' });
+
+    const segment = await prisma.segment.findFirst({
+      where: { id, ownerId: req.user.id },
+      select: { id: true, _count: { select: { campaigns: true } } }
+    });
+    if (!segment) return res.status(404).json({ message: 'not found' });
+    if (segment._count.campaigns > 0) {
+      return res.status(409).json({ message: 'segment is used by campaigns' });
+    }
+
+    await prisma.segment.delete({ where: { id } });
+    res.json({ ok: true });
+  } catch (e) {
+    next(e);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+// apps/api/src/routes/tags.js
+const express = require('express');
+const prisma = require('../lib/prisma');
+const requireAuth = require('../middleware/requireAuth');
+const {
+  CONTACT_TAGS_SELECT,
+  normalizeTagName,
+  parseTagIds,
+  findOwnerTags,
+  addTagsToContacts,
+  removeTagsFromContacts,
+  flattenTags,
+  segmentsUsingTag,
+} = require('../services/tags.service');
+
+const router = express.Router();
+
+const TAG_SELECT = {
+  id: true, name: true, createdAt: true, updatedAt: true,
+  _count: { select: { contacts: true } },
+};
+
+// _count → contactCount
+function tagOut({ _count, ...tag }) {
+  return { ...tag, contactCount: _count?.contacts ?? 0 };
+}
+
+/* =========================================================
+ * GET /tags  (protected)
+ * Owner's tags with how many contacts carry each. Optional: q
+ * ========================================================= */
+router.get('/tags', requireAuth, async (req, res, next) => {
+  try {
+    const q = (req.query.q || '').toString().trim().toLowerCase();
+    const where = { ownerId: req.user.id };
+    if (q) where.name = { contains: q };
+
+    const tags = await prisma.tag.findMany({ where, orderBy: { name: 'asc' }, select: TAG_SELECT });
+    res.json({ items: tags.map(tagOut) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * POST /tags  (protected)
+ * Body: { name } (stored lowercase; unique per owner)
+ * ========================================================= */
+router.post('/tags', requireAuth, async (req, res, next) => {
+  try {
+    const name = normalizeTagName(req.body?.name);
+    const tag = await prisma.tag.create({
+      data: { ownerId: req.user.id, name },
+      select: TAG_SELECT
+    });
+    res.status(201).json(tagOut(tag));
+  } catch (e) {
+    if (e.code === 'P2002') return res.status(409).json({ message: 'tag already exists' });
+    next(e);
+  }
+});
+
+/* =========================================================
+ * PUT /tags/:id  (protected)
+ * Body: { name } — rename (contacts keep the tag)
+ * ========================================================= */
+router.put('/tags/:id', requireAuth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: 'invalid id' });
+
+    const name = normalizeTagName(req.body?.name);
+    const r = await prisma.tag.updateMany({ where: { id, ownerId: req.user.id }, data: { name } });
+    if (r.count === 0) return res.status(404).json({ message: 'not found' });
+
+    const tag = await prisma.tag.findUnique({ where: { id }, select: TAG_SELECT });
+    res.json(tagOut(tag));
+  } catch (e) {
+    if (e.code === 'P2002') return res.status(409).json({ message: 'tag already exists' });
+    next(e);
+  }
+});
+
+/* =========================================================
+ * DELETE /tags/:id  (protected)
+ * Untags every contact. Refused while a segment has a rule on the tag.
+ * ========================================================= */
+router.delete('/tags/:id', requireAuth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: 'invalid id' });
+
+    const tag = await prisma.tag.findFirst({ where: { id, ownerId: req.user.id }, select: { id: true } });
+    if (!tag) return res.status(404).json({ message: 'not found' });
+
+    const segments = await segmentsUsingTag(req.user.id, tag.id);
+    if (segments.length) return res.status(409).json({ message: 'tag is used by segments', segments });
+
+    await prisma.tag.delete({ where: { id: tag.id } });
+    res.json({ ok: true });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * POST /contacts/:id/tags  (protected)
+ * Body: { tagIds: number[] } — adds the tags (already present = no-op).
+ * Returns the contact's tags.
+ * ========================================================= */
+router.post('/contacts/:id/tags', requireAuth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: 'invalid id' });
+
+    const tagIds = parseTagIds(req.body?.tagIds);
+    const [contact, found] = await Promise.all([
+      prisma.contact.findFirst({ where: { id, ownerId: req.user.id }, select: { id: true } }),
+      findOwnerTags(req.user.id, tagIds)
+    ]);
+    if (!contact) return res.status(404).json({ message: 'not found' });
+    if (!found.ok) return res.status(404).json({ message: 'tag not found', tagIds: found.missing });
+
+    await addTagsToContacts(tagIds, [contact.id]);
+    const tagged = await prisma.contact.findUnique({
+      where: { id: contact.id },
+      select: { id: true, tags: CONTACT_TAGS_SELECT }
+    });
+    res.json(flattenTags(tagged));
+  } catch (e) {
+    next(e);
+  }
+});
+
+/* =========================================================
+ * DELETE /contacts/:id/tags/:tagId  (protected)
+ * ========================================================= */
+router.delete('/contacts/:id/tags/:tagId', requireAuth, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    const tagId = Number(req.params.tagId);
+    if (!id || !tagId) return res.status(400).json({ message: 'invalid ids' });
+
+    const [contact, tag] = await Promise.all([
+      prisma.contact.findFirst({ where: { id, ownerId: req.user.id }, select: { id: true } }),
+      prisma.tag.findFirst({ where: { id: tagId, ownerId: req.user.id }, select: { id: true } })
+    ]);
+    if (!contact || !tag) return res.status(404).json({ message: 'contact or tag not found' });
+
+    await removeTagsFromContacts([tag.id], [contact.id]);
+    res.json({ ok: true });
+  } catch (e) {
+    next(e);
+  }
+});
+
+module.exports = router;
@@ -47,7 +47,7 @@ router.get(
 
       res.json({
         exists: true,
-        alreadyRedeemed: !!msg.redemption
+        alreadyRedeemed: !!msg.redemption?.redeemedByUserId
       });
     } catch (err) {
       next(err);
@@ -88,9 +88,10 @@ router.post(
         return res.json({ status: 'not_found_or_forbidden', trackingId });
       }
 
-      // Idempotent
+      // Idempotent. A row may already exist from offer page visits: that one
+      // is only redeemed once redeemedByUserId is set.
       const existing = await prisma.redemption.findUnique({ where: { messageId: msg.id } });
-      if (existing) {
+      if (existing?.redeemedByUserId) {
         return res.json({
           status: 'already_redeemed',
           trackingId,
@@ -101,15 +102,17 @@ router.post(
         });
       }
 
-      // Create redemption (scoped)
-      const rdm = await prisma.redemption.create({
-        data: {
+      // Create redemption (scoped), or redeem the visits row
+      const redeemed = { redeemedAt: new Date(), redeemedByUserId: req.user.id, evidenceJson: { ip: req.ip } };
+      const rdm = await prisma.redemption.upsert({
+        where: { messageId: msg.id },
+        update: redeemed,
+        create: {
           ownerId: req.user.id,
           messageId: msg.id,
           campaignId: msg.campaignId,
           contactId: msg.contactId,
-          redeemedByUserId: req.user.id,
-          evidenceJson: { ip: req.ip }
+          ...redeemed
         }
       });
 
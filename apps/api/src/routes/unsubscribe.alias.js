@@ -1,8 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { rateLimitByIp } = require('../lib/ratelimit');
-const prisma = require('../lib/prisma');
-const crypto = require('crypto');
+const { unsubscribeByToken } = require('../services/unsubscribe.service');
 
 const byIp = rateLimitByIp('unsub:ip', { points: 20, duration: 60 });
 
@@ -11,16 +10,8 @@ router.post('/unsubscribe', byIp, async (req, res, next) => {
     const { code } = req.body || {};
     if (!code) return res.json({ ok: true }); // idempotent
 
-    const hash = crypto.createHash('sha256').update(code).digest('hex');
-    const contact = await prisma.contact.findFirst({
-      where: { unsubscribeTokenHash: hash, isSubscribed: true }
-    });
-    if (contact) {
-      await prisma.contact.update({
-        where: { id: contact.id },
-        data: { isSubscribed: false, unsubscribedAt: new Date() }
-      });
-    }
+    // Contact-level or per-message (SMS link) token
+    await unsubscribeByToken(code);
     res.json({ ok: true });
   } catch (e) { next(e); }
 });
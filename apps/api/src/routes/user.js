@@ -3,16 +3,36 @@ const express = require('express');
 const router = express.Router();
 const requireAuth = require('../middleware/requireAuth');
 const prisma = require('../lib/prisma');
+const { Prisma } = require('@prisma/client');
 const bcrypt = require('bcrypt');
+const { parseSendWindow } = require('../lib/sendWindow');
+const { parseSeedNumbers } = require('../services/campaignTestSend.service');
 
 router.use(requireAuth);
 
+const USER_SELECT = {
+  id: true, email: true, name: true, company: true, senderName: true,
+  freqCapMax: true, freqCapDays: true, sendWindow: true, seedNumbers: true
+};
+
+// null/"" disables; otherwise a positive integer
+function capSetting(v, field) {
+  if (v === null || v === '') return null;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1) {
+    const err = new Error(`${field} must be a positive integer or null`);
+    err.status = 400;
+    throw err;
+  }
+  return n;
+}
+
 // GET /api/me
 router.get('/me', async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: Number(req.user.id) },
-      select: { id: true, email: true, name: true, company: true, senderName: true }
+      select: USER_SELECT
     });
 
     if (!user) {
@@ -24,9 +44,9 @@ router.get('/me', async (req, res) => {
       where: { ownerId: user.id },     // ownerId must be unique in your schema
       update: {},
       create: { ownerId: user.id, balance: 0 }
-    }).catch(() => ({ balance: 0 }));
+    }).catch(() => ({ balance: 0, reserved: 0 }));
 
-    return res.json({ ...user, credits: wallet?.balance ?? 0 });
+    return res.json({ ...user, credits: wallet?.balance ?? 0, creditsReserved: wallet?.reserved ?? 0 });
   } catch (err) {
     req.log?.error({ err }, 'GET /api/me failed');
     return res.status(500).json({ message: 'Internal Server Error' });
@@ -34,13 +54,23 @@ router.get('/me', async (req, res) => {
 });
 
 // PUT /api/user
+// Body: { name?, company?, senderName?, freqCapMax?, freqCapDays?, sendWindow?, seedNumbers? }
+// freqCapMax/freqCapDays: max marketing messages per contact per N days (null = no cap)
+// sendWindow: { timezone: "Europe/Athens", days: ["mon".."sat"], start: "09:00", end: "21:00" } (null = any time)
+// seedNumbers: default recipients of campaign test sends (max 5; [] clears)
 router.put('/user', async (req, res, next) => {
   try {
-    const { name, company, senderName } = req.body;
+    const { name, company, senderName, freqCapMax, freqCapDays, sendWindow, seedNumbers } = req.body;
+    const data = { name, company, senderName };
+    if (typeof freqCapMax !== 'undefined') data.freqCapMax = capSetting(freqCapMax, 'freqCapMax');
+    if (typeof freqCapDays !== 'undefined') data.freqCapDays = capSetting(freqCapDays, 'freqCapDays');
+    if (typeof sendWindow !== 'undefined') data.sendWindow = parseSendWindow(sendWindow) ?? Prisma.DbNull;
+    if (typeof seedNumbers !== 'undefined') data.seedNumbers = parseSeedNumbers(seedNumbers ?? [], 'seedNumbers');
+
     const updated = await prisma.user.update({
       where: { id: Number(req.user.id) },
-      data: { name, company, senderName },
-      select: { id: true, email: true, name: true, company: true, senderName: true }
+      data,
+      select: USER_SELECT
     });
     res.json(updated);
   } catch (e) { next(e); }
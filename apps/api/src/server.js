@@ -97,14 +97,22 @@ app.use("/api", require("./routes/auth"));
 app.use("/api", useAuthRateLimit, require("./routes/user"));
 
 // Contacts & Lists -> authenticated
+// (imports/bulk first: /contacts/imports, /contacts/bulk must not reach /contacts/:id)
+app.use("/api", useAuthRateLimit, require("./routes/contacts.import"));
+app.use("/api", useAuthRateLimit, require("./routes/contacts.bulk"));
 app.use("/api", useAuthRateLimit, require("./routes/contacts"));
+app.use("/api", useAuthRateLimit, require("./routes/contactFields"));
 app.use("/api", useAuthRateLimit, require("./routes/lists"));
+app.use("/api", useAuthRateLimit, require("./routes/tags"));
+app.use("/api", useAuthRateLimit, require("./routes/segments"));
 
 // Templates (if yours is auth-protected, keep limiter; if public, move to public)
 app.use("/api", useAuthRateLimit, require("./routes/templates"));
 
 // Campaigns -> authenticated
 app.use("/api", useAuthRateLimit, require("./routes/campaigns"));
+app.use("/api", useAuthRateLimit, require("./routes/campaigns.messages"));
+app.use("/api", useAuthRateLimit, require("./routes/campaigns.recurrence"));
 
 // v1 optimized -> authenticated
 app.use("/api/v1", useAuthRateLimit, require("./routes/campaigns.list"));
@@ -126,6 +134,9 @@ app.use("/tracking", usePublicRateLimit, require("./routes/tracking"));
 app.use("/api", usePublicRateLimit, require("./routes/tracking.offer"));
 app.use("/api", usePublicRateLimit, require("./routes/unsubscribe.alias"));
 
+// SMS short links: offer page (/o/:trackingId) + opt-out (/u/:token) (public)
+app.use(usePublicRateLimit, require("./routes/links"));
+
 // Dashboard KPIs -> authenticated
 app.use("/api", useAuthRateLimit, require("./routes/dashboard"));
 
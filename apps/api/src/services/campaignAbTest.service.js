@@ -0,0 +1,211 @@
+// apps/api/src/services/campaignAbTest.service.js
+const crypto = require('node:crypto');
+const prisma = require('../lib/prisma');
+
+// Optional scheduler queue (null when QUEUE_DISABLED=1)
+let schedulerQueue = null;
+try { schedulerQueue = require('../queues/scheduler.queue'); } catch (_) {}
+
+/**
+ * A/B test flow:
+ *  1. enqueue (abPhase none → testing): abTestPercent% of the audience, picked
+ *     by a hash of (campaign, contact), gets one of the variants
+ *  2. abEvalDelayMinutes later the scheduler worker runs evaluateAbTest:
+ *     the variant with the best abWinnerMetric wins (abPhase → decided)
+ *  3. the build runs again and sends the winner to everyone not yet messaged
+ */
+
+const WINNER_METRICS = ['delivery', 'offer_visits', 'redemptions'];
+const VARIANT_LABELS = ['A', 'B', 'C'];
+const MIN_VARIANTS = 2;
+
+const DEFAULT_EVAL_DELAY_MINUTES = 240;
+const MAX_EVAL_DELAY_MINUTES = 7 * 24 * 60;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Validate A/B settings from a request body.
+ * @param {{ testPercent: number, winnerMetric: string, evalDelayMinutes?: number }} input
+ * @returns {{ abTestPercent: number, abWinnerMetric: string, abEvalDelayMinutes: number }}
+ */
+function parseAbTestSettings(input) {
+  if (!input || typeof input !== 'object') throw badRequest('abTest must be an object');
+  const { testPercent, winnerMetric, evalDelayMinutes = DEFAULT_EVAL_DELAY_MINUTES } = input;
+
+  const pct = Number(testPercent);
+  if (!Number.isInteger(pct) || pct < 1 || pct > 90) {
+    throw badRequest('abTest.testPercent must be an integer between 1 and 90');
+  }
+  if (!WINNER_METRICS.includes(winnerMetric)) {
+    throw badRequest(`abTest.winnerMetric must be one of: ${WINNER_METRICS.join(', ')}`);
+  }
+  const delay = Number(evalDelayMinutes);
+  if (!Number.isInteger(delay) || delay < 15 || delay > MAX_EVAL_DELAY_MINUTES) {
+    throw badRequest(`abTest.evalDelayMinutes must be an integer between 15 and ${MAX_EVAL_DELAY_MINUTES}`);
+  }
+  return { abTestPercent: pct, abWinnerMetric: winnerMetric, abEvalDelayMinutes: delay };
+}
+
+/** Campaign (loaded with variants) runs as an A/B test. */
+function isAbTest(campaign) {
+  return !!campaign.abTestPercent && (campaign.variants?.length || 0) >= MIN_VARIANTS;
+}
+
+/**
+ * Test-phase variant for a contact, or null when the contact is not in the sample.
+ * Deterministic, so a resumed build makes the same choices.
+ */
+function pickTestVariant(campaign, contactId) {
+  const h = crypto.createHash('sha256').update(`${campaign.id}:${contactId}`).digest();
+  if (h.readUInt32BE(0) % 10000 >= campaign.abTestPercent * 100) return null;
+  return campaign.variants[h.readUInt32BE(4) % campaign.variants.length];
+}
+
+/* =========================
+   Evaluation job
+   ========================= */
+function abEvaluationJobId(campaignId) {
+  return `campaign:abtest:${campaignId}`;
+}
+
+/**
+ * (Re)create the delayed job that evaluates the test.
+ * Returns false when queues are disabled.
+ */
+async function scheduleAbEvaluation(campaignId, when) {
+  if (!schedulerQueue) return false;
+  try { await schedulerQueue.remove(abEvaluationJobId(campaignId)); } catch (_) {}
+  await schedulerQueue.add('evaluateAbTest', { campaignId }, {
+    delay: Math.max(0, new Date(when).getTime() - Date.now()),
+    jobId: abEvaluationJobId(campaignId)
+  });
+  return true;
+}
+
+/* =========================
+   Per-variant results
+   ========================= */
+function rate(numer, denom) {
+  return denom > 0 ? Number((numer / denom).toFixed(4)) : 0;
+}
+
+/**
+ * Results per variant:
+ *   deliveredRate   delivered / attempted (sent + delivered + failed)
+ *   offerVisitRate  messages whose offer page was opened / messages out
+ *   redemptionRate  messages redeemed in store / messages out
+ */
+async function getVariantStats(campaignId) {
+  const variants = await prisma.campaignVariant.findMany({
+    where: { campaignId },
+    orderBy: { label: 'asc' },
+    select: { id: true, label: true, templateId: true }
+  });
+  if (!variants.length) return [];
+
+  const groups = await prisma.campaignMessage.groupBy({
+    by: ['variantId', 'status'],
+    where: { campaignId, variantId: { in: variants.map((v) => v.id) } },
+    _count: { _all: true }
+  });
+
+  return Promise.all(variants.map(async (v) => {
+    const counts = {};
+    for (const g of groups) if (g.variantId === v.id) counts[g.status] = g._count._all;
+
+    const [offerVisits, redemptions] = await Promise.all([
+      prisma.redemption.count({ where: { campaignId, visits: { gt: 0 }, message: { variantId: v.id } } }),
+      prisma.redemption.count({ where: { campaignId, redeemedByUserId: { not: null }, message: { variantId: v.id } } })
+    ]);
+
+    const delivered = counts.delivered || 0;
+    const failed = counts.failed || 0;
+    const sent = (counts.sent || 0) + delivered + failed;
+    const messages = sent + (counts.queued || 0);
+
+    return {
+      variantId: v.id,
+      label: v.label,
+      templateId: v.templateId,
+      messages,
+      sent,
+      delivered,
+      failed,
+      offerVisits,
+      redemptions,
+      deliveredRate: rate(delivered, sent),
+      offerVisitRate: rate(offerVisits, messages),
+      redemptionRate: rate(redemptions, messages)
+    };
+  }));
+}
+
+const METRIC_RATE = {
+  delivery: 'deliveredRate',
+  offer_visits: 'offerVisitRate',
+  redemptions: 'redemptionRate'
+};
+
+// Best rate wins; ties go to the larger sample, then to the earlier label
+function pickWinner(stats, metric) {
+  const key = METRIC_RATE[metric];
+  return [...stats].sort((a, b) =>
+    (b[key] - a[key]) || (b.messages - a.messages) || a.label.localeCompare(b.label))[0] || null;
+}
+
+/**
+ * Pick the winning variant of a campaign in its test phase and hand the
+ * campaign back to the build (enqueuedAt cleared, abPhase 'decided').
+ * The caller then runs enqueueCampaign to send the winner to the remainder.
+ *
+ * @returns {Promise<{ ok: boolean, reason?: string, winner?: object, stats?: object[] }>}
+ *   reason: not_found | not_testing | paused | invalid_status
+ */
+async function decideAbWinner(campaignId, now = new Date()) {
+  const campaign = await prisma.campaign.findUnique({
+    where: { id: campaignId },
+    select: { id: true, status: true, abPhase: true, abWinnerMetric: true }
+  });
+  if (!campaign) return { ok: false, reason: 'not_found' };
+  if (campaign.abPhase !== 'testing') return { ok: false, reason: 'not_testing' };
+  if (campaign.status === 'paused') return { ok: false, reason: 'paused' };
+  if (campaign.status !== 'sending') return { ok: false, reason: 'invalid_status' };
+
+  const stats = await getVariantStats(campaign.id);
+  const winner = pickWinner(stats, campaign.abWinnerMetric);
+  if (!winner) return { ok: false, reason: 'invalid_status' };
+
+  const r = await prisma.campaign.updateMany({
+    where: { id: campaign.id, status: 'sending', abPhase: 'testing' },
+    data: {
+      abPhase: 'decided',
+      abDecidedAt: now,
+      abWinnerVariantId: winner.variantId,
+      // Reopen the build for the remainder of the audience
+      enqueuedAt: null,
+      enqueueCursor: null,
+      enqueueHeartbeatAt: null
+    }
+  });
+  if (r.count === 0) return { ok: false, reason: 'invalid_status' };
+
+  return { ok: true, winner, stats };
+}
+
+module.exports = {
+  WINNER_METRICS,
+  VARIANT_LABELS,
+  MIN_VARIANTS,
+  parseAbTestSettings,
+  isAbTest,
+  pickTestVariant,
+  abEvaluationJobId,
+  scheduleAbEvaluation,
+  getVariantStats,
+  decideAbWinner,
+};
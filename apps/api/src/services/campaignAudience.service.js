@@ -0,0 +1,139 @@
+// apps/api/src/services/campaignAudience.service.js
+const prisma = require('../lib/prisma');
+const { isE164 } = require('../lib/phone');
+const { highConversionContactIds, SLUG } = require('../lib/systemLists');
+const { compileSegment } = require('./segments.service');
+
+const ALL_LIST_NAME = '[ALL_CONTACTS]';
+const NOBODY = { id: { in: [] } };
+
+/**
+ * Include/exclude lists of a campaign.
+ * The legacy single `listId` counts as an include list (campaigns created
+ * before multi-list audiences have no CampaignList rows).
+ */
+async function loadAudienceLists(campaign) {
+  const rows = await prisma.campaignList.findMany({
+    where: { campaignId: campaign.id },
+    include: { list: { select: { id: true, name: true, slug: true, isSystem: true } } }
+  });
+
+  const include = rows.filter((r) => r.mode === 'include').map((r) => r.list);
+  const exclude = rows.filter((r) => r.mode === 'exclude').map((r) => r.list);
+
+  if (campaign.listId && !include.some((l) => l.id === campaign.listId)) {
+    const legacy = await prisma.list.findUnique({
+      where: { id: campaign.listId },
+      select: { id: true, name: true, slug: true, isSystem: true }
+    });
+    if (legacy) include.push(legacy);
+  }
+
+  return { include, exclude };
+}
+
+/**
+ * Contact filter matching one list:
+ *  - [ALL_CONTACTS]            → everyone (virtual, no memberships)
+ *  - high-conversions (system) → ≥2 redemptions (virtual, no memberships)
+ *  - any other list            → its members (incl. male/female system lists)
+ */
+async function listCondition(list, ownerId) {
+  if (list.name === ALL_LIST_NAME) return {};
+  if (list.isSystem && list.slug === SLUG.HIGH) {
+    const ids = await highConversionContactIds(ownerId);
+    return { id: { in: ids } };
+  }
+  return { memberships: { some: { listId: list.id } } };
+}
+
+async function anyOf(lists, ownerId) {
+  const conds = await Promise.all(lists.map((l) => listCondition(l, ownerId)));
+  if (conds.some((c) => Object.keys(c).length === 0)) return {}; // includes everyone
+  return { OR: conds };
+}
+
+/**
+ * Saved segment of a campaign, compiled against the owner's contacts as they are now.
+ */
+async function segmentCondition(campaign) {
+  if (!campaign.segmentId) return null;
+  const segment = await prisma.segment.findFirst({
+    where: { id: campaign.segmentId, ownerId: campaign.ownerId },
+    select: { definition: true }
+  });
+  return segment ? compileSegment(campaign.ownerId, segment.definition) : NOBODY;
+}
+
+/**
+ * Contact filters for the campaign's audience, before subscription/phone checks.
+ * @returns {Promise<{ included: object, audience: object }>}
+ *   included: owner contacts in any include list or in the campaign's segment
+ *   audience: included minus anyone in an exclude list
+ */
+async function buildAudienceWhere(campaign) {
+  const ownerId = campaign.ownerId;
+  const [{ include, exclude }, segment] = await Promise.all([
+    loadAudienceLists(campaign),
+    segmentCondition(campaign)
+  ]);
+  if (!include.length && !segment) return { included: NOBODY, audience: NOBODY };
+
+  const sources = [];
+  if (include.length) sources.push(await anyOf(include, ownerId));
+  if (segment) sources.push(segment);
+  const included = sources.length === 1
+    ? { ownerId, ...sources[0] }
+    : { ownerId, OR: sources };
+  if (!exclude.length) return { included, audience: included };
+
+  const excluded = await anyOf(exclude, ownerId);
+  const audience = Object.keys(excluded).length === 0
+    ? NOBODY
+    : { AND: [included, { NOT: excluded }] };
+
+  return { included, audience };
+}
+
+/**
+ * Resolve who a campaign would be sent to (deduplicated by contact).
+ * Used by enqueue, preview and estimate so all three agree.
+ *
+ * @returns {Promise<{
+ *   recipients: object[],
+ *   excluded: { unsubscribed: number, invalidPhone: number, excludedList: number }
+ * }>}
+ */
+exports.resolveCampaignAudience = async (campaign) => {
+  const { included, audience } = await buildAudienceWhere(campaign);
+
+  const [subscribed, unsubscribed, subscribedIncluded] = await Promise.all([
+    prisma.contact.findMany({
+      where: { AND: [audience, { isSubscribed: true }] },
+      orderBy: { id: 'asc' }
+    }),
+    prisma.contact.count({ where: { AND: [audience, { isSubscribed: false }] } }),
+    prisma.contact.count({ where: { AND: [included, { isSubscribed: true }] } })
+  ]);
+
+  // Phones should already be stored as E.164; anything else is skipped
+  const recipients = [];
+  let invalidPhone = 0;
+  for (const c of subscribed) {
+    if (c.phone && isE164(c.phone)) recipients.push(c);
+    else invalidPhone += 1;
+  }
+
+  return {
+    recipients,
+    excluded: {
+      unsubscribed,
+      invalidPhone,
+      excludedList: subscribedIncluded - subscribed.length
+    }
+  };
+};
+
+exports.loadAudienceLists = loadAudienceLists;
+exports.buildAudienceWhere = buildAudienceWhere;
+exports.ALL_LIST_NAME = ALL_LIST_NAME;
@@ -0,0 +1,109 @@
+// apps/api/src/services/campaignControl.service.js
+const prisma = require('../lib/prisma');
+const { releaseMessages } = require('./wallet.service');
+const { publishQueuedForCampaign } = require('./smsDispatch.service');
+const { unscheduleCampaignJob } = require('./campaignSchedule.service');
+const { enqueueCampaign } = require('./campaignEnqueue.service');
+
+const CANCELLABLE = ['scheduled', 'sending', 'paused'];
+
+async function findOwned(campaignId, ownerId) {
+  return prisma.campaign.findFirst({
+    where: { id: campaignId, ownerId },
+    select: { id: true, status: true, enqueuedAt: true }
+  });
+}
+
+/**
+ * Pause a sending campaign. Queued messages stay 'queued'; the sms worker
+ * sees the paused status and holds their jobs instead of sending.
+ */
+exports.pauseCampaign = async (campaignId, ownerId) => {
+  const c = await findOwned(campaignId, ownerId);
+  if (!c) return { ok: false, reason: 'not_found' };
+
+  const r = await prisma.campaign.updateMany({
+    where: { id: campaignId, status: 'sending' },
+    data: { status: 'paused' }
+  });
+  if (r.count === 0) return { ok: false, reason: 'invalid_status' };
+
+  const queued = await prisma.campaignMessage.count({ where: { campaignId, status: 'queued' } });
+  return { ok: true, status: 'paused', queued };
+};
+
+/**
+ * Resume a paused campaign. Held jobs pick up on their next check; we also
+ * re-publish the queued messages in case a job went missing meanwhile
+ * (deterministic job ids make this a no-op for jobs still on the queue).
+ */
+exports.resumeCampaign = async (campaignId, ownerId) => {
+  const c = await findOwned(campaignId, ownerId);
+  if (!c) return { ok: false, reason: 'not_found' };
+
+  // Build stopped halfway (e.g. ran out of credits): continue it from its cursor.
+  // If the build is still running, enqueueCampaign refuses and we just flip the status.
+  if (c.status === 'paused' && !c.enqueuedAt) {
+    const result = await enqueueCampaign(campaignId);
+    if (result.ok) return { ok: true, status: 'sending', enqueuedJobs: result.enqueuedJobs };
+    if (result.reason !== 'invalid_status') return result;
+  }
+
+  const r = await prisma.campaign.updateMany({
+    where: { id: campaignId, status: 'paused' },
+    data: { status: 'sending' }
+  });
+  if (r.count === 0) return { ok: false, reason: 'invalid_status' };
+
+  const enqueuedJobs = await publishQueuedForCampaign(campaignId);
+  return { ok: true, status: 'sending', enqueuedJobs };
+};
+
+/**
+ * Cancel a scheduled, sending or paused campaign.
+ * Unsent ('queued') messages become 'cancelled' and their reserved credits are released.
+ */
+exports.cancelCampaign = async (campaignId, ownerId) => {
+  const c = await findOwned(campaignId, ownerId);
+  if (!c) return { ok: false, reason: 'not_found' };
+
+  const r = await prisma.campaign.updateMany({
+    where: { id: campaignId, status: { in: CANCELLABLE } },
+    data: { status: 'cancelled', finishedAt: new Date() }
+  });
+  if (r.count === 0) return { ok: false, reason: 'invalid_status' };
+
+  await unscheduleCampaignJob(campaignId);
+
+  const pending = await prisma.campaignMessage.findMany({
+    where: { campaignId, status: 'queued' },
+    select: { id: true }
+  });
+  const ids = pending.map((m) => m.id);
+
+  let cancelled = 0;
+  let released = 0;
+  if (ids.length) {
+    // Only messages still queued at this point are cancelled. The worker
+    // claims a message ('sending') before calling the provider and only
+    // claims 'queued' ones, so a cancelled message is never sent; messages
+    // already claimed finish their send and keep their credit reservation.
+    const upd = await prisma.campaignMessage.updateMany({
+      where: { id: { in: ids }, status: 'queued' },
+      data: { status: 'cancelled', error: 'cancelled' }
+    });
+    cancelled = upd.count;
+
+    const rows = await prisma.campaignMessage.findMany({
+      where: { id: { in: ids }, status: 'cancelled' },
+      select: { id: true }
+    });
+    const r = await releaseMessages(ownerId, rows.map((m) => m.id), {
+      reason: `cancel:campaign:${campaignId}`,
+      campaignId
+    });
+    released = r.credits;
+  }
+
+  return { ok: true, status: 'cancelled', cancelled, creditsRefunded: released };
+};
@@ -1,128 +1,400 @@
 // apps/api/src/services/campaignEnqueue.service.js
 const prisma = require('../lib/prisma');
-const { normalizeToE164, isE164 } = require('../lib/phone');
-
-const ALL_LIST_NAME = '[ALL_CONTACTS]';
-
-// Helper: debit wallet (throws { status: 402 } on insufficient credits)
-async function debitCredits(ownerId, units, reason, meta) {
-  const wallet = await prisma.wallet.findUnique({ where: { ownerId } });
-  const balance = wallet?.balance ?? 0;
-  if (balance < units) {
-    const err = new Error('insufficient credits');
-    err.status = 402;
-    throw err;
-  }
-  const newBal = balance - units;
-  const txn = await prisma.$transaction([
-    prisma.wallet.update({
-      where: { ownerId },
-      data: { balance: newBal }
-    }),
-    prisma.creditTransaction.create({
-      data: {
-        ownerId,
-        type: 'debit',
-        amount: units,
-        balanceAfter: newBal,
-        reason: reason || 'campaign enqueue',
-        meta: meta || null
-      }
-    })
-  ]);
-  return txn;
-}
+const { publishMessageJobs, publishQueuedForCampaign } = require('./smsDispatch.service');
+const { finalizeCampaignIfDone } = require('./campaignFinalizer.service');
+const { resolveCampaignAudience, buildAudienceWhere } = require('./campaignAudience.service');
+const { getBalance, reserve } = require('./wallet.service');
+const {
+  getFrequencyCap,
+  lockedCappedContactIds,
+  partitionByFrequencyCap,
+  SKIP_REASON,
+} = require('./frequencyCap.service');
+const { isAbTest, pickTestVariant, scheduleAbEvaluation } = require('./campaignAbTest.service');
+const { isE164 } = require('../lib/phone');
+const { segmentSms } = require('../lib/smsSegments');
+const { newTrackingId, newMessageUnsubToken, buildMessageText } = require('../lib/messageLinks');
+
+const ENQUEUEABLE = ['draft', 'scheduled', 'paused'];
+
+// Batch size for the recipient walk / message inserts
+const BATCH_SIZE = Number(process.env.ENQUEUE_BATCH_SIZE || 1000);
+// A build whose heartbeat is older than this is considered dead and may be resumed
+const STALE_MS = Number(process.env.ENQUEUE_STALE_MS || 2 * 60 * 1000);
 
-// Render template with simple handlebars-like vars
-function renderText(templateText, contact) {
-  return templateText
-    .replace(/\{\{firstName\}\}/g, contact.firstName || '')
-    .replace(/\{\{lastName\}\}/g, contact.lastName || '')
-    .replace(/\{\{email\}\}/g, contact.email || '');
+// Render every recipient's final text (offer + opt-out links included)
+// and count its SMS parts on that final text.
+// variantFor(contact) → A/B variant whose template to use (null = campaign template)
+function buildMessages(campaign, contacts, variantFor = () => null) {
+  return contacts.map((c) => {
+    const trackingId = newTrackingId();
+    const unsub = newMessageUnsubToken();
+    const variant = variantFor(c);
+    const text = buildMessageText((variant?.template || campaign.template).text, {
+      contact: c,
+      owner: campaign.owner,
+      trackingId,
+      unsubToken: unsub.raw
+    });
+    const { parts, encoding } = segmentSms(text);
+    return {
+      contactId: c.id,
+      variantId: variant?.id || null,
+      to: c.phone,
+      text,
+      parts,
+      encoding,
+      trackingId,
+      unsubscribeTokenHash: unsub.hash
+    };
+  });
 }
 
-function smsParts(len) {
-  if (len <= 160) return 1;
-  return Math.ceil(len / 153);
+// Messages as enqueue would build them, for the estimate and the preview.
+// A/B: the sample gets its test variant and the rest the winner; before the
+// decision, the rest is priced at its most expensive variant (worst case).
+function plannedMessages(campaign, contacts) {
+  if (!isAbTest(campaign)) return buildMessages(campaign, contacts);
+
+  const winner = campaign.abPhase === 'decided'
+    ? campaign.variants.find((v) => v.id === campaign.abWinnerVariantId)
+    : null;
+  if (winner) return buildMessages(campaign, contacts, () => winner);
+
+  const byVariant = campaign.variants.map((v) => buildMessages(campaign, contacts, () => v));
+  return contacts.map((c, i) => {
+    const options = byVariant.map((messages) => messages[i]);
+    const sample = pickTestVariant(campaign, c.id);
+    if (sample) return options.find((m) => m.variantId === sample.id);
+    return options.reduce((worst, m) => (m.parts > worst.parts ? m : worst));
+  });
 }
 
-exports.enqueueCampaign = async (campaignId) => {
-  const campaign = await prisma.campaign.findUnique({
-    where: { id: campaignId },
+function loadCampaign(where) {
+  return prisma.campaign.findFirst({
+    where,
     include: {
       template: true,
-      list: {
-        include: {
-          memberships: { include: { contact: true } }
-        }
-      },
-      owner: true
+      owner: true,
+      variants: { include: { template: true }, orderBy: { label: 'asc' } }
     }
   });
+}
 
+/**
+ * Dry run of enqueueCampaign: same audience, same rendering, nothing persisted.
+ */
+exports.estimateCampaign = async (campaignId, ownerId) => {
+  const campaign = await loadCampaign({ id: campaignId, ownerId });
   if (!campaign) return { ok: false, reason: 'not_found' };
 
-  // Resolve recipients:
-  let contacts = [];
-  if (campaign.list?.name === ALL_LIST_NAME) {
-    contacts = await prisma.contact.findMany({
-      where: { ownerId: campaign.ownerId, isSubscribed: true }
+  const { recipients, excluded } = await resolveCampaignAudience(campaign);
+  const { allowed, skipped } = await partitionByFrequencyCap(campaign.ownerId, recipients);
+  const messages = plannedMessages(campaign, allowed);
+
+  const totalSegments = messages.reduce((acc, m) => acc + m.parts, 0);
+  const encodings = { 'GSM-7': 0, 'UCS-2': 0 };
+  for (const m of messages) encodings[m.encoding] += 1;
+
+  const balance = await getBalance(campaign.ownerId);
+
+  return {
+    ok: true,
+    campaignId: campaign.id,
+    recipients: messages.length,
+    excluded: {
+      total: excluded.unsubscribed + excluded.invalidPhone + excluded.excludedList + skipped.length,
+      unsubscribed: excluded.unsubscribed,
+      invalidPhone: excluded.invalidPhone,
+      excludedList: excluded.excludedList,
+      frequencyCap: skipped.length
+    },
+    encodings,
+    totalSegments,
+    creditsNeeded: totalSegments,
+    balance,
+    sufficientCredits: balance >= totalSegments
+  };
+};
+
+/**
+ * The first `limit` messages of the campaign's audience, rendered as enqueue
+ * would (sample links are generated but not stored).
+ */
+exports.previewCampaign = async (campaignId, ownerId, limit = 10) => {
+  const campaign = await loadCampaign({ id: campaignId, ownerId });
+  if (!campaign) return { ok: false, reason: 'not_found' };
+
+  const { recipients } = await resolveCampaignAudience(campaign);
+  const labels = new Map(campaign.variants.map((v) => [v.id, v.label]));
+  const items = plannedMessages(campaign, recipients.slice(0, limit)).map((m) => ({
+    to: m.to,
+    text: m.text,
+    segments: segmentSms(m.text),
+    variant: labels.get(m.variantId) ?? null
+  }));
+
+  return { ok: true, items, totalRecipients: recipients.length };
+};
+
+const ABORTED = 'ENQUEUE_ABORTED';
+
+/**
+ * Persist one batch of recipients atomically: progress cursor, message rows
+ * and the credit reservation commit together, so a crash never leaves a batch half
+ * written and a resumed build starts right after the last committed one.
+ * The frequency cap is checked in the same transaction, under the owner's cap
+ * lock, so overlapping campaigns can't both message a contact at its limit.
+ * Returns the created rows ({ id, contactId, status }).
+ */
+async function persistBatch(campaign, { lastContactId, processed, messages, contacts, cap }) {
+  const partsByContact = new Map(messages.map((m) => [m.contactId, m.parts]));
+
+  const rowsFor = (capped) => [
+    ...messages.filter((m) => !capped.has(m.contactId)).map((m) => ({
+      ownerId: campaign.ownerId,
+      campaignId: campaign.id,
+      contactId: m.contactId,
+      variantId: m.variantId,
+      to: m.to,
+      text: m.text,
+      trackingId: m.trackingId,
+      unsubscribeTokenHash: m.unsubscribeTokenHash,
+      status: 'queued',
+      credits: m.parts,
+      billingStatus: 'reserved'
+    })),
+    // Capped contacts are recorded, not silently dropped (no credits, no job)
+    ...contacts.filter((c) => capped.has(c.id)).map((c) => ({
+      ownerId: campaign.ownerId,
+      campaignId: campaign.id,
+      contactId: c.id,
+      to: c.phone,
+      trackingId: newTrackingId(),
+      status: 'skipped',
+      skipReason: SKIP_REASON
+    }))
+  ];
+
+  return prisma.$transaction(async (tx) => {
+    const capped = await lockedCappedContactIds(tx, campaign.ownerId, cap, contacts.map((c) => c.id));
+    const data = rowsFor(capped);
+    const rows = data.length
+      ? await tx.campaignMessage.createManyAndReturn({
+        data,
+        skipDuplicates: true,
+        select: { id: true, contactId: true, status: true }
+      })
+      : [];
+
+    const queuedRows = rows.filter((r) => r.status === 'queued');
+    const credits = queuedRows.reduce((acc, r) => acc + partsByContact.get(r.contactId), 0);
+
+    // Cancelled (or completed) meanwhile → stop building
+    const progressed = await tx.campaign.updateMany({
+      where: { id: campaign.id, status: { in: ['sending', 'paused'] } },
+      data: {
+        enqueueCursor: lastContactId,
+        enqueueProcessed: { increment: processed },
+        enqueueHeartbeatAt: new Date(),
+        total: { increment: queuedRows.length }
+      }
     });
-  } else {
-    contacts = campaign.list?.memberships
-      ?.map((m) => m.contact)
-      ?.filter((c) => c.isSubscribed) ?? [];
-  }
+    if (progressed.count === 0) {
+      const err = new Error('campaign no longer sending');
+      err.code = ABORTED;
+      throw err;
+    }
+
+    // Held until each message's outcome is known (see wallet.service)
+    if (credits > 0) {
+      await reserve(campaign.ownerId, credits, {
+        reason: 'campaign enqueue',
+        campaignId: campaign.id,
+        meta: { messages: queuedRows.length, upToContactId: lastContactId }
+      }, tx);
+    }
 
-  // Filter valid phone/E.164 (should already be stored as E.164)
-  contacts = contacts.filter((c) => c.phone && isE164(c.phone));
+    return { rows, credits };
+  }, { timeout: 30000 });
+}
 
-  if (!contacts.length) {
-    return { ok: false, reason: 'no_valid_recipients' };
-  }
+// Undo a build that produced nothing sendable and release the claim
+async function resetBuild(campaign) {
+  await prisma.$transaction([
+    prisma.campaignMessage.deleteMany({ where: { campaignId: campaign.id, status: 'skipped' } }),
+    prisma.campaign.update({
+      where: { id: campaign.id },
+      data: {
+        status: ENQUEUEABLE.includes(campaign.status) ? campaign.status : 'draft',
+        startedAt: campaign.startedAt,
+        total: 0,
+        abPhase: 'none',
+        enqueueCursor: null,
+        enqueueProcessed: 0,
+        enqueueTotal: null,
+        enqueueHeartbeatAt: null
+      }
+    })
+  ]);
+}
 
-  // Render messages + estimate credits
-  const messages = contacts.map((c) => {
-    const text = renderText(campaign.template.text, c);
-    const parts = smsParts(text.length);
-    return { contactId: c.id, to: c.phone, text, parts };
+/**
+ * Build and publish a campaign's messages.
+ *
+ * Recipients are paged by contact id in batches of ENQUEUE_BATCH_SIZE; each
+ * batch is inserted with createMany and its jobs published right away, so
+ * sending starts before the build finishes. Progress lives on the campaign
+ * (enqueueProcessed / enqueueTotal / enqueueCursor). A build that died halfway
+ * is picked up again once its heartbeat is older than ENQUEUE_STALE_MS.
+ *
+ * A/B campaigns are built twice: first only the test sample (each contact
+ * with its variant), then — after campaignAbTest.decideAbWinner — everyone
+ * else with the winning variant (contacts already messaged are skipped by
+ * the per-campaign unique key).
+ */
+exports.enqueueCampaign = async (campaignId) => {
+  const campaign = await loadCampaign({ id: campaignId });
+  if (!campaign) return { ok: false, reason: 'not_found' };
+
+  // Claim the campaign atomically so a scheduled run and a manual enqueue
+  // can't both build messages for it. A live build keeps its heartbeat fresh.
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_MS);
+  const claimed = await prisma.campaign.updateMany({
+    where: {
+      id: campaign.id,
+      OR: [
+        { status: { in: ENQUEUEABLE }, enqueuedAt: { not: null } },
+        {
+          status: { in: [...ENQUEUEABLE, 'sending'] },
+          enqueuedAt: null,
+          OR: [{ enqueueHeartbeatAt: null }, { enqueueHeartbeatAt: { lt: staleBefore } }]
+        }
+      ]
+    },
+    data: { status: 'sending', startedAt: campaign.startedAt ?? now, enqueueHeartbeatAt: now }
   });
+  if (claimed.count === 0) return { ok: false, reason: 'invalid_status' };
 
-  const totalCredits = messages.reduce((acc, m) => acc + m.parts, 0);
+  // Messages already built (paused campaign): only re-publish what is still
+  // queued. Job ids are deterministic, so nothing on the queue is added twice.
+  if (campaign.enqueuedAt) {
+    const enqueuedJobs = await publishQueuedForCampaign(campaign.id);
+    return { ok: true, queued: enqueuedJobs, enqueuedJobs, creditsReserved: 0, resumed: true };
+  }
 
-  // Debit wallet
-  await debitCredits(campaign.ownerId, totalCredits, 'campaign enqueue', {
-    campaignId: campaign.id
-  });
+  const resumed = campaign.enqueueCursor !== null;
+  const { audience } = await buildAudienceWhere(campaign);
+  const where = { AND: [audience, { isSubscribed: true }] };
 
-  // Persist messages and update campaign status
-  const now = new Date();
-  await prisma.$transaction(async (tx) => {
-    await tx.campaign.update({
+  // A/B: 'test' = sample only, 'winner' = remainder after the decision
+  let abStage = null;
+  let variantFor;
+  if (isAbTest(campaign) && campaign.abPhase === 'decided') {
+    const winner = campaign.variants.find((v) => v.id === campaign.abWinnerVariantId);
+    abStage = 'winner';
+    variantFor = () => winner;
+  } else if (isAbTest(campaign)) {
+    abStage = 'test';
+    variantFor = (c) => pickTestVariant(campaign, c.id);
+  }
+  // Messages already out before this build (crash resume or A/B remainder)
+  const continuing = resumed || abStage === 'winner';
+
+  let enqueuedJobs = 0;
+  if (resumed) {
+    // Batches committed before the crash may not have reached the queue
+    enqueuedJobs += await publishQueuedForCampaign(campaign.id);
+  } else {
+    await prisma.campaign.update({
       where: { id: campaign.id },
       data: {
-        status: 'sending',
-        startedAt: campaign.startedAt ?? now,
-        total: messages.length
+        enqueueTotal: await prisma.contact.count({ where }),
+        enqueueProcessed: 0,
+        ...(continuing ? {} : { total: 0 })
       }
     });
+  }
 
-    // Create CampaignMessage rows
-    for (const m of messages) {
-      await tx.campaignMessage.create({
-        data: {
-          ownerId: campaign.ownerId,
-          campaignId: campaign.id,
-          contactId: m.contactId,
-          to: m.to,
-          text: m.text,
-          trackingId: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
-          status: 'queued'
-        }
-      });
+  const cap = await getFrequencyCap(campaign.ownerId);
+
+  let cursor = campaign.enqueueCursor ?? 0;
+  let queued = 0;
+  let skipped = 0;
+  let creditsReserved = 0;
+
+  for (;;) {
+    const contacts = await prisma.contact.findMany({
+      where: { AND: [where, { id: { gt: cursor } }] },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE
+    });
+    if (!contacts.length) break;
+
+    // Phones should already be stored as E.164; anything else is skipped.
+    // In the A/B test stage, contacts outside the sample wait for the winner.
+    const valid = contacts.filter((c) => c.phone && isE164(c.phone)
+      && (abStage !== 'test' || variantFor(c)));
+    const messages = buildMessages(campaign, valid, variantFor);
+    const lastContactId = contacts[contacts.length - 1].id;
+
+    let batch;
+    try {
+      batch = await persistBatch(campaign, { lastContactId, processed: contacts.length, messages, contacts: valid, cap });
+    } catch (e) {
+      if (e.code === ABORTED) {
+        return { ok: false, reason: 'aborted', queued, skipped, enqueuedJobs, creditsReserved };
+      }
+      if (e.status === 402 && (queued > 0 || continuing)) {
+        // Part of the audience is already out: hold the rest until the owner
+        // tops up and resumes (the build continues from the cursor).
+        await prisma.campaign.updateMany({
+          where: { id: campaign.id, status: 'sending' },
+          data: { status: 'paused', enqueueHeartbeatAt: null }
+        });
+        return { ok: false, reason: 'insufficient_credits', queued, skipped, enqueuedJobs, creditsReserved };
+      }
+      if (e.status === 402) await resetBuild(campaign);
+      throw e;
     }
+
+    const queuedIds = batch.rows.filter((r) => r.status === 'queued').map((r) => r.id);
+    enqueuedJobs += await publishMessageJobs(queuedIds);
+    queued += queuedIds.length;
+    skipped += batch.rows.length - queuedIds.length;
+    creditsReserved += batch.credits;
+    cursor = lastContactId;
+  }
+
+  // Nothing sendable at all: leave the campaign as it was
+  const built = await prisma.campaignMessage.count({
+    where: { campaignId: campaign.id, status: { not: 'skipped' } }
   });
+  if (built === 0) {
+    await resetBuild(campaign);
+    let reason = skipped ? 'all_recipients_capped' : 'no_valid_recipients';
+    if (reason === 'no_valid_recipients' && abStage === 'test') reason = 'ab_sample_empty';
+    return { ok: false, reason, skipped };
+  }
 
-  // Here you would push to your provider queue; we return a simple OK for now.
-  return { ok: true, queued: messages.length, creditsDebited: totalCredits };
+  const done = { enqueuedAt: new Date(), enqueueHeartbeatAt: null };
+  let abTest;
+  if (abStage === 'test') {
+    // The campaign stays 'sending' (finalizers skip abPhase 'testing') until the evaluation
+    const evaluateAt = new Date(Date.now() + campaign.abEvalDelayMinutes * 60 * 1000);
+    Object.assign(done, { abPhase: 'testing', abEvaluateAt: evaluateAt });
+    abTest = { phase: 'testing', evaluateAt };
+  } else if (abStage === 'winner') {
+    abTest = { phase: 'decided', winnerVariantId: campaign.abWinnerVariantId };
+  }
+
+  await prisma.campaign.update({ where: { id: campaign.id }, data: done });
+  if (abStage === 'test') await scheduleAbEvaluation(campaign.id, done.abEvaluateAt);
+  // Every message may already be out by the time the last batch is built
+  await finalizeCampaignIfDone(campaign.id);
+
+  return { ok: true, queued, skipped, enqueuedJobs, creditsReserved, resumed, ...(abTest ? { abTest } : {}) };
 };
+
+exports.ENQUEUE_STALE_MS = STALE_MS;
@@ -1,23 +1,68 @@
 // apps/api/src/services/campaignFinalizer.service.js
 const prisma = require('../lib/prisma');
+const { releaseMessages } = require('./wallet.service');
 
 /**
  * Mark campaign as completed when no non-terminal messages remain.
- * Non-terminal = 'queued' or 'sent'
+ * Non-terminal = 'queued', 'sending' or 'sent'
+ * Only 'sending' campaigns whose message build finished are finalized;
+ * paused/cancelled keep their status, and an A/B test waiting for its
+ * evaluation still has the remainder of the audience to go.
  */
 async function finalizeCampaignIfDone(campaignId) {
   if (!campaignId) return;
 
   const remaining = await prisma.campaignMessage.count({
-    where: { campaignId, status: { in: ['queued', 'sent'] } },
+    where: { campaignId, status: { in: ['queued', 'sending', 'sent'] } },
   });
 
   if (remaining === 0) {
     await prisma.campaign.updateMany({
-      where: { id: campaignId, status: { not: 'completed' } },
+      where: { id: campaignId, status: 'sending', enqueuedAt: { not: null }, abPhase: { not: 'testing' } },
       data: { status: 'completed', finishedAt: new Date() },
     });
   }
 }
 
-module.exports = { finalizeCampaignIfDone };
+/**
+ * Fail messages stuck in 'sending' since before `olderThan`: the worker that
+ * claimed them crashed or stalled, and their BullMQ retries skip anything not
+ * 'queued'. Their credits are released and the campaigns finalized; whether
+ * the provider got the SMS is unknown, so they are not re-queued
+ * automatically (POST /campaigns/:id/retry-failed can resend them).
+ * @returns {Promise<number>} messages failed
+ */
+async function failStaleClaims(olderThan, { limit = 5000 } = {}) {
+  const rows = await prisma.campaignMessage.findMany({
+    where: { status: 'sending', claimedAt: { lt: olderThan } },
+    select: { id: true, ownerId: true, campaignId: true },
+    orderBy: { id: 'asc' },
+    take: limit
+  });
+  if (!rows.length) return 0;
+
+  // The claim guard leaves alone a worker that finished in the meantime
+  const ids = rows.map((r) => r.id);
+  await prisma.campaignMessage.updateMany({
+    where: { id: { in: ids }, status: 'sending', claimedAt: { lt: olderThan } },
+    data: { status: 'failed', failedAt: new Date(), error: 'send interrupted', errorClass: 'interrupted' }
+  });
+  const failed = await prisma.campaignMessage.findMany({
+    where: { id: { in: ids }, status: 'failed', errorClass: 'interrupted' },
+    select: { id: true, ownerId: true, campaignId: true }
+  });
+
+  const byOwner = new Map();
+  for (const r of failed) {
+    if (!byOwner.has(r.ownerId)) byOwner.set(r.ownerId, []);
+    byOwner.get(r.ownerId).push(r.id);
+  }
+  for (const [ownerId, messageIds] of byOwner) {
+    await releaseMessages(ownerId, messageIds, { reason: 'release:stale_claim' });
+  }
+
+  for (const campaignId of new Set(failed.map((r) => r.campaignId))) await finalizeCampaignIfDone(campaignId);
+  return failed.length;
+}
+
+module.exports = { finalizeCampaignIfDone, failStaleClaims };
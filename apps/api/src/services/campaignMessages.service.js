@@ -0,0 +1,146 @@
+// apps/api/src/services/campaignMessages.service.js
+const prisma = require('../lib/prisma');
+const { csvCell } = require('../lib/csv');
+
+const STATUSES = ['queued', 'sending', 'sent', 'delivered', 'failed', 'cancelled', 'skipped'];
+const EXPORT_BATCH = 1000;
+
+const MESSAGE_SELECT = {
+  id: true,
+  to: true,
+  status: true,
+  skipReason: true,
+  error: true,
+  errorClass: true,
+  retryCount: true,
+  lastRetriedAt: true,
+  providerMessageId: true,
+  createdAt: true,
+  sentAt: true,
+  deliveredAt: true,
+  failedAt: true,
+  contact: { select: { id: true, firstName: true, lastName: true } },
+  variant: { select: { id: true, label: true } },
+  redemption: { select: { redeemedAt: true, redeemedByUserId: true, visits: true, lastVisitedAt: true } }
+};
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Message filter for one campaign.
+ * @param {{ status?: string, q?: string }} filters
+ *   status: one or more statuses, comma-separated
+ *   q:      phone (digits) or contact first/last name
+ */
+function buildMessageWhere(ownerId, campaignId, { status, q } = {}) {
+  const where = { ownerId, campaignId };
+
+  if (status) {
+    const list = String(status).split(',').map((s) => s.trim()).filter(Boolean);
+    const unknown = list.filter((s) => !STATUSES.includes(s));
+    if (unknown.length) throw badRequest(`invalid status: ${unknown.join(', ')}`);
+    where.status = { in: list };
+  }
+
+  const term = String(q || '').trim();
+  if (term) {
+    const digits = term.replace(/\D/g, '');
+    const or = [
+      { contact: { firstName: { contains: term, mode: 'insensitive' } } },
+      { contact: { lastName: { contains: term, mode: 'insensitive' } } }
+    ];
+    if (digits.length >= 3) or.push({ to: { contains: digits } });
+    where.OR = or;
+  }
+
+  return where;
+}
+
+// An offer visit alone also creates the Redemption row; only a redeem sets redeemedByUserId
+function toItem(m) {
+  const { redemption, ...rest } = m;
+  const redeemed = redemption?.redeemedByUserId != null;
+  return {
+    ...rest,
+    redeemed,
+    redeemedAt: redeemed ? redemption.redeemedAt : null,
+    offerVisits: redemption?.visits || 0
+  };
+}
+
+async function fetchPage(where, after, take) {
+  const rows = await prisma.campaignMessage.findMany({
+    where: after ? { AND: [where, { id: { gt: after } }] } : where,
+    orderBy: { id: 'asc' },
+    take: take + 1,
+    select: MESSAGE_SELECT
+  });
+
+  const hasMore = rows.length > take;
+  const items = (hasMore ? rows.slice(0, take) : rows).map(toItem);
+  return { items, nextCursor: hasMore ? items[items.length - 1].id : null };
+}
+
+/**
+ * One page of a campaign's messages (id order, keyset pagination).
+ * @returns {Promise<{ items: object[], nextCursor: number|null }>}
+ */
+async function listCampaignMessages(ownerId, campaignId, { cursor, limit = 50, ...filters } = {}) {
+  const where = buildMessageWhere(ownerId, campaignId, filters);
+  const take = Math.min(200, Math.max(1, Number(limit) || 50));
+  return fetchPage(where, Number(cursor) || 0, take);
+}
+
+/* =========================
+   CSV export
+   ========================= */
+const CSV_COLUMNS = [
+  ['messageId', (m) => m.id],
+  ['phone', (m) => m.to],
+  ['firstName', (m) => m.contact?.firstName],
+  ['lastName', (m) => m.contact?.lastName],
+  ['variant', (m) => m.variant?.label],
+  ['status', (m) => m.status],
+  ['skipReason', (m) => m.skipReason],
+  ['error', (m) => m.error],
+  ['errorClass', (m) => m.errorClass],
+  ['retryCount', (m) => m.retryCount],
+  ['lastRetriedAt', (m) => m.lastRetriedAt],
+  ['providerMessageId', (m) => m.providerMessageId],
+  ['createdAt', (m) => m.createdAt],
+  ['sentAt', (m) => m.sentAt],
+  ['deliveredAt', (m) => m.deliveredAt],
+  ['failedAt', (m) => m.failedAt],
+  ['redeemed', (m) => (m.redeemed ? 'yes' : 'no')],
+  ['redeemedAt', (m) => m.redeemedAt]
+];
+
+/**
+ * Write a campaign's messages as CSV, batch by batch.
+ * @param {(chunk: string) => Promise<void>|void} write
+ */
+async function exportCampaignMessagesCsv(ownerId, campaignId, filters, write) {
+  const where = buildMessageWhere(ownerId, campaignId, filters);
+  await write(CSV_COLUMNS.map(([h]) => h).join(',') + '\r\n');
+
+  let cursor = 0;
+  for (;;) {
+    const { items, nextCursor } = await fetchPage(where, cursor, EXPORT_BATCH);
+    if (items.length) {
+      await write(items.map((m) => CSV_COLUMNS.map(([, get]) => csvCell(get(m))).join(',')).join('\r\n') + '\r\n');
+    }
+    if (!nextCursor) break;
+    cursor = nextCursor;
+  }
+}
+
+module.exports = {
+  STATUSES,
+  buildMessageWhere,
+  listCampaignMessages,
+  exportCampaignMessagesCsv,
+};
@@ -0,0 +1,280 @@
+// apps/api/src/services/campaignRecurrence.service.js
+const prisma = require('../lib/prisma');
+const { parseRecurrence, nextOccurrences, lastOccurrence } = require('../lib/recurrence');
+const { isWithinWindow, nextWindowStart } = require('../lib/sendWindow');
+const { enqueueCampaign } = require('./campaignEnqueue.service');
+
+// Optional scheduler queue (null when QUEUE_DISABLED=1)
+let schedulerQueue = null;
+try { schedulerQueue = require('../queues/scheduler.queue'); } catch (_) {}
+
+/**
+ * Recurring campaigns: the parent (status 'recurring') holds content, audience
+ * and schedule. A BullMQ job scheduler fires 'runRecurringCampaign' on every
+ * occurrence; each run copies the parent into a child campaign (occurrenceAt,
+ * parentCampaignId) and enqueues it, so the audience is resolved at that time.
+ */
+
+const JOB_NAME = 'runRecurringCampaign';
+
+// Upcoming occurrences checked against the owner's send window
+const WINDOW_CHECK_COUNT = 20;
+
+function recurrenceSchedulerId(campaignId) {
+  return `campaign:recurrence:${campaignId}`;
+}
+
+/**
+ * Create or update the job scheduler of a recurring parent.
+ * Returns false when queues are disabled.
+ */
+async function upsertRecurrenceJob(campaign) {
+  if (!schedulerQueue) return false;
+  await schedulerQueue.upsertJobScheduler(
+    recurrenceSchedulerId(campaign.id),
+    {
+      pattern: campaign.recurrenceCron,
+      tz: campaign.timezone,
+      ...(campaign.recurrenceEndsAt ? { endDate: campaign.recurrenceEndsAt } : {})
+    },
+    { name: JOB_NAME, data: { campaignId: campaign.id } }
+  );
+  return true;
+}
+
+async function removeRecurrenceJob(campaignId) {
+  try { await schedulerQueue?.removeJobScheduler(recurrenceSchedulerId(campaignId)); } catch (_) {}
+}
+
+/**
+ * Turn a draft campaign into a recurring parent (or change its schedule).
+ * A schedule that never fires inside the owner's send window is refused; one
+ * that only sometimes does is saved and the outside occurrences are returned
+ * (their messages wait for the window to open).
+ * @param {{ rule: string, timezone: string, endsAt?: string|null }} input
+ * @returns {Promise<{ ok: boolean, reason?: string, campaign?: object, upcoming?: Date[],
+ *   outsideSendWindow?: Date[], nextAllowedAt?: Date }>}
+ *   reason: not_found | invalid_status | outside_send_window
+ */
+async function setRecurrence(campaignId, ownerId, { rule, timezone, endsAt } = {}) {
+  const campaign = await prisma.campaign.findFirst({
+    where: { id: campaignId, ownerId },
+    select: { id: true, status: true, parentCampaignId: true, owner: { select: { sendWindow: true } } }
+  });
+  if (!campaign) return { ok: false, reason: 'not_found' };
+  // Only unsent campaigns become a schedule; an occurrence can't recur itself
+  if (!['draft', 'recurring'].includes(campaign.status) || campaign.parentCampaignId) {
+    return { ok: false, reason: 'invalid_status' };
+  }
+
+  const parsed = parseRecurrence(rule, timezone);
+  let ends = parsed.until;
+  if (endsAt) {
+    ends = new Date(endsAt);
+    if (Number.isNaN(ends.getTime())) {
+      const err = new Error('invalid endsAt');
+      err.status = 400;
+      throw err;
+    }
+  }
+
+  const window = campaign.owner?.sendWindow;
+  let outsideSendWindow = [];
+  if (window) {
+    const upcoming = nextOccurrences(parsed.cron, parsed.timezone, { count: WINDOW_CHECK_COUNT, endDate: ends });
+    outsideSendWindow = upcoming.filter((at) => !isWithinWindow(window, at));
+    if (upcoming.length && outsideSendWindow.length === upcoming.length) {
+      return { ok: false, reason: 'outside_send_window', nextAllowedAt: nextWindowStart(window, upcoming[0]) };
+    }
+  }
+
+  const updated = await prisma.campaign.update({
+    where: { id: campaign.id },
+    data: {
+      status: 'recurring',
+      scheduledAt: null,
+      recurrenceRule: parsed.rule,
+      recurrenceCron: parsed.cron,
+      timezone: parsed.timezone,
+      recurrenceEndsAt: ends,
+      recurrenceSkips: { set: [] }
+    }
+  });
+  await upsertRecurrenceJob(updated);
+
+  return { ok: true, campaign: updated, upcoming: upcomingOccurrences(updated, 5), outsideSendWindow };
+}
+
+/**
+ * Stop a recurring schedule; the parent goes back to draft (past children stay).
+ */
+async function clearRecurrence(campaignId, ownerId) {
+  const r = await prisma.campaign.updateMany({
+    where: { id: campaignId, ownerId, status: 'recurring' },
+    data: {
+      status: 'draft',
+      recurrenceRule: null,
+      recurrenceCron: null,
+      timezone: null,
+      recurrenceEndsAt: null,
+      recurrenceSkips: { set: [] }
+    }
+  });
+  if (r.count === 0) {
+    const exists = await prisma.campaign.count({ where: { id: campaignId, ownerId } });
+    return { ok: false, reason: exists ? 'invalid_status' : 'not_found' };
+  }
+  await removeRecurrenceJob(campaignId);
+  return { ok: true };
+}
+
+const sameInstant = (a, b) => a.getTime() === b.getTime();
+
+function upcomingOccurrences(parent, count) {
+  if (parent.status !== 'recurring' || !parent.recurrenceCron) return [];
+  const skips = parent.recurrenceSkips || [];
+  return nextOccurrences(parent.recurrenceCron, parent.timezone, {
+    count,
+    endDate: parent.recurrenceEndsAt
+  }).map((at) => ({ at, skipped: skips.some((s) => sameInstant(s, at)) }));
+}
+
+/**
+ * Past occurrences (child campaigns, newest first) and the next `upcoming` ones.
+ */
+async function listOccurrences(campaignId, ownerId, { upcoming = 5, limit = 20 } = {}) {
+  const parent = await prisma.campaign.findFirst({ where: { id: campaignId, ownerId } });
+  if (!parent) return { ok: false, reason: 'not_found' };
+
+  const past = await prisma.campaign.findMany({
+    where: { ownerId, parentCampaignId: parent.id },
+    orderBy: { occurrenceAt: 'desc' },
+    take: Math.min(100, Math.max(1, Number(limit) || 20)),
+    select: {
+      id: true, name: true, status: true, occurrenceAt: true,
+      startedAt: true, finishedAt: true, total: true
+    }
+  });
+
+  return {
+    ok: true,
+    campaignId: parent.id,
+    recurrence: {
+      rule: parent.recurrenceRule,
+      cron: parent.recurrenceCron,
+      timezone: parent.timezone,
+      endsAt: parent.recurrenceEndsAt
+    },
+    past,
+    upcoming: upcomingOccurrences(parent, Math.min(50, Math.max(1, Number(upcoming) || 5)))
+  };
+}
+
+/**
+ * Skip one upcoming occurrence: `at` (must be an occurrence) or the next one not skipped yet.
+ * @returns {Promise<{ ok: boolean, reason?: string, skipped?: Date }>}
+ *   reason: not_found | invalid_status | not_an_occurrence | nothing_to_skip
+ */
+async function skipOccurrence(campaignId, ownerId, { at } = {}) {
+  const parent = await prisma.campaign.findFirst({ where: { id: campaignId, ownerId } });
+  if (!parent) return { ok: false, reason: 'not_found' };
+  if (parent.status !== 'recurring') return { ok: false, reason: 'invalid_status' };
+
+  const now = new Date();
+  const candidates = upcomingOccurrences(parent, 50);
+  let target;
+  if (at) {
+    const when = new Date(at);
+    target = candidates.find((c) => sameInstant(c.at, when));
+    if (!target) return { ok: false, reason: 'not_an_occurrence' };
+  } else {
+    target = candidates.find((c) => !c.skipped);
+    if (!target) return { ok: false, reason: 'nothing_to_skip' };
+  }
+
+  // Past skips are dropped along the way
+  const skips = (parent.recurrenceSkips || []).filter((s) => s > now && !sameInstant(s, target.at));
+  await prisma.campaign.update({
+    where: { id: parent.id },
+    data: { recurrenceSkips: { set: [...skips, target.at] } }
+  });
+  return { ok: true, skipped: target.at };
+}
+
+function occurrenceName(parent, at) {
+  const local = new Intl.DateTimeFormat('sv-SE', {
+    timeZone: parent.timezone,
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+  }).format(at);
+  return `${parent.name} (${local})`;
+}
+
+/**
+ * Scheduler entry point: run the occurrence of a recurring parent that is due
+ * at `firedAt`. Idempotent per occurrence (unique parentCampaignId+occurrenceAt).
+ * @returns {Promise<{ ok: boolean, reason?: string, childId?: number, occurrenceAt?: Date }>}
+ */
+async function runRecurringOccurrence(parentId, firedAt = new Date()) {
+  const parent = await prisma.campaign.findUnique({
+    where: { id: parentId },
+    include: {
+      audienceLists: { select: { listId: true, mode: true } },
+      variants: { select: { label: true, templateId: true } }
+    }
+  });
+  if (!parent || parent.status !== 'recurring' || !parent.recurrenceCron) {
+    await removeRecurrenceJob(parentId);
+    return { ok: false, reason: 'not_recurring' };
+  }
+
+  const occurrenceAt = lastOccurrence(parent.recurrenceCron, parent.timezone, firedAt);
+  const skips = parent.recurrenceSkips || [];
+  if (skips.some((s) => sameInstant(s, occurrenceAt))) {
+    await prisma.campaign.update({
+      where: { id: parent.id },
+      data: { recurrenceSkips: { set: skips.filter((s) => !sameInstant(s, occurrenceAt)) } }
+    });
+    return { ok: false, reason: 'skipped', occurrenceAt };
+  }
+
+  let child;
+  try {
+    child = await prisma.campaign.create({
+      data: {
+        ownerId: parent.ownerId,
+        createdById: parent.createdById,
+        name: occurrenceName(parent, occurrenceAt),
+        templateId: parent.templateId,
+        listId: parent.listId,
+        segmentId: parent.segmentId,
+        status: 'draft',
+        parentCampaignId: parent.id,
+        occurrenceAt,
+        abTestPercent: parent.abTestPercent,
+        abWinnerMetric: parent.abWinnerMetric,
+        abEvalDelayMinutes: parent.abEvalDelayMinutes,
+        audienceLists: { create: parent.audienceLists },
+        variants: { create: parent.variants }
+      }
+    });
+  } catch (e) {
+    // Job delivered twice for the same slot
+    if (e.code === 'P2002') return { ok: false, reason: 'already_ran', occurrenceAt };
+    throw e;
+  }
+
+  const result = await enqueueCampaign(child.id);
+  return { ...result, childId: child.id, occurrenceAt };
+}
+
+module.exports = {
+  RECURRENCE_JOB_NAME: JOB_NAME,
+  recurrenceSchedulerId,
+  upsertRecurrenceJob,
+  removeRecurrenceJob,
+  setRecurrence,
+  clearRecurrence,
+  listOccurrences,
+  skipOccurrence,
+  runRecurringOccurrence,
+};
@@ -0,0 +1,169 @@
+// apps/api/src/services/campaignRetry.service.js
+const prisma = require('../lib/prisma');
+const { reserve, releaseMessages } = require('./wallet.service');
+const { publishMessageJobs } = require('./smsDispatch.service');
+const { smsParts } = require('../lib/smsSegments');
+const { ERROR_CLASSES } = require('../lib/sendErrors');
+
+const BATCH_SIZE = Number(process.env.RETRY_BATCH_SIZE || 1000);
+const RETRYABLE_STATUSES = ['sending', 'paused', 'completed'];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Validate an optional list of error classes (array or comma-separated string).
+ * @returns {string[]|null} null = every failed message
+ */
+function parseErrorClasses(input) {
+  if (input === undefined || input === null || input === '') return null;
+  const list = (Array.isArray(input) ? input : String(input).split(','))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+  const unknown = list.filter((c) => !ERROR_CLASSES.includes(c));
+  if (unknown.length) throw badRequest(`invalid error class: ${unknown.join(', ')}`);
+  return list.length ? list : null;
+}
+
+/**
+ * Put one batch of failed messages back to 'queued' and reserve their credits,
+ * in one transaction. Rows keep their text and trackingId, so links already
+ * delivered in an earlier attempt (offer, opt-out) stay valid. A reservation
+ * the failure left open is released first, so a message never holds two.
+ * Returns the re-queued messages ({ id, retryCount }) and credits reserved.
+ */
+async function requeueBatch(campaign, rows, now) {
+  // Same text → same parts; one update per parts value
+  const byParts = new Map();
+  for (const r of rows) {
+    const parts = smsParts(r.text || '');
+    if (!byParts.has(parts)) byParts.set(parts, []);
+    byParts.get(parts).push(r);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const requeued = [];
+    let credits = 0;
+
+    for (const [parts, group] of byParts) {
+      const ids = group.map((r) => r.id);
+      // status guard: a concurrent retry of the same rows updates nothing here
+      const r = await tx.campaignMessage.updateMany({
+        where: { id: { in: ids }, status: 'failed' },
+        data: {
+          status: 'queued',
+          error: null,
+          errorClass: null,
+          failedAt: null,
+          sentAt: null,
+          deliveredAt: null,
+          providerMessageId: null,
+          retryCount: { increment: 1 },
+          lastRetriedAt: now
+        }
+      });
+      if (r.count === 0) continue;
+
+      const updated = await tx.campaignMessage.findMany({
+        where: { id: { in: ids }, lastRetriedAt: now },
+        select: { id: true, retryCount: true, billingStatus: true }
+      });
+      const stillReserved = updated.filter((m) => m.billingStatus === 'reserved').map((m) => m.id);
+      await releaseMessages(campaign.ownerId, stillReserved, {
+        reason: 'campaign retry: stale reservation',
+        campaignId: campaign.id
+      }, tx);
+
+      await tx.campaignMessage.updateMany({
+        where: { id: { in: updated.map((m) => m.id) } },
+        data: { credits: parts, billingStatus: 'reserved' }
+      });
+      requeued.push(...updated.map(({ id, retryCount }) => ({ id, retryCount })));
+      credits += updated.length * parts;
+    }
+
+    if (credits > 0) {
+      await reserve(campaign.ownerId, credits, {
+        reason: 'campaign retry',
+        campaignId: campaign.id,
+        meta: { messages: requeued.length }
+      }, tx);
+    }
+
+    // A completed campaign is running again until the retried messages settle
+    if (requeued.length && campaign.status === 'completed') {
+      await tx.campaign.updateMany({
+        where: { id: campaign.id, status: 'completed' },
+        data: { status: 'sending', finishedAt: null }
+      });
+    }
+
+    return { requeued, credits };
+  }, { timeout: 30000 });
+}
+
+/**
+ * Re-queue the failed messages of a campaign, optionally only those whose
+ * errorClass is in `errorClasses`. Contacts that unsubscribed since are left
+ * failed. Credits are reserved again per batch; running out halfway keeps the
+ * batches already re-queued and reports insufficient_credits.
+ *
+ * @returns {Promise<{ ok: boolean, reason?: string, retried: number,
+ *   skippedUnsubscribed: number, creditsReserved: number, enqueuedJobs: number }>}
+ */
+async function retryFailedMessages(campaignId, ownerId, { errorClasses } = {}) {
+  const classes = parseErrorClasses(errorClasses);
+
+  const campaign = await prisma.campaign.findFirst({
+    where: { id: campaignId, ownerId },
+    select: { id: true, ownerId: true, status: true, enqueuedAt: true }
+  });
+  if (!campaign) return { ok: false, reason: 'not_found' };
+  // Builds still in progress (no enqueuedAt) are not retried; their failures may still be retrying on the queue
+  if (!RETRYABLE_STATUSES.includes(campaign.status) || !campaign.enqueuedAt) {
+    return { ok: false, reason: 'invalid_status' };
+  }
+
+  const where = { ownerId, campaignId, status: 'failed' };
+  if (classes) where.errorClass = { in: classes };
+
+  const skippedUnsubscribed = await prisma.campaignMessage.count({
+    where: { ...where, contact: { isSubscribed: false } }
+  });
+
+  const now = new Date();
+  let retried = 0;
+  let creditsReserved = 0;
+  let enqueuedJobs = 0;
+  let cursor = 0;
+
+  for (;;) {
+    const rows = await prisma.campaignMessage.findMany({
+      where: { ...where, id: { gt: cursor }, contact: { isSubscribed: true } },
+      select: { id: true, text: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE
+    });
+    if (!rows.length) break;
+    cursor = rows[rows.length - 1].id;
+
+    let batch;
+    try {
+      batch = await requeueBatch(campaign, rows, now);
+    } catch (e) {
+      if (e?.status !== 402) throw e;
+      return { ok: false, reason: 'insufficient_credits', retried, skippedUnsubscribed, creditsReserved, enqueuedJobs };
+    }
+
+    retried += batch.requeued.length;
+    creditsReserved += batch.credits;
+    enqueuedJobs += await publishMessageJobs(batch.requeued);
+  }
+
+  return { ok: true, retried, skippedUnsubscribed, creditsReserved, enqueuedJobs };
+}
+
+module.exports = { retryFailedMessages, parseErrorClasses };
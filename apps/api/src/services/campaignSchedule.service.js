@@ -0,0 +1,224 @@
+// apps/api/src/services/campaignSchedule.service.js
+const prisma = require('../lib/prisma');
+const { ENQUEUE_STALE_MS } = require('./campaignEnqueue.service');
+const { abEvaluationJobId, scheduleAbEvaluation } = require('./campaignAbTest.service');
+const { recurrenceSchedulerId, upsertRecurrenceJob, removeRecurrenceJob } = require('./campaignRecurrence.service');
+
+// Optional scheduler queue (null when QUEUE_DISABLED=1)
+let schedulerQueue = null;
+try { schedulerQueue = require('../queues/scheduler.queue'); } catch (_) {}
+
+// Overdue campaigns within this window are enqueued right away; older ones
+// are moved back to draft instead of going out unexpectedly late.
+const GRACE_MS = Number(process.env.SCHEDULER_GRACE_MINUTES || 60) * 60 * 1000;
+const REPORT_KEY = 'scheduler:reconcile:last';
+const PENDING_STATES = ['delayed', 'waiting', 'active', 'prioritized', 'waiting-children'];
+
+function scheduleJobId(campaignId) {
+  return `campaign:schedule:${campaignId}`;
+}
+
+async function unscheduleCampaignJob(campaignId) {
+  try { await schedulerQueue?.remove(scheduleJobId(campaignId)); } catch (_) {}
+}
+
+/**
+ * (Re)create the delayed schedulerQueue job for a campaign.
+ * Returns false when queues are disabled (the reconciler picks it up later).
+ */
+async function scheduleCampaignJob(campaignId, when) {
+  if (!schedulerQueue) return false;
+  await unscheduleCampaignJob(campaignId);
+  const delay = Math.max(0, new Date(when).getTime() - Date.now());
+  await schedulerQueue.add('enqueueCampaign', { campaignId }, {
+    delay,
+    jobId: scheduleJobId(campaignId)
+  });
+  return true;
+}
+
+async function jobState(campaignId, jobId = scheduleJobId(campaignId)) {
+  const job = await schedulerQueue.getJob(jobId);
+  if (!job) return { job: null, state: null };
+  return { job, state: await job.getState() };
+}
+
+async function saveReport(report) {
+  try {
+    const client = await schedulerQueue.client;
+    await client.set(REPORT_KEY, JSON.stringify(report));
+  } catch (e) {
+    console.warn('[Reconcile] could not store report:', e.message);
+  }
+}
+
+/**
+ * Compare 'scheduled' campaigns with the delayed jobs in schedulerQueue and
+ * repair the difference:
+ *  - future campaign without a pending job (or with a stale delay) → job recreated
+ *  - overdue campaign without a pending job, within the grace period → enqueued now
+ *  - overdue beyond the grace period → back to draft (reported as missed)
+ *  - delayed job whose campaign is no longer scheduled → removed
+ *  - message build that died halfway (stale heartbeat) → enqueue job added to resume it
+ *  - A/B test waiting for its evaluation without a pending job → evaluation job recreated
+ *  - recurring campaign without its job scheduler → recreated; schedulers of
+ *    campaigns that no longer recur → removed
+ *
+ * With `ownerId` only that owner's campaigns (and their jobs) are checked and
+ * the run is not stored as the last report; orphaned jobs of deleted
+ * campaigns are left to the global run.
+ *
+ * @returns {Promise<{ ok: boolean, reason?: string, checkedAt: string, checked: number,
+ *   fixed: { campaignId: number, ownerId: number, action: string, scheduledAt: string|null }[],
+ *   orphansRemoved: string[] }>}
+ */
+async function reconcileScheduledCampaigns({ graceMs = GRACE_MS, now = new Date(), ownerId } = {}) {
+  const checkedAt = now.toISOString();
+  if (!schedulerQueue) return { ok: false, reason: 'queue_disabled', checkedAt };
+
+  const scope = ownerId ? { ownerId } : {};
+  // Orphan candidates (by campaign id) this run may touch
+  const inScope = async (ids) => {
+    if (!ownerId || !ids.length) return new Set(ownerId ? [] : ids);
+    const owned = await prisma.campaign.findMany({ where: { ownerId, id: { in: ids } }, select: { id: true } });
+    return new Set(owned.map((c) => c.id));
+  };
+
+  const campaigns = await prisma.campaign.findMany({
+    where: { ...scope, status: 'scheduled' },
+    select: { id: true, ownerId: true, scheduledAt: true },
+    orderBy: { id: 'asc' }
+  });
+
+  const fixed = [];
+  const note = (c, action) => fixed.push({
+    campaignId: c.id,
+    ownerId: c.ownerId,
+    action,
+    scheduledAt: c.scheduledAt ? c.scheduledAt.toISOString() : null
+  });
+
+  for (const c of campaigns) {
+    const { job, state } = await jobState(c.id);
+    const pending = PENDING_STATES.includes(state);
+
+    if (!c.scheduledAt) {
+      // 'scheduled' without a date can never fire
+      await unscheduleCampaignJob(c.id);
+      await prisma.campaign.updateMany({ where: { id: c.id, status: 'scheduled' }, data: { status: 'draft' } });
+      note(c, 'reset_to_draft');
+      continue;
+    }
+
+    const dueAt = c.scheduledAt.getTime();
+    if (dueAt > now.getTime()) {
+      const jobDueAt = job ? job.timestamp + (job.delay || 0) : null;
+      if (pending && Math.abs(jobDueAt - dueAt) < 1000) continue;
+      await scheduleCampaignJob(c.id, c.scheduledAt);
+      note(c, pending ? 'rescheduled' : 'recreated');
+      continue;
+    }
+
+    // Overdue
+    if (pending) continue;
+    if (now.getTime() - dueAt <= graceMs) {
+      await scheduleCampaignJob(c.id, now);
+      note(c, 'enqueued_overdue');
+    } else {
+      await unscheduleCampaignJob(c.id);
+      await prisma.campaign.updateMany({ where: { id: c.id, status: 'scheduled' }, data: { status: 'draft' } });
+      note(c, 'missed');
+    }
+  }
+
+  // Builds abandoned mid-way (process died): hand them back to the scheduler worker.
+  // No heartbeat at all = A/B winner decided but the remainder build never started.
+  const stalled = await prisma.campaign.findMany({
+    where: {
+      ...scope,
+      status: 'sending',
+      enqueuedAt: null,
+      OR: [
+        { enqueueHeartbeatAt: { lt: new Date(now.getTime() - ENQUEUE_STALE_MS) } },
+        { enqueueHeartbeatAt: null, abPhase: 'decided' }
+      ]
+    },
+    select: { id: true, ownerId: true, scheduledAt: true }
+  });
+  for (const c of stalled) {
+    const { state } = await jobState(c.id);
+    if (PENDING_STATES.includes(state)) continue;
+    await scheduleCampaignJob(c.id, now);
+    note(c, 'resumed_enqueue');
+  }
+
+  // A/B tests whose evaluation job went missing (overdue ones run right away)
+  const testing = await prisma.campaign.findMany({
+    where: { ...scope, status: { in: ['sending', 'paused'] }, abPhase: 'testing' },
+    select: { id: true, ownerId: true, scheduledAt: true, abEvaluateAt: true }
+  });
+  for (const c of testing) {
+    const { state } = await jobState(c.id, abEvaluationJobId(c.id));
+    if (PENDING_STATES.includes(state)) continue;
+    await scheduleAbEvaluation(c.id, c.abEvaluateAt && c.abEvaluateAt > now ? c.abEvaluateAt : now);
+    note(c, 'abtest_evaluation_recreated');
+  }
+
+  const orphansRemoved = [];
+
+  // Recurring parents and their job schedulers
+  const recurring = await prisma.campaign.findMany({
+    where: { ...scope, status: 'recurring', recurrenceCron: { not: null } },
+    select: { id: true, ownerId: true, scheduledAt: true, recurrenceCron: true, timezone: true, recurrenceEndsAt: true }
+  });
+  for (const c of recurring) {
+    if (await schedulerQueue.getJobScheduler(recurrenceSchedulerId(c.id))) continue;
+    if (c.recurrenceEndsAt && c.recurrenceEndsAt <= now) continue;
+    await upsertRecurrenceJob(c);
+    note(c, 'recurrence_recreated');
+  }
+  const recurringIds = new Set(recurring.map((c) => recurrenceSchedulerId(c.id)));
+  const orphanSchedulers = (await schedulerQueue.getJobSchedulers())
+    .map((js) => String(js.key || js.id))
+    .filter((key) => key.startsWith('campaign:recurrence:') && !recurringIds.has(key));
+  const schedulerScope = await inScope(orphanSchedulers.map((key) => Number(key.split(':')[2])));
+  for (const key of orphanSchedulers) {
+    const campaignId = Number(key.split(':')[2]);
+    if (!schedulerScope.has(campaignId)) continue;
+    await removeRecurrenceJob(campaignId);
+    orphansRemoved.push(key);
+  }
+
+  // Delayed jobs whose campaign was deleted/unscheduled/sent meanwhile
+  const scheduledIds = new Set(campaigns.map((c) => c.id));
+  const orphanJobs = (await schedulerQueue.getDelayed())
+    .filter((job) => job.name === 'enqueueCampaign' && !scheduledIds.has(Number(job.data?.campaignId)));
+  const jobScope = await inScope(orphanJobs.map((job) => Number(job.data?.campaignId)));
+  for (const job of orphanJobs) {
+    if (!jobScope.has(Number(job.data?.campaignId))) continue;
+    await job.remove().catch(() => {});
+    orphansRemoved.push(job.id);
+  }
+
+  const report = { ok: true, checkedAt, checked: campaigns.length, fixed, orphansRemoved };
+  if (!ownerId) await saveReport(report);
+  return report;
+}
+
+/**
+ * Last stored reconciliation report (null if none yet / queues disabled).
+ */
+async function getLastReconcileReport() {
+  if (!schedulerQueue) return null;
+  const client = await schedulerQueue.client;
+  const raw = await client.get(REPORT_KEY);
+  return raw ? JSON.parse(raw) : null;
+}
+
+module.exports = {
+  scheduleJobId,
+  scheduleCampaignJob,
+  unscheduleCampaignJob,
+  reconcileScheduledCampaigns,
+  getLastReconcileReport,
+};
@@ -1,5 +1,6 @@
 // apps/api/src/services/campaignStats.service.js
 const prisma = require('../lib/prisma');
+const { getVariantStats } = require('./campaignAbTest.service');
 
 function rate(numer, denom) {
   return denom > 0 ? Number((numer / denom).toFixed(4)) : 0;
@@ -19,7 +20,11 @@ exports.getCampaignStats = async (campaignId, ownerId) => {
 
   const owned = await prisma.campaign.findFirst({
     where: { id: campaignId, ownerId },
-    select: { id: true }
+    select: {
+      id: true,
+      abTestPercent: true, abWinnerMetric: true, abEvalDelayMinutes: true,
+      abPhase: true, abEvaluateAt: true, abDecidedAt: true, abWinnerVariantId: true
+    }
   });
   if (!owned) {
     const err = new Error('campaign not found');
@@ -27,21 +32,34 @@ exports.getCampaignStats = async (campaignId, ownerId) => {
     throw err;
   }
 
-  const [sent, delivered, failed, redemptions] = await Promise.all([
+  const [sent, delivered, failed, redemptions, skippedGroups] = await Promise.all([
     prisma.campaignMessage.count({
       where: { ownerId, campaignId, status: { in: ['sent','delivered','failed'] } }
     }),
     prisma.campaignMessage.count({ where: { ownerId, campaignId, status: 'delivered' } }),
     prisma.campaignMessage.count({ where: { ownerId, campaignId, status: 'failed' } }),
-    prisma.redemption.count({ where: { ownerId, campaignId } })
+    prisma.redemption.count({ where: { ownerId, campaignId, redeemedByUserId: { not: null } } }),
+    prisma.campaignMessage.groupBy({
+      by: ['skipReason'],
+      where: { ownerId, campaignId, status: 'skipped' },
+      _count: { _all: true }
+    })
   ]);
 
+  // Recipients held back at enqueue (e.g. frequency cap), by reason
+  const skippedByReason = {};
+  let skipped = 0;
+  for (const g of skippedGroups) {
+    skippedByReason[g.skipReason || 'unknown'] = g._count._all;
+    skipped += g._count._all;
+  }
+
   // recipients who later unsubscribed, starting from first sent timestamp
   const firstSentAt = await getFirstSentAt(campaignId, ownerId);
   let unsubscribes = 0;
   if (firstSentAt) {
     const recipients = await prisma.campaignMessage.findMany({
-      where: { ownerId, campaignId },
+      where: { ownerId, campaignId, status: { not: 'skipped' } },
       select: { contactId: true },
       distinct: ['contactId']
     });
@@ -53,16 +71,32 @@ exports.getCampaignStats = async (campaignId, ownerId) => {
     }
   }
 
+  // A/B campaigns: the same numbers per variant, plus where the test stands
+  const variants = await getVariantStats(campaignId);
+  const abTest = variants.length ? {
+    testPercent: owned.abTestPercent,
+    winnerMetric: owned.abWinnerMetric,
+    evalDelayMinutes: owned.abEvalDelayMinutes,
+    phase: owned.abPhase,
+    evaluateAt: owned.abEvaluateAt,
+    decidedAt: owned.abDecidedAt,
+    winnerVariantId: owned.abWinnerVariantId,
+    variants
+  } : null;
+
   return {
     campaignId,
     sent,
     delivered,
     failed,
+    skipped,
+    skippedByReason,
     redemptions,
     unsubscribes,
     deliveredRate: rate(delivered, sent),
     conversionRate: rate(redemptions, delivered),
-    firstSentAt
+    firstSentAt,
+    abTest
   };
 };
 
@@ -78,16 +112,17 @@ exports.getManyCampaignsStats = async (campaignIds, ownerId) => {
 
   const red = await prisma.redemption.groupBy({
     by: ['campaignId'],
-    where: { ownerId, campaignId: { in: campaignIds } },
+    where: { ownerId, campaignId: { in: campaignIds }, redeemedByUserId: { not: null } },
     _count: { _all: true }
   });
 
-  const map = new Map(campaignIds.map(id => [id, { sent:0, delivered:0, failed:0, redemptions:0 }]));
+  const map = new Map(campaignIds.map(id => [id, { sent:0, delivered:0, failed:0, skipped:0, redemptions:0 }]));
   for (const row of msgs) {
     const entry = map.get(row.campaignId);
     if (!entry) continue;
     if (row.status === 'delivered') entry.delivered += row._count._all;
     if (row.status === 'failed') entry.failed += row._count._all;
+    if (row.status === 'skipped') entry.skipped += row._count._all;
     if (['sent','delivered','failed'].includes(row.status)) entry.sent += row._count._all;
   }
   for (const row of red) {
@@ -0,0 +1,175 @@
+// apps/api/src/services/campaignTestSend.service.js
+const prisma = require('../lib/prisma');
+const { debit, refund } = require('./wallet.service');
+const { sendSingle } = require('./mitto.service');
+const { normalizeToE164 } = require('../lib/phone');
+const { segmentSms } = require('../lib/smsSegments');
+const { classifySendError } = require('../lib/sendErrors');
+const { newTrackingId, newMessageUnsubToken, buildMessageText } = require('../lib/messageLinks');
+
+/**
+ * Test sends: the campaign text, rendered with a sample contact's data, goes
+ * to a few seed numbers through the same provider call as the SMS worker.
+ * Credits are debited up front and refunded for numbers the provider refused.
+ * Results are CampaignTestMessage rows, so campaign stats never see them.
+ *
+ * The offer / opt-out links in a test text use fresh ids that match no
+ * campaign message: opening them changes nothing for the sample contact.
+ */
+
+const MAX_TEST_RECIPIENTS = 5;
+const TESTABLE_STATUSES = ['draft', 'scheduled', 'recurring', 'paused'];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Validate up to MAX_TEST_RECIPIENTS phone numbers (E.164 out, duplicates dropped).
+ * @returns {string[]}
+ */
+function parseSeedNumbers(input, field = 'phones') {
+  if (!Array.isArray(input)) throw badRequest(`${field} must be an array of phone numbers`);
+  const out = [];
+  const invalid = [];
+  for (const raw of input) {
+    const r = normalizeToE164(String(raw ?? ''));
+    if (!r.ok) invalid.push(raw);
+    else if (!out.includes(r.e164)) out.push(r.e164);
+  }
+  if (invalid.length) throw badRequest(`invalid phone number(s) in ${field}: ${invalid.join(', ')}`);
+  if (out.length > MAX_TEST_RECIPIENTS) throw badRequest(`${field}: at most ${MAX_TEST_RECIPIENTS} numbers`);
+  return out;
+}
+
+/**
+ * Send a campaign to seed numbers.
+ * @param {{ phones?: string[], sampleContactId?: number, variant?: string }} input
+ *   phones: defaults to the owner's seedNumbers
+ *   sampleContactId: contact whose fields fill the template (none = empty fields)
+ *   variant: A/B campaigns, label of the variant to test (default 'A')
+ * @returns {Promise<{ ok: boolean, reason?: string, results?: object[],
+ *   creditsDebited?: number, creditsRefunded?: number }>}
+ *   reason: not_found | invalid_status | no_recipients | contact_not_found | variant_not_found
+ */
+async function sendCampaignTest(campaignId, ownerId, { phones, sampleContactId, variant } = {}) {
+  const campaign = await prisma.campaign.findFirst({
+    where: { id: campaignId, ownerId },
+    include: {
+      template: true,
+      owner: true,
+      variants: { include: { template: true }, orderBy: { label: 'asc' } }
+    }
+  });
+  if (!campaign) return { ok: false, reason: 'not_found' };
+  if (!TESTABLE_STATUSES.includes(campaign.status)) return { ok: false, reason: 'invalid_status' };
+
+  const recipients = typeof phones === 'undefined' || phones === null
+    ? campaign.owner.seedNumbers || []
+    : parseSeedNumbers(phones);
+  if (!recipients.length) return { ok: false, reason: 'no_recipients' };
+
+  let template = campaign.template;
+  let variantLabel = null;
+  if (campaign.variants.length) {
+    const label = String(variant || 'A').toUpperCase();
+    const v = campaign.variants.find((x) => x.label === label);
+    if (!v) return { ok: false, reason: 'variant_not_found' };
+    template = v.template;
+    variantLabel = v.label;
+  }
+
+  let contact = {};
+  if (sampleContactId) {
+    contact = await prisma.contact.findFirst({ where: { id: Number(sampleContactId), ownerId } });
+    if (!contact) return { ok: false, reason: 'contact_not_found' };
+  }
+
+  const text = buildMessageText(template.text, {
+    contact,
+    owner: campaign.owner,
+    trackingId: newTrackingId(),
+    unsubToken: newMessageUnsubToken().raw
+  });
+  const { parts, encoding } = segmentSms(text);
+
+  // Throws (status 402) when the balance can't cover every number
+  const creditsDebited = parts * recipients.length;
+  await debit(ownerId, creditsDebited, {
+    reason: 'campaign test send',
+    campaignId: campaign.id,
+    meta: { recipients: recipients.length, parts }
+  });
+
+  const results = [];
+  for (const to of recipients) {
+    try {
+      const resp = await sendSingle({ userId: campaign.createdById, destination: to, text });
+      results.push({
+        to, status: 'sent', sentAt: new Date(),
+        providerMessageId: resp?.messageId || resp?.messages?.[0]?.messageId || null
+      });
+    } catch (e) {
+      results.push({ to, status: 'failed', error: e.message, errorClass: classifySendError(e) });
+    }
+  }
+
+  const failed = results.filter((r) => r.status === 'failed').length;
+  const creditsRefunded = failed * parts;
+  if (creditsRefunded > 0) {
+    await refund(ownerId, creditsRefunded, {
+      reason: 'campaign test send failed',
+      campaignId: campaign.id,
+      meta: { recipients: failed, parts }
+    });
+  }
+
+  await prisma.campaignTestMessage.createMany({
+    data: results.map((r) => ({
+      ownerId,
+      campaignId: campaign.id,
+      variantLabel,
+      sampleContactId: contact.id || null,
+      to: r.to,
+      text,
+      parts,
+      credits: r.status === 'sent' ? parts : 0,
+      status: r.status,
+      providerMessageId: r.providerMessageId || null,
+      error: r.error || null,
+      errorClass: r.errorClass || null,
+      sentAt: r.sentAt || null
+    }))
+  });
+
+  return {
+    ok: true,
+    campaignId: campaign.id,
+    variant: variantLabel,
+    sampleContactId: contact.id || null,
+    text,
+    parts,
+    encoding,
+    results,
+    creditsDebited,
+    creditsRefunded
+  };
+}
+
+/** Latest test sends of a campaign (newest first). */
+async function listCampaignTests(campaignId, ownerId, { limit = 50 } = {}) {
+  return prisma.campaignTestMessage.findMany({
+    where: { campaignId, ownerId },
+    orderBy: { id: 'desc' },
+    take: Math.min(200, Math.max(1, Number(limit) || 50))
+  });
+}
+
+module.exports = {
+  MAX_TEST_RECIPIENTS,
+  parseSeedNumbers,
+  sendCampaignTest,
+  listCampaignTests,
+};
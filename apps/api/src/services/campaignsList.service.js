@@ -5,16 +5,24 @@ function rate(numer, denom) {
   return denom > 0 ? Number((numer / denom).toFixed(4)) : 0;
 }
 
+// archived: 'false' (default, hide archived) | 'true' (archived only) | 'all'
+function archivedFilter(archived) {
+  const v = String(archived ?? 'false').toLowerCase();
+  if (v === 'all') return {};
+  return { archivedAt: v === 'true' ? { not: null } : null };
+}
+exports.archivedFilter = archivedFilter;
+
 exports.listCampaigns = async ({
   ownerId, page = 1, pageSize = 20, q, status, dateFrom, dateTo,
-  orderBy = 'createdAt', order = 'desc', withStats = true
+  orderBy = 'createdAt', order = 'desc', withStats = true, archived
 }) => {
   if (!ownerId) throw new Error('ownerId is required');
 
   page = Math.max(1, Number(page));
   pageSize = Math.min(100, Math.max(1, Number(pageSize)));
 
-  const where = { ownerId };
+  const where = { ownerId, ...archivedFilter(archived) };
   if (q) where.name = { contains: q, mode: 'insensitive' };
   if (status) where.status = status;
   if (dateFrom || dateTo) {
@@ -32,7 +40,7 @@ exports.listCampaigns = async ({
       take: pageSize,
       select: {
         id: true, name: true, status: true,
-        createdAt: true, scheduledAt: true, startedAt: true, finishedAt: true
+        createdAt: true, scheduledAt: true, startedAt: true, finishedAt: true, archivedAt: true
       }
     })
   ]);
@@ -49,16 +57,17 @@ exports.listCampaigns = async ({
 
   const reds = await prisma.redemption.groupBy({
     by: ['campaignId'],
-    where: { ownerId, campaignId: { in: ids } },
+    where: { ownerId, campaignId: { in: ids }, redeemedByUserId: { not: null } },
     _count: { _all: true }
   });
 
-  const statsMap = new Map(ids.map(id => [id, { sent:0, delivered:0, failed:0, redemptions:0 }]));
+  const statsMap = new Map(ids.map(id => [id, { sent:0, delivered:0, failed:0, skipped:0, redemptions:0 }]));
   for (const row of msgs) {
     const s = statsMap.get(row.campaignId);
     if (!s) continue;
     if (row.status === 'delivered') s.delivered += row._count._all;
     if (row.status === 'failed') s.failed += row._count._all;
+    if (row.status === 'skipped') s.skipped += row._count._all;
     if (['sent','delivered','failed'].includes(row.status)) s.sent += row._count._all;
   }
   for (const row of reds) {
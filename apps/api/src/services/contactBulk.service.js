@@ -0,0 +1,372 @@
+// apps/api/src/services/contactBulk.service.js
+const prisma = require('../lib/prisma');
+const { syncGenderMembershipBulk } = require('../lib/systemLists');
+const { SOURCES, recordContactEvents } = require('./contactEvents.service');
+const { normalizeGender, buildContactWhere } = require('./contactFilters.service');
+const { CUSTOM_PREFIX } = require('./contactFields.service');
+const { parseTagIds, findOwnerTags, addTagsToContacts, removeTagsFromContacts } = require('./tags.service');
+const { deleteContacts } = require('./contactDelete.service');
+
+// Optional contacts queue (null when QUEUE_DISABLED=1)
+let contactsQueue = null;
+try { contactsQueue = require('../queues/contacts.queue'); } catch (_) {}
+
+/**
+ * Bulk contact operations. A selection (explicit ids or the GET /contacts
+ * filters) gets one action, with the same rules as the single-contact routes:
+ *   delete             DELETE /contacts/:id
+ *   subscribe          PUT /contacts/:id { isSubscribed: true }
+ *   unsubscribe        PUT /contacts/:id { isSubscribed: false }
+ *   set_gender         PUT /contacts/:id { gender } (gender system lists re-synced)
+ *   add_to_list        POST /lists/:listId/contacts/:contactId (no system lists)
+ *   remove_from_list   DELETE /lists/:listId/contacts/:contactId (no system lists)
+ *   add_tags           POST /contacts/:id/tags
+ *   remove_tags        DELETE /contacts/:id/tags/:tagId
+ *
+ * Up to SYNC_MAX contacts run in the request; larger selections become a
+ * contactsQueue job that works in id-ordered batches and resumes after the
+ * last finished one.
+ */
+
+const ACTIONS = [
+  'delete', 'subscribe', 'unsubscribe', 'set_gender', 'add_to_list', 'remove_from_list', 'add_tags', 'remove_tags'
+];
+const SYNC_MAX = Number(process.env.CONTACT_BULK_SYNC_MAX || 500);
+const MAX_IDS = Number(process.env.CONTACT_BULK_MAX_IDS || 10000);
+const BATCH_SIZE = Number(process.env.CONTACT_BULK_BATCH_SIZE || 500);
+const BULK_JOB_NAME = 'bulkContacts';
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseContactIds(input) {
+  if (!Array.isArray(input) || !input.length) throw badRequest('ids must be a non-empty array');
+  if (input.length > MAX_IDS) throw badRequest(`ids: at most ${MAX_IDS} per request (use filter for larger selections)`);
+  const ids = input.map(Number);
+  if (ids.some((id) => !Number.isInteger(id) || id <= 0)) throw badRequest('ids must be contact ids');
+  return [...new Set(ids)];
+}
+
+// GET /contacts query params only (custom.<key> included), as strings like a query string
+const FILTER_KEYS = [
+  'q', 'isSubscribed', 'listId', 'gender', 'birthdayFrom', 'birthdayTo', 'minConversions', 'tags', 'tagMatch'
+];
+
+function parseFilter(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw badRequest('filter must be an object');
+  const filter = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (!FILTER_KEYS.includes(key) && !key.startsWith(CUSTOM_PREFIX)) continue;
+    if (value !== undefined && value !== null && value !== '') filter[key] = String(value);
+  }
+  return filter;
+}
+
+// A list for add/remove: the owner's and not a system list (membership is automatic there)
+async function findTargetList(ownerId, listId) {
+  const list = await prisma.list.findFirst({
+    where: { id: Number(listId) || 0, ownerId },
+    select: { id: true, name: true, isSystem: true }
+  });
+  if (!list) return { ok: false, reason: 'list_not_found' };
+  if (list.isSystem) return { ok: false, reason: 'system_list' };
+  return { ok: true, list };
+}
+
+async function selectionWhere(op) {
+  if (op.contactIds) {
+    return { where: { ownerId: op.ownerId, id: { in: op.contactIds } }, empty: false };
+  }
+  return buildContactWhere(op.ownerId, op.filter || {});
+}
+
+/* =========================
+   Actions (one batch each)
+   Each returns how many contacts actually changed.
+   ========================= */
+const ACTION_HANDLERS = {
+  delete: (op, contacts) => deleteContacts(op.ownerId, contacts.map((c) => c.id)),
+
+  subscribe: (op, contacts) => setSubscribed(op, contacts, true),
+  unsubscribe: (op, contacts) => setSubscribed(op, contacts, false),
+
+  async set_gender(op, contacts) {
+    const gender = op.params.gender;
+    const changed = contacts.filter((c) => c.gender !== gender);
+    if (!changed.length) return 0;
+    await prisma.contact.updateMany({
+      where: { ownerId: op.ownerId, id: { in: changed.map((c) => c.id) } },
+      data: { gender }
+    });
+    await syncGenderMembershipBulk(op.ownerId, changed.map((c) => ({ id: c.id, gender })));
+    return changed.length;
+  },
+
+  async add_to_list(op, contacts, list) {
+    const ids = contacts.map((c) => c.id);
+    const current = await prisma.listMembership.findMany({
+      where: { listId: list.id, contactId: { in: ids } },
+      select: { contactId: true }
+    });
+    const has = new Set(current.map((m) => m.contactId));
+    const added = ids.filter((id) => !has.has(id));
+    if (!added.length) return 0;
+    await prisma.listMembership.createMany({
+      data: added.map((contactId) => ({ listId: list.id, contactId })),
+      skipDuplicates: true
+    });
+    await recordContactEvents(added.map((contactId) => listEvent(op, contactId, 'list_added', list)));
+    return added.length;
+  },
+
+  async remove_from_list(op, contacts, list) {
+    const current = await prisma.listMembership.findMany({
+      where: { listId: list.id, contactId: { in: contacts.map((c) => c.id) } },
+      select: { contactId: true }
+    });
+    if (!current.length) return 0;
+    const removed = current.map((m) => m.contactId);
+    await prisma.listMembership.deleteMany({ where: { listId: list.id, contactId: { in: removed } } });
+    await recordContactEvents(removed.map((contactId) => listEvent(op, contactId, 'list_removed', list)));
+    return removed.length;
+  },
+
+  async add_tags(op, contacts, target) {
+    const tagged = await addTagsToContacts(target.tagIds, contacts.map((c) => c.id));
+    return tagged.length;
+  },
+
+  async remove_tags(op, contacts, target) {
+    const untagged = await removeTagsFromContacts(target.tagIds, contacts.map((c) => c.id));
+    return untagged.length;
+  },
+};
+
+async function setSubscribed(op, contacts, isSubscribed) {
+  const changed = contacts.filter((c) => c.isSubscribed !== isSubscribed);
+  if (!changed.length) return 0;
+  await prisma.contact.updateMany({
+    where: { ownerId: op.ownerId, id: { in: changed.map((c) => c.id) } },
+    data: { isSubscribed, unsubscribedAt: isSubscribed ? null : new Date() }
+  });
+  await recordContactEvents(changed.map((c) => ({
+    ownerId: op.ownerId,
+    contactId: c.id,
+    type: isSubscribed ? 'subscribed' : 'unsubscribed',
+    source: SOURCES.MANUAL,
+    meta: { bulkOperationId: op.id }
+  })));
+  return changed.length;
+}
+
+function listEvent(op, contactId, type, list) {
+  return {
+    ownerId: op.ownerId,
+    contactId,
+    type,
+    source: SOURCES.MANUAL,
+    listId: list.id,
+    meta: { listName: list.name, bulkOperationId: op.id }
+  };
+}
+
+/* =========================
+   Create / run
+   ========================= */
+function bulkJobId(operationId) {
+  return `contact:bulk:${operationId}`;
+}
+
+/**
+ * Validate and create a bulk operation, then run it (small selections) or
+ * queue it.
+ * @param {{ action: string, ids?: number[], filter?: object, gender?: string, listId?: number,
+ *   tagIds?: number[] }} input
+ * @returns {Promise<{ ok: boolean, reason?: string, queued?: boolean, operation?: object }>}
+ *   reason: list_not_found | system_list | tag_not_found
+ */
+async function createBulkOperation(ownerId, { action, ids, filter, gender, listId, tagIds } = {}) {
+  if (!ACTIONS.includes(action)) throw badRequest(`action must be one of: ${ACTIONS.join(', ')}`);
+  if ((ids === undefined) === (filter === undefined)) throw badRequest('provide either ids or filter');
+
+  let params = null;
+  if (action === 'set_gender') {
+    if (gender === undefined) throw badRequest('gender required');
+    params = { gender: normalizeGender(gender) };
+  }
+  if (action === 'add_to_list' || action === 'remove_from_list') {
+    if (!listId) throw badRequest('listId required');
+    const target = await findTargetList(ownerId, listId);
+    if (!target.ok) return target;
+    params = { listId: target.list.id };
+  }
+  if (action === 'add_tags' || action === 'remove_tags') {
+    const found = await findOwnerTags(ownerId, parseTagIds(tagIds));
+    if (!found.ok) return found;
+    params = { tagIds: found.tags.map((t) => t.id) };
+  }
+
+  const selection = ids !== undefined
+    ? { contactIds: parseContactIds(ids) }
+    : { filter: parseFilter(filter) };
+
+  // Contacts created from now on stay out of the selection
+  const last = await prisma.contact.findFirst({ where: { ownerId }, orderBy: { id: 'desc' }, select: { id: true } });
+  const maxContactId = last?.id || 0;
+
+  const { where, empty } = await selectionWhere({ ownerId, ...selection });
+  const total = empty ? 0 : await prisma.contact.count({ where: { AND: [where, { id: { lte: maxContactId } }] } });
+
+  const op = await prisma.contactBulkOperation.create({
+    data: { ownerId, action, params: params ?? undefined, ...selection, maxContactId, total }
+  });
+
+  if (total > SYNC_MAX) {
+    if (contactsQueue) {
+      await contactsQueue.add(BULK_JOB_NAME, { operationId: op.id }, { jobId: bulkJobId(op.id) });
+    } else {
+      // No queue (QUEUE_DISABLED=1): run in this process
+      setImmediate(() => runBulkOperation(op.id).catch((e) => markBulkOperationFailed(op.id, e)));
+    }
+    return { ok: true, queued: true, operation: operationSummary(op) };
+  }
+
+  try {
+    const result = await runBulkOperation(op.id);
+    return { ok: true, queued: false, operation: result.operation };
+  } catch (e) {
+    await markBulkOperationFailed(op.id, e);
+    throw e;
+  }
+}
+
+/**
+ * Worker entry point: process an operation from its saved progress to the end.
+ * Throws on failure (the job is retried and resumes after the last batch).
+ */
+async function runBulkOperation(operationId) {
+  const op = await prisma.contactBulkOperation.findUnique({ where: { id: operationId } });
+  if (!op || !['queued', 'running'].includes(op.status)) return { ok: false, reason: 'invalid_status' };
+
+  await prisma.contactBulkOperation.update({
+    where: { id: op.id },
+    data: { status: 'running', startedAt: op.startedAt || new Date() }
+  });
+
+  // What the action works on, re-checked: the list or tags may have been
+  // deleted since the request
+  let target = null;
+  if (op.params?.listId) {
+    const found = await findTargetList(op.ownerId, op.params.listId);
+    if (!found.ok) return failOperation(op, found.reason, 'list not found');
+    target = found.list;
+  }
+  if (op.params?.tagIds) {
+    const tags = await prisma.tag.findMany({
+      where: { ownerId: op.ownerId, id: { in: op.params.tagIds } },
+      select: { id: true }
+    });
+    if (!tags.length) return failOperation(op, 'tag_not_found', 'tags not found');
+    target = { tagIds: tags.map((t) => t.id) };
+  }
+
+  const { where, empty } = await selectionWhere(op);
+  let cursor = op.lastContactId;
+  while (!empty) {
+    const contacts = await prisma.contact.findMany({
+      where: { AND: [where, { id: { gt: cursor, lte: op.maxContactId } }] },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      select: { id: true, isSubscribed: true, gender: true }
+    });
+    if (!contacts.length) break;
+
+    const affected = await ACTION_HANDLERS[op.action](op, contacts, target);
+    cursor = contacts[contacts.length - 1].id;
+    await prisma.contactBulkOperation.update({
+      where: { id: op.id },
+      data: {
+        lastContactId: cursor,
+        processed: { increment: contacts.length },
+        affected: { increment: affected }
+      }
+    });
+    if (contacts.length < BATCH_SIZE) break;
+  }
+
+  const done = await prisma.contactBulkOperation.update({
+    where: { id: op.id },
+    data: { status: 'completed', finishedAt: new Date() }
+  });
+  return { ok: true, operation: operationSummary(done) };
+}
+
+async function failOperation(op, reason, error) {
+  const failed = await prisma.contactBulkOperation.update({
+    where: { id: op.id },
+    data: { status: 'failed', error, finishedAt: new Date() }
+  });
+  return { ok: false, reason, operation: operationSummary(failed) };
+}
+
+async function markBulkOperationFailed(operationId, err) {
+  await prisma.contactBulkOperation.updateMany({
+    where: { id: operationId, status: { in: ['queued', 'running'] } },
+    data: { status: 'failed', error: String(err?.message || err).slice(0, 1000), finishedAt: new Date() }
+  });
+}
+
+/* =========================
+   Reads
+   ========================= */
+function operationSummary(op) {
+  return {
+    id: op.id,
+    action: op.action,
+    params: op.params,
+    status: op.status,
+    selection: op.contactIds ? { ids: op.contactIds.length } : { filter: op.filter },
+    total: op.total,
+    processed: op.processed,
+    affected: op.affected,
+    unchanged: op.processed - op.affected,
+    error: op.error,
+    createdAt: op.createdAt,
+    startedAt: op.startedAt,
+    finishedAt: op.finishedAt,
+  };
+}
+
+async function getBulkOperation(operationId, ownerId) {
+  const op = await prisma.contactBulkOperation.findFirst({ where: { id: operationId, ownerId } });
+  return op ? operationSummary(op) : null;
+}
+
+async function listBulkOperations(ownerId, { page = 1, pageSize = 20 } = {}) {
+  page = Math.max(1, Number(page) || 1);
+  pageSize = Math.min(100, Math.max(1, Number(pageSize) || 20));
+  const where = { ownerId };
+  const [total, items] = await Promise.all([
+    prisma.contactBulkOperation.count({ where }),
+    prisma.contactBulkOperation.findMany({
+      where,
+      orderBy: { id: 'desc' },
+      skip: (page - 1) * pageSize,
+      take: pageSize
+    })
+  ]);
+  return { total, page, pageSize, items: items.map(operationSummary) };
+}
+
+module.exports = {
+  BULK_ACTIONS: ACTIONS,
+  BULK_JOB_NAME,
+  createBulkOperation,
+  runBulkOperation,
+  markBulkOperationFailed,
+  getBulkOperation,
+  listBulkOperations,
+};
@@ -0,0 +1,45 @@
+// apps/api/src/services/contactDelete.service.js
+const prisma = require('../lib/prisma');
+const { releaseMessages, settleMessages } = require('./wallet.service');
+const { finalizeCampaignIfDone } = require('./campaignFinalizer.service');
+
+// Reserved messages in these statuses never reached the provider: credits go back
+const RELEASE_STATUSES = ['queued', 'cancelled', 'failed', 'skipped'];
+
+/**
+ * Delete the owner's contacts (their messages, memberships, tags and events
+ * go with them). Credits still reserved for their messages are closed first,
+ * so deleting a contact never strands a reservation:
+ *  - unsent ('queued') messages are cancelled and released
+ *  - messages already handed to the provider are settled (it charges either way)
+ * @returns {Promise<number>} contacts deleted
+ */
+async function deleteContacts(ownerId, contactIds) {
+  if (!contactIds.length) return 0;
+  const mine = { ownerId, contactId: { in: contactIds } };
+
+  const { count, campaignIds } = await prisma.$transaction(async (tx) => {
+    await tx.campaignMessage.updateMany({
+      where: { ...mine, status: 'queued' },
+      data: { status: 'cancelled', error: 'contact_deleted' }
+    });
+
+    const reserved = await tx.campaignMessage.findMany({
+      where: { ...mine, billingStatus: 'reserved' },
+      select: { id: true, status: true, campaignId: true }
+    });
+    const release = reserved.filter((m) => RELEASE_STATUSES.includes(m.status)).map((m) => m.id);
+    const settle = reserved.filter((m) => !RELEASE_STATUSES.includes(m.status)).map((m) => m.id);
+    await releaseMessages(ownerId, release, { reason: 'contact_deleted' }, tx);
+    await settleMessages(ownerId, settle, { reason: 'contact_deleted' }, tx);
+
+    const r = await tx.contact.deleteMany({ where: { ownerId, id: { in: contactIds } } });
+    return { count: r.count, campaignIds: [...new Set(reserved.map((m) => m.campaignId))] };
+  }, { timeout: 30000 });
+
+  // A running campaign may have been waiting only on these contacts' messages
+  for (const campaignId of campaignIds) await finalizeCampaignIfDone(campaignId);
+  return count;
+}
+
+module.exports = { deleteContacts };
@@ -0,0 +1,179 @@
+// apps/api/src/services/contactEvents.service.js
+const prisma = require('../lib/prisma');
+
+// Where a subscription / membership change came from
+const SOURCES = {
+  MANUAL: 'manual',           // store user via the API/dashboard
+  ENROLLMENT: 'enrollment',   // public enroll form (QR)
+  LINK: 'link',               // opt-out link in an SMS
+  STOP_REPLY: 'stop_reply',   // inbound "STOP"
+  SYSTEM: 'system',           // automatic (e.g. gender system lists)
+  IMPORT: 'import',           // bulk CSV/XLSX import
+};
+
+/**
+ * Append events to the contact activity log.
+ * Best-effort: logging must never fail the change it describes.
+ * @param {{ ownerId: number, contactId: number, type: string, source?: string,
+ *   listId?: number, messageId?: number, meta?: object }[]} events
+ */
+async function recordContactEvents(events) {
+  const data = (events || []).filter(Boolean);
+  if (!data.length) return;
+  try {
+    await prisma.contactEvent.createMany({
+      data: data.map((e) => ({
+        ownerId: e.ownerId,
+        contactId: e.contactId,
+        type: e.type,
+        source: e.source || null,
+        listId: e.listId || null,
+        messageId: e.messageId || null,
+        meta: e.meta || undefined
+      }))
+    });
+  } catch (e) {
+    console.warn('[ContactEvents] record failed:', e.message);
+  }
+}
+
+function recordContactEvent(event) {
+  return recordContactEvents([event]);
+}
+
+/* =========================
+   Activity timeline
+   ========================= */
+
+// Each source is read newest-first; `rank` breaks ties between sources at the same instant.
+const TIMELINE_SOURCES = [
+  {
+    rank: 0,
+    model: 'campaignMessage',
+    atField: 'createdAt',
+    where: (ownerId, contactId) => ({ ownerId, contactId }),
+    select: {
+      id: true, createdAt: true, status: true, skipReason: true, to: true,
+      sentAt: true, deliveredAt: true, failedAt: true, error: true, retryCount: true,
+      campaign: { select: { id: true, name: true } }
+    },
+    toItem: (m) => ({
+      type: 'message',
+      at: m.createdAt,
+      messageId: m.id,
+      campaign: m.campaign,
+      status: m.status,
+      skipReason: m.skipReason,
+      to: m.to,
+      sentAt: m.sentAt,
+      deliveredAt: m.deliveredAt,
+      failedAt: m.failedAt,
+      error: m.error,
+      retryCount: m.retryCount
+    })
+  },
+  {
+    rank: 1,
+    model: 'redemption',
+    atField: 'redeemedAt',
+    idField: 'messageId',
+    // Rows without redeemedByUserId are offer-page visits, not redemptions
+    where: (ownerId, contactId) => ({ ownerId, contactId, redeemedByUserId: { not: null } }),
+    select: {
+      messageId: true, redeemedAt: true, redeemedByUserId: true,
+      message: { select: { campaign: { select: { id: true, name: true } } } }
+    },
+    toItem: (r) => ({
+      type: 'redemption',
+      at: r.redeemedAt,
+      messageId: r.messageId,
+      campaign: r.message?.campaign || null,
+      redeemedByUserId: r.redeemedByUserId
+    })
+  },
+  {
+    rank: 2,
+    model: 'contactEvent',
+    atField: 'createdAt',
+    where: (ownerId, contactId) => ({ ownerId, contactId }),
+    select: { id: true, type: true, source: true, listId: true, messageId: true, meta: true, createdAt: true },
+    toItem: (e) => ({
+      type: e.type,
+      at: e.createdAt,
+      eventId: e.id,
+      source: e.source,
+      listId: e.listId,
+      messageId: e.messageId,
+      meta: e.meta
+    })
+  }
+];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Opaque cursor "<epochMs>.<rank>.<id>" = position of the last item returned
+function encodeCursor(ms, rank, id) {
+  return `${ms}.${rank}.${id}`;
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  const [ms, rank, id] = String(cursor).split('.').map(Number);
+  if (![ms, rank, id].every(Number.isFinite)) throw badRequest('invalid cursor');
+  return { at: new Date(ms), rank, id };
+}
+
+// Rows of `src` that come after the cursor in (at desc, rank asc, id desc) order
+function afterCursor(src, c) {
+  if (!c) return {};
+  const at = src.atField;
+  const id = src.idField || 'id';
+  if (src.rank > c.rank) return { [at]: { lte: c.at } };
+  if (src.rank < c.rank) return { [at]: { lt: c.at } };
+  return { OR: [{ [at]: { lt: c.at } }, { [at]: c.at, [id]: { lt: c.id } }] };
+}
+
+/**
+ * Everything that happened to a contact, newest first: messages, redemptions
+ * and logged events (subscription changes, list changes, offer visits, automation sends).
+ * @returns {Promise<{ items: object[], nextCursor: string|null }>}
+ */
+async function getContactActivity(ownerId, contactId, { cursor, limit = 50 } = {}) {
+  const take = Math.min(100, Math.max(1, Number(limit) || 50));
+  const c = decodeCursor(cursor);
+
+  const pages = await Promise.all(TIMELINE_SOURCES.map(async (src) => {
+    const rows = await prisma[src.model].findMany({
+      where: { AND: [src.where(ownerId, contactId), afterCursor(src, c)] },
+      orderBy: [{ [src.atField]: 'desc' }, { [src.idField || 'id']: 'desc' }],
+      take: take + 1,
+      select: src.select
+    });
+    return rows.map((row) => ({
+      key: { ms: row[src.atField].getTime(), rank: src.rank, id: row[src.idField || 'id'] },
+      item: src.toItem(row)
+    }));
+  }));
+
+  const merged = pages.flat().sort((a, b) =>
+    (b.key.ms - a.key.ms) || (a.key.rank - b.key.rank) || (b.key.id - a.key.id));
+
+  const hasMore = merged.length > take;
+  const page = merged.slice(0, take);
+  const last = page[page.length - 1];
+  return {
+    items: page.map((p) => p.item),
+    nextCursor: hasMore ? encodeCursor(last.key.ms, last.key.rank, last.key.id) : null
+  };
+}
+
+module.exports = {
+  SOURCES,
+  recordContactEvent,
+  recordContactEvents,
+  getContactActivity,
+};
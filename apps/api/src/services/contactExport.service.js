@@ -0,0 +1,183 @@
+// apps/api/src/services/contactExport.service.js
+const ExcelJS = require('exceljs');
+const prisma = require('../lib/prisma');
+const { csvRow } = require('../lib/csv');
+const { buildContactWhere } = require('./contactFilters.service');
+const { CUSTOM_PREFIX } = require('./contactFields.service');
+
+const EXPORT_BATCH = Number(process.env.CONTACT_EXPORT_BATCH || 1000);
+const FORMATS = ['csv', 'xlsx'];
+
+/**
+ * Exportable columns: name → getter(row). Rows are contacts plus per-batch
+ * aggregates (subscribedAt, redemptions, lists).
+ *   subscribedAt  last (re)subscription event, else when the contact was created
+ *   redemptions   offers redeemed in store (offer-page visits don't count)
+ * plus custom.<key> for each of the owner's custom fields.
+ */
+const COLUMNS = {
+  id: (c) => c.id,
+  phone: (c) => c.phone,
+  firstName: (c) => c.firstName,
+  lastName: (c) => c.lastName,
+  email: (c) => c.email,
+  gender: (c) => c.gender,
+  birthday: (c) => (c.birthday ? c.birthday.toISOString().slice(0, 10) : null),
+  isSubscribed: (c) => (c.isSubscribed ? 'yes' : 'no'),
+  subscribedAt: (c) => c.subscribedAt,
+  unsubscribedAt: (c) => c.unsubscribedAt,
+  redemptions: (c) => c.redemptions,
+  lists: (c) => c.lists.join('; '),
+  createdAt: (c) => c.createdAt,
+  updatedAt: (c) => c.updatedAt,
+};
+
+const DEFAULT_COLUMNS = [
+  'phone', 'firstName', 'lastName', 'email', 'gender', 'birthday',
+  'isSubscribed', 'subscribedAt', 'unsubscribedAt', 'redemptions'
+];
+
+function columnValue(col, c) {
+  if (COLUMNS[col]) return COLUMNS[col](c);
+  return c.customFields?.[col.slice(CUSTOM_PREFIX.length)] ?? null;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Validate ?columns= (comma-separated or array; omitted = DEFAULT_COLUMNS and
+ * every custom field).
+ * @param {string[]} [customKeys] keys of the owner's custom fields
+ * @returns {string[]}
+ */
+function parseExportColumns(input, customKeys = []) {
+  const custom = customKeys.map((k) => `${CUSTOM_PREFIX}${k}`);
+  if (input === undefined || input === null || input === '') return [...DEFAULT_COLUMNS, ...custom];
+  const available = [...Object.keys(COLUMNS), ...custom];
+  const list = (Array.isArray(input) ? input : String(input).split(','))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+  const unknown = list.filter((c) => !available.includes(c));
+  if (unknown.length) throw badRequest(`unknown column: ${unknown.join(', ')} (available: ${available.join(', ')})`);
+  if (!list.length) throw badRequest('columns must not be empty');
+  return [...new Set(list)];
+}
+
+function parseExportFormat(input) {
+  const format = String(input || 'csv').toLowerCase();
+  if (!FORMATS.includes(format)) throw badRequest(`format must be one of: ${FORMATS.join(', ')}`);
+  return format;
+}
+
+// Aggregates only for the columns asked for
+async function enrichBatch(ownerId, contacts, columns) {
+  const ids = contacts.map((c) => c.id);
+  const want = new Set(columns);
+
+  const [subscribed, redemptions, memberships] = await Promise.all([
+    want.has('subscribedAt')
+      ? prisma.contactEvent.groupBy({
+        by: ['contactId'],
+        where: { ownerId, contactId: { in: ids }, type: 'subscribed' },
+        _max: { createdAt: true }
+      })
+      : [],
+    want.has('redemptions')
+      ? prisma.redemption.groupBy({
+        by: ['contactId'],
+        where: { ownerId, contactId: { in: ids }, redeemedByUserId: { not: null } },
+        _count: { _all: true }
+      })
+      : [],
+    want.has('lists')
+      ? prisma.listMembership.findMany({
+        where: { contactId: { in: ids } },
+        select: { contactId: true, list: { select: { name: true } } }
+      })
+      : []
+  ]);
+
+  const subscribedAt = new Map(subscribed.map((g) => [g.contactId, g._max.createdAt]));
+  const redeemed = new Map(redemptions.map((g) => [g.contactId, g._count._all]));
+  const lists = new Map();
+  for (const m of memberships) {
+    if (!lists.has(m.contactId)) lists.set(m.contactId, []);
+    lists.get(m.contactId).push(m.list.name);
+  }
+
+  return contacts.map((c) => ({
+    ...c,
+    subscribedAt: subscribedAt.get(c.id) || c.createdAt, // contacts start subscribed
+    redemptions: redeemed.get(c.id) || 0,
+    lists: lists.get(c.id) || []
+  }));
+}
+
+/**
+ * Contacts matching the filters, batch by batch (id order), as value arrays
+ * in column order. Only one batch is held in memory at a time.
+ */
+async function* contactRowBatches(ownerId, filters, columns) {
+  const { where, empty } = await buildContactWhere(ownerId, filters);
+  if (empty) return;
+
+  let cursor = 0;
+  for (;;) {
+    const contacts = await prisma.contact.findMany({
+      where: { AND: [where, { id: { gt: cursor } }] },
+      orderBy: { id: 'asc' },
+      take: EXPORT_BATCH,
+      select: {
+        id: true, phone: true, email: true, firstName: true, lastName: true,
+        gender: true, birthday: true, isSubscribed: true, unsubscribedAt: true,
+        customFields: true, createdAt: true, updatedAt: true
+      }
+    });
+    if (!contacts.length) return;
+
+    const rows = await enrichBatch(ownerId, contacts, columns);
+    yield rows.map((c) => columns.map((col) => columnValue(col, c)));
+
+    if (contacts.length < EXPORT_BATCH) return;
+    cursor = contacts[contacts.length - 1].id;
+  }
+}
+
+/**
+ * Write matching contacts as CSV.
+ * @param {(chunk: string) => Promise<void>|void} write
+ */
+async function exportContactsCsv(ownerId, filters, columns, write) {
+  await write(csvRow(columns));
+  for await (const rows of contactRowBatches(ownerId, filters, columns)) {
+    await write(rows.map(csvRow).join(''));
+  }
+}
+
+/**
+ * Write matching contacts as XLSX to a writable stream (streaming workbook:
+ * rows are flushed as they are committed).
+ */
+async function exportContactsXlsx(ownerId, filters, columns, stream) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Contacts');
+  sheet.addRow(columns).commit();
+  for await (const rows of contactRowBatches(ownerId, filters, columns)) {
+    for (const values of rows) sheet.addRow(values).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+module.exports = {
+  EXPORT_COLUMNS: Object.keys(COLUMNS),
+  DEFAULT_COLUMNS,
+  parseExportColumns,
+  parseExportFormat,
+  exportContactsCsv,
+  exportContactsXlsx,
+};
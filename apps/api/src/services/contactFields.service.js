@@ -0,0 +1,249 @@
+// apps/api/src/services/contactFields.service.js
+const prisma = require('../lib/prisma');
+
+/**
+ * Custom contact fields: the owner defines fields (key, label, type) and each
+ * contact stores its values in Contact.customFields as { [key]: value }.
+ * Values are kept typed: text/enum strings, numbers, booleans, dates as
+ * "YYYY-MM-DD" (so JSON comparisons order them correctly).
+ * Everywhere else a field is addressed as custom.<key> (filters, segments,
+ * export columns, template variables).
+ */
+
+const FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'enum'];
+const CUSTOM_PREFIX = 'custom.';
+const KEY_PATTERN = /^[a-z][a-zA-Z0-9_]{0,39}$/;
+const MAX_FIELDS = Number(process.env.CONTACT_FIELDS_MAX || 30);
+const MAX_OPTIONS = 50;
+const MAX_TEXT = 500;
+
+const TRUE_VALUES = ['true', 'yes', '1', 'y', 'ναι'];
+const FALSE_VALUES = ['false', 'no', '0', 'n', 'όχι', 'οχι'];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/* =========================
+   Definitions
+   ========================= */
+function parseOptions(input) {
+  if (!Array.isArray(input) || !input.length) throw badRequest('options must be a non-empty array for enum fields');
+  const options = [...new Set(input.map((o) => String(o ?? '').trim()).filter(Boolean))];
+  if (!options.length) throw badRequest('options must be a non-empty array for enum fields');
+  if (options.length > MAX_OPTIONS) throw badRequest(`options: at most ${MAX_OPTIONS}`);
+  return options;
+}
+
+function parseLabel(input) {
+  const label = String(input ?? '').trim();
+  if (!label) throw badRequest('label required');
+  if (label.length > 120) throw badRequest('label: at most 120 characters');
+  return label;
+}
+
+/**
+ * Validate a new field definition.
+ * @returns {{ key: string, label: string, type: string, options: string[] }}
+ */
+function parseFieldDefinition({ key, label, type, options } = {}) {
+  if (!KEY_PATTERN.test(String(key || ''))) {
+    throw badRequest('key must start with a lowercase letter and contain only letters, digits and _ (max 40)');
+  }
+  if (!FIELD_TYPES.includes(type)) throw badRequest(`type must be one of: ${FIELD_TYPES.join(', ')}`);
+  return {
+    key,
+    label: parseLabel(label ?? key),
+    type,
+    options: type === 'enum' ? parseOptions(options) : [],
+  };
+}
+
+async function listContactFields(ownerId) {
+  return prisma.contactField.findMany({ where: { ownerId }, orderBy: { id: 'asc' } });
+}
+
+/**
+ * @returns {Promise<{ ok: boolean, reason?: string, field?: object }>}
+ *   reason: too_many | key_taken
+ */
+async function createContactField(ownerId, input) {
+  const def = parseFieldDefinition(input);
+  const count = await prisma.contactField.count({ where: { ownerId } });
+  if (count >= MAX_FIELDS) return { ok: false, reason: 'too_many' };
+  try {
+    const field = await prisma.contactField.create({ data: { ownerId, ...def } });
+    return { ok: true, field };
+  } catch (e) {
+    if (e.code === 'P2002') return { ok: false, reason: 'key_taken' };
+    throw e;
+  }
+}
+
+/**
+ * Change label / enum options (key and type are fixed: stored values depend on them).
+ * Contacts keep values of removed options until they are edited.
+ * @returns {Promise<{ ok: boolean, reason?: string, field?: object }>} reason: not_found
+ */
+async function updateContactField(fieldId, ownerId, { label, options } = {}) {
+  const field = await prisma.contactField.findFirst({ where: { id: fieldId, ownerId } });
+  if (!field) return { ok: false, reason: 'not_found' };
+
+  const data = {};
+  if (typeof label !== 'undefined') data.label = parseLabel(label);
+  if (typeof options !== 'undefined') {
+    if (field.type !== 'enum') throw badRequest('options apply to enum fields only');
+    data.options = parseOptions(options);
+  }
+  const updated = await prisma.contactField.update({ where: { id: field.id }, data });
+  return { ok: true, field: updated };
+}
+
+/**
+ * Delete a field and its values on every contact of the owner. Refused while
+ * a segment still has a rule on it.
+ * @returns {Promise<{ ok: boolean, reason?: string, segments?: object[] }>}
+ *   reason: not_found | in_use
+ */
+async function deleteContactField(fieldId, ownerId) {
+  const field = await prisma.contactField.findFirst({ where: { id: fieldId, ownerId } });
+  if (!field) return { ok: false, reason: 'not_found' };
+
+  const segments = await prisma.segment.findMany({
+    where: { ownerId },
+    select: { id: true, name: true, definition: true }
+  });
+  const token = JSON.stringify(`${CUSTOM_PREFIX}${field.key}`);
+  const using = segments.filter((s) => JSON.stringify(s.definition).includes(token));
+  if (using.length) return { ok: false, reason: 'in_use', segments: using.map(({ id, name }) => ({ id, name })) };
+
+  await prisma.$transaction([
+    prisma.$executeRaw`
+      UPDATE "public"."Contact" SET "customFields" = "customFields" - ${field.key}
+      WHERE "ownerId" = ${ownerId} AND "customFields" IS NOT NULL`,
+    prisma.contactField.delete({ where: { id: field.id } })
+  ]);
+  return { ok: true };
+}
+
+/* =========================
+   Values
+   ========================= */
+
+/**
+ * Convert an input value to the stored form of a field.
+ * Empty (null / "") → null, i.e. no value. Throws 400 on values of the wrong type.
+ */
+function coerceFieldValue(field, raw, where = `${CUSTOM_PREFIX}${field.key}`) {
+  if (raw === null || typeof raw === 'undefined') return null;
+  if (typeof raw === 'string' && !raw.trim()) return null;
+
+  switch (field.type) {
+    case 'text': {
+      const s = String(raw).trim();
+      if (s.length > MAX_TEXT) throw badRequest(`${where}: at most ${MAX_TEXT} characters`);
+      return s;
+    }
+    case 'number': {
+      const n = typeof raw === 'number' ? raw : Number(String(raw).trim().replace(',', '.'));
+      if (!Number.isFinite(n)) throw badRequest(`${where}: must be a number`);
+      return n;
+    }
+    case 'date': {
+      const d = raw instanceof Date ? raw : new Date(String(raw).trim());
+      if (Number.isNaN(d.getTime())) throw badRequest(`${where}: must be a date (YYYY-MM-DD)`);
+      return d.toISOString().slice(0, 10);
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return raw;
+      const s = String(raw).trim().toLowerCase();
+      if (TRUE_VALUES.includes(s)) return true;
+      if (FALSE_VALUES.includes(s)) return false;
+      throw badRequest(`${where}: must be true or false`);
+    }
+    case 'enum': {
+      const s = String(raw).trim().toLowerCase();
+      const option = field.options.find((o) => o.toLowerCase() === s);
+      if (!option) throw badRequest(`${where}: must be one of ${field.options.join(', ')}`);
+      return option;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate customFields from a create/update/enroll body against the owner's
+ * fields and merge them into the contact's current values. A null/"" value
+ * removes the field; fields not in the body are kept.
+ * @param {object|null|undefined} input
+ * @param {object|null} [current] the contact's stored customFields
+ * @returns {Promise<object|undefined>} undefined when the body has no customFields
+ */
+async function resolveCustomFields(ownerId, input, current = null) {
+  if (typeof input === 'undefined') return undefined;
+  if (input === null) return {};
+  if (typeof input !== 'object' || Array.isArray(input)) throw badRequest('customFields must be an object');
+
+  const fields = new Map((await listContactFields(ownerId)).map((f) => [f.key, f]));
+  const out = { ...(current || {}) };
+  for (const [key, raw] of Object.entries(input)) {
+    const field = fields.get(key);
+    if (!field) throw badRequest(`unknown custom field: ${key}`);
+    const value = coerceFieldValue(field, raw, `customFields.${key}`);
+    if (value === null) delete out[key];
+    else out[key] = value;
+  }
+  return out;
+}
+
+/** Template variable names of the owner's fields (custom.<key>). */
+async function customFieldVariables(ownerId) {
+  const fields = await prisma.contactField.findMany({ where: { ownerId }, select: { key: true } });
+  return fields.map((f) => `${CUSTOM_PREFIX}${f.key}`);
+}
+
+/* =========================
+   Filters (GET /contacts)
+   ========================= */
+const QUERY_KEY = /^custom\.([a-zA-Z0-9_]+)(?:\.(min|max))?$/;
+
+/**
+ * Prisma conditions for custom.<key>=value (equals) and, for number/date
+ * fields, custom.<key>.min / custom.<key>.max (inclusive) query params.
+ * @returns {Promise<object[]>}
+ */
+async function customFieldQueryConditions(ownerId, query = {}) {
+  const params = Object.keys(query).map((k) => [k, QUERY_KEY.exec(k)]).filter(([, m]) => m);
+  if (!params.length) return [];
+
+  const fields = new Map((await listContactFields(ownerId)).map((f) => [f.key, f]));
+  const conditions = [];
+  for (const [param, [, key, bound]] of params) {
+    const field = fields.get(key);
+    if (!field) throw badRequest(`unknown custom field: ${key}`);
+    if (bound && !['number', 'date'].includes(field.type)) {
+      throw badRequest(`${param}: min/max apply to number and date fields only`);
+    }
+    const value = coerceFieldValue(field, query[param], param);
+    if (value === null) continue;
+
+    const op = bound === 'min' ? 'gte' : bound === 'max' ? 'lte' : 'equals';
+    conditions.push({ customFields: { path: [key], [op]: value } });
+  }
+  return conditions;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  CUSTOM_PREFIX,
+  listContactFields,
+  createContactField,
+  updateContactField,
+  deleteContactField,
+  coerceFieldValue,
+  resolveCustomFields,
+  customFieldVariables,
+  customFieldQueryConditions,
+};
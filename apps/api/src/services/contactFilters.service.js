@@ -0,0 +1,115 @@
+// apps/api/src/services/contactFilters.service.js
+const prisma = require('../lib/prisma');
+const { customFieldQueryConditions } = require('./contactFields.service');
+const { parseTagIds } = require('./tags.service');
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/** Normalize gender to allowed enum. Returns one of: male|female|other|unknown */
+function normalizeGender(g) {
+  const s = String(g || '').toLowerCase();
+  if (s === 'male' || s === 'm') return 'male';
+  if (s === 'female' || s === 'f') return 'female';
+  if (s === 'other') return 'other';
+  return 'unknown';
+}
+
+/**
+ * Prisma `where` for the contact filters shared by GET /contacts and
+ * GET /contacts/export:
+ *   q, isSubscribed (true|false), listId, gender, birthdayFrom, birthdayTo,
+ *   minConversions (contacts with ≥ N redemptions),
+ *   custom.<key>=value, custom.<key>.min / .max (number & date custom fields),
+ *   tags (tag ids, comma-separated) + tagMatch (any | all, default any)
+ * Selecting the virtual High Conversions list means minConversions (default 2).
+ *
+ * @returns {Promise<{ where: object, empty: boolean }>} empty: no contact can match
+ */
+async function buildContactWhere(ownerId, query = {}) {
+  const q = (query.q || '').toString().trim();
+  const sub = (query.isSubscribed || '').toString().toLowerCase();
+
+  let listId = query.listId ? Number(query.listId) : undefined;
+  const gender = query.gender ? normalizeGender(query.gender) : undefined;
+  const bFrom = query.birthdayFrom ? new Date(query.birthdayFrom) : undefined;
+  const bTo   = query.birthdayTo   ? new Date(query.birthdayTo)   : undefined;
+
+  // explicit minConversions param also supported
+  let minConversions = query.minConversions ? Number(query.minConversions) : undefined;
+  if (Number.isNaN(minConversions) || minConversions <= 0) minConversions = undefined;
+
+  // If a system list with slug = high-conversions is selected, translate to minConversions=2
+  if (listId) {
+    const selected = await prisma.list.findFirst({
+      where: { id: listId, ownerId },
+      select: { id: true, isSystem: true, slug: true }
+    });
+    if (selected?.isSystem && selected.slug === 'high-conversions') {
+      minConversions = minConversions ?? 2; // default
+      listId = undefined; // do not filter by membership; we'll use conversions
+    }
+  }
+
+  const where = { ownerId };
+
+  if (q) {
+    where.OR = [
+      { phone:     { contains: q, mode: 'insensitive' } },
+      { email:     { contains: q, mode: 'insensitive' } },
+      { firstName: { contains: q, mode: 'insensitive' } },
+      { lastName:  { contains: q, mode: 'insensitive' } },
+    ];
+  }
+
+  if (sub === 'true') where.isSubscribed = true;
+  if (sub === 'false') where.isSubscribed = false;
+
+  if (gender && gender !== 'unknown') {
+    where.gender = gender;
+  }
+  if (bFrom || bTo) {
+    where.birthday = {};
+    if (bFrom && !Number.isNaN(bFrom.getTime())) where.birthday.gte = bFrom;
+    if (bTo   && !Number.isNaN(bTo.getTime()))   where.birthday.lte = bTo;
+  }
+
+  const and = await customFieldQueryConditions(ownerId, query);
+
+  if (query.tags) {
+    const tagIds = parseTagIds(query.tags, 'tags');
+    const match = String(query.tagMatch || 'any').toLowerCase();
+    if (!['any', 'all'].includes(match)) throw badRequest('tagMatch must be any or all');
+    if (match === 'all') and.push(...tagIds.map((tagId) => ({ tags: { some: { tagId } } })));
+    else and.push({ tags: { some: { tagId: { in: tagIds } } } });
+  }
+  if (and.length) where.AND = and;
+
+  // Either filter by a normal list membership...
+  if (listId) {
+    where.memberships = { some: { listId } };
+  }
+
+  // ...or by conversions (redemptions) >= N (virtual list)
+  if (minConversions) {
+    const groups = await prisma.redemption.groupBy({
+      by: ['contactId'],
+      where: { ownerId, redeemedByUserId: { not: null } },
+      _count: { _all: true },
+      having: {
+        contactId: { _count: { gte: minConversions } }
+      }
+    });
+    const convIds = groups.map(g => g.contactId);
+    if (convIds.length === 0) return { where, empty: true };
+    // restrict to those ids
+    where.id = { in: convIds };
+  }
+
+  return { where, empty: false };
+}
+
+module.exports = { normalizeGender, buildContactWhere };
@@ -0,0 +1,668 @@
+// apps/api/src/services/contactImport.service.js
+const crypto = require('node:crypto');
+const path = require('node:path');
+const { parse: parseCsv } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const prisma = require('../lib/prisma');
+const { normalizeToE164, isE164, isSupportedCountry } = require('../lib/phone');
+const { syncGenderMembershipBulk } = require('../lib/systemLists');
+const { csvRow } = require('../lib/csv');
+const { SOURCES, recordContactEvents } = require('./contactEvents.service');
+
+// Optional contacts queue (null when QUEUE_DISABLED=1)
+let contactsQueue = null;
+try { contactsQueue = require('../queues/contacts.queue'); } catch (_) {}
+
+/**
+ * Import flow:
+ *  1. upload   (status uploaded): the file is parsed and kept on ContactImport
+ *  2. dry run  mapping + options are saved; every row is classified
+ *              (create / update / skip / reject) without writing contacts
+ *  3. start    (queued → running → completed | failed): a contactsQueue job
+ *              writes the rows batch by batch; processedRows is the resume point
+ *  4. report   rejected rows with their reason, as CSV
+ *
+ * Existing contacts (same owner + phone) are updated with the mapped, non-empty
+ * cells only (skipped with updateExisting=false, but still added to the
+ * lists); their subscription state is never changed by an import.
+ */
+
+const IMPORT_FIELDS = ['phone', 'firstName', 'lastName', 'fullName', 'email', 'gender', 'birthday', 'list'];
+const MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS || 50000);
+const BATCH_SIZE = Number(process.env.IMPORT_BATCH_SIZE || 500);
+const DRY_RUN_ERRORS = 100;
+const DRY_RUN_SAMPLE = 20;
+const IMPORT_JOB_NAME = 'importContacts';
+
+// Header aliases for the suggested mapping (lowercase, English + Greek)
+const HEADER_ALIASES = {
+  phone: ['phone', 'mobile', 'mobile phone', 'cell', 'tel', 'telephone', 'msisdn', 'κινητό', 'κινητο', 'τηλέφωνο', 'τηλεφωνο'],
+  firstName: ['first name', 'firstname', 'first_name', 'όνομα', 'ονομα'],
+  lastName: ['last name', 'lastname', 'last_name', 'surname', 'επώνυμο', 'επωνυμο'],
+  fullName: ['name', 'full name', 'fullname', 'ονοματεπώνυμο', 'ονοματεπωνυμο'],
+  email: ['email', 'e-mail', 'mail'],
+  gender: ['gender', 'sex', 'φύλο', 'φυλο'],
+  birthday: ['birthday', 'birth date', 'birthdate', 'date of birth', 'dob', 'γενέθλια', 'γενεθλια', 'ημερομηνία γέννησης'],
+  list: ['list', 'group', 'λίστα', 'λιστα'],
+};
+
+const MAX_LENGTH = { firstName: 120, lastName: 120, email: 320 };
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/* =========================
+   File parsing
+   ========================= */
+function cellText(cell) {
+  const v = cell.value;
+  if (v instanceof Date) return v.toISOString().slice(0, 10);
+  return cell.text;
+}
+
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+  const out = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const values = [];
+    for (let i = 1; i <= row.cellCount; i++) values.push(cellText(row.getCell(i)));
+    out.push(values);
+  });
+  return out;
+}
+
+function readCsv(buffer) {
+  return parseCsv(buffer, {
+    bom: true,
+    delimiter: [',', ';', '\t'],
+    relax_column_count: true,
+    skip_empty_lines: true,
+  });
+}
+
+// Unique, non-empty header names (blank → "Column N", repeats → "Name (2)")
+function normalizeHeaders(raw) {
+  const seen = new Map();
+  return raw.map((h, i) => {
+    const base = String(h ?? '').trim() || `Column ${i + 1}`;
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    return n === 1 ? base : `${base} (${n})`;
+  });
+}
+
+/**
+ * Parse an uploaded CSV or XLSX file: first row = headers.
+ * @returns {Promise<{ headers: string[], rows: string[][] }>}
+ */
+async function parseImportFile({ buffer, originalname }) {
+  const ext = path.extname(originalname || '').toLowerCase();
+  let table;
+  if (ext === '.xlsx') table = await readXlsx(buffer);
+  else if (ext === '.csv' || ext === '.txt') table = readCsv(buffer);
+  else throw badRequest('file must be .csv or .xlsx');
+
+  if (table.length < 2) throw badRequest('file has no data rows');
+  const headers = normalizeHeaders(table[0]);
+  const rows = table.slice(1)
+    .map((r) => headers.map((_, i) => String(r[i] ?? '').trim()))
+    .filter((r) => r.some(Boolean));
+  if (!rows.length) throw badRequest('file has no data rows');
+  if (rows.length > MAX_ROWS) throw badRequest(`file has ${rows.length} rows; the limit is ${MAX_ROWS}`);
+  return { headers, rows };
+}
+
+/** Best-guess field → header mapping from header names. */
+function suggestMapping(headers) {
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    const h = headers.find((x) => HEADER_ALIASES[field].includes(x.toLowerCase()));
+    if (h && !Object.values(mapping).includes(h)) mapping[field] = h;
+  }
+  return mapping;
+}
+
+/**
+ * Store a parsed upload.
+ * @returns {Promise<object>} the ContactImport summary (see importSummary)
+ */
+async function createContactImport(ownerId, file) {
+  const { headers, rows } = await parseImportFile(file);
+  const imp = await prisma.contactImport.create({
+    data: {
+      ownerId,
+      fileName: String(file.originalname || 'upload').slice(0, 255),
+      headers,
+      rows,
+      totalRows: rows.length,
+      defaultCountry: process.env.DEFAULT_PHONE_COUNTRY || 'GR',
+    }
+  });
+  return {
+    ...importSummary(imp),
+    sample: rows.slice(0, 5),
+    suggestedMapping: suggestMapping(headers),
+  };
+}
+
+/* =========================
+   Settings
+   ========================= */
+function parseMapping(input, headers) {
+  if (!input || typeof input !== 'object') throw badRequest('mapping must be an object { field: header }');
+  const mapping = {};
+  for (const [field, header] of Object.entries(input)) {
+    if (header === null || header === '') continue;
+    if (!IMPORT_FIELDS.includes(field)) throw badRequest(`unknown mapping field: ${field}`);
+    if (!headers.includes(header)) throw badRequest(`mapping.${field}: no column named "${header}"`);
+    mapping[field] = header;
+  }
+  if (!mapping.phone) throw badRequest('mapping.phone is required');
+  return mapping;
+}
+
+/**
+ * Validate and save mapping / defaultCountry / updateExisting / listId.
+ * Fields left out keep their saved value.
+ */
+async function saveImportSettings(imp, { mapping, defaultCountry, updateExisting, listId } = {}) {
+  const data = {};
+  if (typeof mapping !== 'undefined') data.mapping = parseMapping(mapping, imp.headers);
+  if (typeof defaultCountry !== 'undefined') {
+    const cc = String(defaultCountry || '').toUpperCase();
+    if (!isSupportedCountry(cc)) throw badRequest(`unsupported defaultCountry: ${defaultCountry}`);
+    data.defaultCountry = cc;
+  }
+  if (typeof updateExisting !== 'undefined') data.updateExisting = !!updateExisting;
+  if (typeof listId !== 'undefined') {
+    if (listId === null || listId === '') {
+      data.listId = null;
+    } else {
+      const list = await prisma.list.findFirst({
+        where: { id: Number(listId), ownerId: imp.ownerId },
+        select: { id: true, isSystem: true }
+      });
+      if (!list) throw badRequest('list not found');
+      if (list.isSystem) throw badRequest('system list membership is automatic');
+      data.listId = list.id;
+    }
+  }
+  if (!Object.keys(data).length) return imp;
+  return prisma.contactImport.update({ where: { id: imp.id }, data });
+}
+
+/* =========================
+   Row classification
+   ========================= */
+function parseGender(s) {
+  const v = s.toLowerCase();
+  if (['male', 'm', 'man', 'άνδρας', 'ανδρας', 'άντρας', 'αντρας', 'α'].includes(v)) return 'male';
+  if (['female', 'f', 'woman', 'γυναίκα', 'γυναικα', 'γ'].includes(v)) return 'female';
+  if (['other', 'άλλο', 'αλλο'].includes(v)) return 'other';
+  return 'unknown';
+}
+
+// YYYY-MM-DD, or day-first DD/MM/YYYY (also with "." or "-")
+function parseBirthdayCell(s) {
+  let y; let m; let d;
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(s);
+  if (match) [, y, m, d] = match;
+  else if ((match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(s))) [, d, m, y] = match;
+  else return null;
+  const date = new Date(Date.UTC(+y, +m - 1, +d));
+  if (date.getUTCMonth() !== +m - 1 || date.getUTCDate() !== +d) return null;
+  return date;
+}
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * One sheet row → { phone, data, listName } or { reason } (rejected).
+ * data holds only mapped, non-empty cells.
+ */
+function prepareRow(values, col, country) {
+  const cell = (field) => (col[field] === undefined ? '' : values[col[field]] || '');
+
+  const rawPhone = cell('phone');
+  if (!rawPhone) return { reason: 'phone_missing' };
+  let phone = rawPhone.replace(/[\s().-]/g, '');
+  if (!isE164(phone)) {
+    const norm = normalizeToE164(rawPhone, country);
+    if (!norm.ok) return { reason: `phone_${norm.reason}` };
+    phone = norm.e164;
+  }
+
+  const data = {};
+  let firstName = cell('firstName');
+  let lastName = cell('lastName');
+  const fullName = cell('fullName');
+  if (fullName && !firstName && !lastName) {
+    const parts = fullName.split(/\s+/);
+    firstName = parts.shift();
+    lastName = parts.join(' ');
+  }
+  if (firstName) data.firstName = firstName;
+  if (lastName) data.lastName = lastName;
+
+  const email = cell('email');
+  if (email) {
+    if (!EMAIL_RE.test(email)) return { reason: 'invalid_email' };
+    data.email = email.toLowerCase();
+  }
+  for (const [field, max] of Object.entries(MAX_LENGTH)) {
+    if (data[field] && data[field].length > max) return { reason: `${field}_too_long` };
+  }
+
+  const gender = cell('gender');
+  if (gender) data.gender = parseGender(gender);
+
+  const birthday = cell('birthday');
+  if (birthday) {
+    data.birthday = parseBirthdayCell(birthday);
+    if (!data.birthday) return { reason: 'invalid_birthday' };
+  }
+
+  return { phone, data, listName: cell('list') || null };
+}
+
+function columnIndexes(imp) {
+  const col = {};
+  for (const [field, header] of Object.entries(imp.mapping || {})) col[field] = imp.headers.indexOf(header);
+  return col;
+}
+
+/**
+ * Classify rows [start, start + count): each gets action create | update | skip | reject.
+ * `seen` holds phones of earlier rows (duplicates in the file: first row wins).
+ */
+async function classifyBatch(imp, start, count, seen, listsByName) {
+  const col = columnIndexes(imp);
+  const slice = imp.rows.slice(start, start + count);
+
+  const prepared = slice.map((values, i) => {
+    const row = start + i + 1; // 1-based data row
+    const p = prepareRow(values, col, imp.defaultCountry);
+    if (p.reason) return { row, action: 'reject', reason: p.reason };
+    if (seen.has(p.phone)) return { row, action: 'reject', reason: 'duplicate_in_file' };
+    seen.add(p.phone);
+    if (p.listName && listsByName.get(p.listName.toLowerCase())?.isSystem) {
+      return { row, action: 'reject', reason: 'system_list' };
+    }
+    return { row, ...p };
+  });
+
+  const phones = prepared.filter((p) => p.phone).map((p) => p.phone);
+  const existing = phones.length
+    ? await prisma.contact.findMany({
+      where: { ownerId: imp.ownerId, phone: { in: phones } },
+      select: { id: true, phone: true }
+    })
+    : [];
+  const idByPhone = new Map(existing.map((c) => [c.phone, c.id]));
+
+  for (const p of prepared) {
+    if (p.action) continue;
+    const contactId = idByPhone.get(p.phone);
+    if (!contactId) p.action = 'create';
+    else if (imp.updateExisting && Object.keys(p.data).length) Object.assign(p, { action: 'update', contactId });
+    else Object.assign(p, { action: 'skip', contactId });
+  }
+  return prepared;
+}
+
+async function loadListsByName(ownerId) {
+  const lists = await prisma.list.findMany({
+    where: { ownerId },
+    select: { id: true, name: true, isSystem: true }
+  });
+  return new Map(lists.map((l) => [l.name.toLowerCase(), l]));
+}
+
+/**
+ * Dry run: classify every row, write nothing but the settings.
+ * @returns {Promise<{ ok: boolean, reason?: string, ... }>} reason: not_found | invalid_status
+ */
+async function dryRunContactImport(importId, ownerId, settings) {
+  let imp = await prisma.contactImport.findFirst({ where: { id: importId, ownerId } });
+  if (!imp) return { ok: false, reason: 'not_found' };
+  if (imp.status !== 'uploaded') return { ok: false, reason: 'invalid_status' };
+
+  imp = await saveImportSettings(imp, settings);
+  if (!imp.mapping) throw badRequest('mapping is required');
+
+  const listsByName = await loadListsByName(ownerId);
+  const seen = new Set();
+  const counts = { create: 0, update: 0, skip: 0, reject: 0 };
+  const rejectReasons = {};
+  const errors = [];
+  const sample = [];
+  const newLists = new Set();
+
+  for (let start = 0; start < imp.totalRows; start += BATCH_SIZE) {
+    for (const r of await classifyBatch(imp, start, BATCH_SIZE, seen, listsByName)) {
+      counts[r.action] += 1;
+      if (r.action === 'reject') {
+        rejectReasons[r.reason] = (rejectReasons[r.reason] || 0) + 1;
+        if (errors.length < DRY_RUN_ERRORS) errors.push({ row: r.row, reason: r.reason });
+        continue;
+      }
+      if (r.listName && !listsByName.has(r.listName.toLowerCase())) newLists.add(r.listName);
+      if (sample.length < DRY_RUN_SAMPLE) {
+        sample.push({ row: r.row, action: r.action, phone: r.phone, ...r.data, list: r.listName });
+      }
+    }
+  }
+
+  return {
+    ok: true,
+    import: importSummary(imp),
+    counts,
+    rejectReasons,
+    errors,
+    sample,
+    listsToCreate: [...newLists],
+  };
+}
+
+/* =========================
+   Background run
+   ========================= */
+function importJobId(importId) {
+  return `contact:import:${importId}`;
+}
+
+/**
+ * Queue the import (uploaded → queued). A failed import can be started again
+ * and resumes after its last processed row.
+ * @returns {Promise<{ ok: boolean, reason?: string, import?: object }>}
+ *   reason: not_found | invalid_status
+ */
+async function startContactImport(importId, ownerId, settings) {
+  let imp = await prisma.contactImport.findFirst({ where: { id: importId, ownerId } });
+  if (!imp) return { ok: false, reason: 'not_found' };
+  if (!['uploaded', 'failed'].includes(imp.status)) return { ok: false, reason: 'invalid_status' };
+
+  if (imp.status === 'uploaded') imp = await saveImportSettings(imp, settings);
+  if (!imp.mapping) throw badRequest('mapping is required');
+
+  const r = await prisma.contactImport.updateMany({
+    where: { id: imp.id, status: imp.status },
+    data: { status: 'queued', error: null }
+  });
+  if (r.count === 0) return { ok: false, reason: 'invalid_status' };
+
+  if (contactsQueue) {
+    // A failed job keeps its id in the queue; drop it so the new one is accepted
+    try { await contactsQueue.remove(importJobId(imp.id)); } catch (_) {}
+    await contactsQueue.add(IMPORT_JOB_NAME, { importId: imp.id }, { jobId: importJobId(imp.id) });
+  } else {
+    // No queue (QUEUE_DISABLED=1): run in this process
+    setImmediate(() => runContactImport(imp.id).catch((e) => markContactImportFailed(imp.id, e)));
+  }
+
+  return { ok: true, import: importSummary({ ...imp, status: 'queued' }) };
+}
+
+// Resolve list names of a batch to ids, creating missing lists
+async function resolveBatchLists(ownerId, names, listsByName) {
+  for (const name of names) {
+    const key = name.toLowerCase();
+    if (listsByName.has(key)) continue;
+    const list = await prisma.list.upsert({
+      where: { ownerId_name: { ownerId, name } },
+      update: {},
+      create: { ownerId, name, isSystem: false },
+      select: { id: true, name: true, isSystem: true }
+    });
+    listsByName.set(key, list);
+  }
+}
+
+function newUnsubTokenHash() {
+  const raw = crypto.randomBytes(16).toString('hex');
+  return crypto.createHash('sha256').update(raw).digest('hex');
+}
+
+/**
+ * Write one classified batch: contacts, list memberships, gender lists, events.
+ * @returns {Promise<{ created: number, updated: number }>}
+ */
+async function writeBatch(imp, rows, listsByName) {
+  const ownerId = imp.ownerId;
+  const creates = rows.filter((r) => r.action === 'create');
+  const updates = rows.filter((r) => r.action === 'update');
+
+  if (creates.length) {
+    await prisma.contact.createMany({
+      data: creates.map((r) => ({
+        ownerId,
+        phone: r.phone,
+        ...r.data,
+        unsubscribeTokenHash: newUnsubTokenHash(),
+      })),
+      skipDuplicates: true // created meanwhile (e.g. enroll form): left as is
+    });
+    const ids = await prisma.contact.findMany({
+      where: { ownerId, phone: { in: creates.map((r) => r.phone) } },
+      select: { id: true, phone: true }
+    });
+    const idByPhone = new Map(ids.map((c) => [c.phone, c.id]));
+    for (const r of creates) r.contactId = idByPhone.get(r.phone);
+  }
+
+  if (updates.length) {
+    await prisma.$transaction(updates.map((r) => prisma.contact.update({
+      where: { id: r.contactId },
+      data: r.data
+    })));
+  }
+
+  // List memberships: the import's list + the row's list column
+  await resolveBatchLists(ownerId, [...new Set(rows.map((r) => r.listName).filter(Boolean))], listsByName);
+  const wanted = [];
+  for (const r of [...creates, ...updates, ...rows.filter((x) => x.action === 'skip')]) {
+    if (!r.contactId) continue;
+    if (imp.listId) wanted.push({ contactId: r.contactId, listId: imp.listId });
+    if (r.listName) wanted.push({ contactId: r.contactId, listId: listsByName.get(r.listName.toLowerCase()).id });
+  }
+  if (wanted.length) {
+    const current = await prisma.listMembership.findMany({
+      where: {
+        contactId: { in: [...new Set(wanted.map((w) => w.contactId))] },
+        listId: { in: [...new Set(wanted.map((w) => w.listId))] }
+      },
+      select: { contactId: true, listId: true }
+    });
+    const has = new Set(current.map((m) => `${m.contactId}:${m.listId}`));
+    const added = wanted.filter((w) => {
+      const key = `${w.contactId}:${w.listId}`;
+      if (has.has(key)) return false;
+      has.add(key);
+      return true;
+    });
+    if (added.length) {
+      await prisma.listMembership.createMany({ data: added, skipDuplicates: true });
+      const nameById = new Map([...listsByName.values()].map((l) => [l.id, l.name]));
+      await recordContactEvents(added.map((a) => ({
+        ownerId,
+        contactId: a.contactId,
+        type: 'list_added',
+        source: SOURCES.IMPORT,
+        listId: a.listId,
+        meta: { listName: nameById.get(a.listId), importId: imp.id }
+      })));
+    }
+  }
+
+  // Gender system lists, in bulk for every contact whose gender the import set
+  await syncGenderMembershipBulk(ownerId, [...creates, ...updates]
+    .filter((r) => r.contactId && r.data.gender)
+    .map((r) => ({ id: r.contactId, gender: r.data.gender })));
+
+  await recordContactEvents(creates.filter((r) => r.contactId).map((r) => ({
+    ownerId,
+    contactId: r.contactId,
+    type: 'subscribed',
+    source: SOURCES.IMPORT,
+    meta: { created: true, importId: imp.id }
+  })));
+
+  return { created: creates.length, updated: updates.length };
+}
+
+/**
+ * Worker entry point: process an import from its saved progress to the end.
+ * Throws on failure (the job is retried and resumes after the last batch).
+ */
+async function runContactImport(importId) {
+  const imp = await prisma.contactImport.findUnique({ where: { id: importId } });
+  if (!imp || !['queued', 'running'].includes(imp.status)) return { ok: false, reason: 'invalid_status' };
+
+  await prisma.contactImport.update({
+    where: { id: imp.id },
+    data: { status: 'running', startedAt: imp.startedAt || new Date() }
+  });
+
+  const listsByName = await loadListsByName(imp.ownerId);
+  if (imp.listId) {
+    const fixed = await prisma.list.findUnique({ where: { id: imp.listId }, select: { id: true, name: true, isSystem: true } });
+    if (fixed) listsByName.set(fixed.name.toLowerCase(), fixed);
+    else imp.listId = null; // deleted since the import was set up
+  }
+
+  // Phones of rows already processed, so duplicates are still caught after a resume
+  const seen = new Set();
+  const col = columnIndexes(imp);
+  for (const values of imp.rows.slice(0, imp.processedRows)) {
+    const p = prepareRow(values, col, imp.defaultCountry);
+    if (p.phone) seen.add(p.phone);
+  }
+
+  for (let start = imp.processedRows; start < imp.totalRows; start += BATCH_SIZE) {
+    const rows = await classifyBatch(imp, start, BATCH_SIZE, seen, listsByName);
+    const { created, updated } = await writeBatch(imp, rows, listsByName);
+
+    // The batch's rejected rows and its progress commit together
+    const rejected = rows.filter((r) => r.action === 'reject');
+    await prisma.$transaction([
+      prisma.contactImportError.createMany({
+        data: rejected.map((r) => ({ importId: imp.id, row: r.row, reason: r.reason })),
+        skipDuplicates: true
+      }),
+      prisma.contactImport.update({
+        where: { id: imp.id },
+        data: {
+          processedRows: Math.min(imp.totalRows, start + BATCH_SIZE),
+          created: { increment: created },
+          updated: { increment: updated },
+          skipped: { increment: rows.filter((r) => r.action === 'skip').length },
+          rejected: { increment: rejected.length }
+        }
+      })
+    ]);
+  }
+
+  const done = await prisma.contactImport.update({
+    where: { id: imp.id },
+    data: { status: 'completed', finishedAt: new Date() }
+  });
+  return { ok: true, import: importSummary(done) };
+}
+
+async function markContactImportFailed(importId, err) {
+  await prisma.contactImport.updateMany({
+    where: { id: importId, status: { in: ['queued', 'running'] } },
+    data: { status: 'failed', error: String(err?.message || err).slice(0, 1000), finishedAt: new Date() }
+  });
+}
+
+/* =========================
+   Reads
+   ========================= */
+function importSummary(imp) {
+  return {
+    id: imp.id,
+    fileName: imp.fileName,
+    status: imp.status,
+    headers: imp.headers,
+    totalRows: imp.totalRows,
+    mapping: imp.mapping,
+    defaultCountry: imp.defaultCountry,
+    updateExisting: imp.updateExisting,
+    listId: imp.listId,
+    processedRows: imp.processedRows,
+    progress: imp.totalRows ? Number((imp.processedRows / imp.totalRows).toFixed(4)) : 0,
+    created: imp.created,
+    updated: imp.updated,
+    skipped: imp.skipped,
+    rejected: imp.rejected,
+    error: imp.error,
+    createdAt: imp.createdAt,
+    startedAt: imp.startedAt,
+    finishedAt: imp.finishedAt,
+  };
+}
+
+async function getContactImport(importId, ownerId) {
+  const imp = await prisma.contactImport.findFirst({
+    where: { id: importId, ownerId },
+    omit: { rows: true }
+  });
+  return imp ? importSummary(imp) : null;
+}
+
+async function listContactImports(ownerId, { page = 1, pageSize = 20 } = {}) {
+  page = Math.max(1, Number(page) || 1);
+  pageSize = Math.min(100, Math.max(1, Number(pageSize) || 20));
+  const where = { ownerId };
+  const [total, items] = await Promise.all([
+    prisma.contactImport.count({ where }),
+    prisma.contactImport.findMany({
+      where,
+      orderBy: { id: 'desc' },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+      omit: { rows: true }
+    })
+  ]);
+  return { total, page, pageSize, items: items.map(importSummary) };
+}
+
+/**
+ * Per-row error report: row number, reason and the original cells.
+ * @param {(chunk: string) => Promise<void>|void} write
+ * @returns {Promise<boolean>} false when the import doesn't exist
+ */
+async function writeImportErrorReport(importId, ownerId, write) {
+  const imp = await prisma.contactImport.findFirst({ where: { id: importId, ownerId } });
+  if (!imp) return false;
+  await write(csvRow(['row', 'reason', ...imp.headers]));
+  const errors = await prisma.contactImportError.findMany({
+    where: { importId: imp.id },
+    orderBy: { row: 'asc' },
+    select: { row: true, reason: true }
+  });
+  for (const e of errors) {
+    await write(csvRow([e.row, e.reason, ...(imp.rows[e.row - 1] || [])]));
+  }
+  return true;
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  IMPORT_JOB_NAME,
+  createContactImport,
+  dryRunContactImport,
+  startContactImport,
+  runContactImport,
+  markContactImportFailed,
+  getContactImport,
+  listContactImports,
+  writeImportErrorReport,
+};
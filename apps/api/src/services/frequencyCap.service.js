@@ -0,0 +1,78 @@
+// apps/api/src/services/frequencyCap.service.js
+const prisma = require('../lib/prisma');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SKIP_REASON = 'frequency_cap';
+
+// Messages that count towards the cap (skipped/cancelled/failed never reached the contact)
+const COUNTED_STATUSES = ['queued', 'sending', 'sent', 'delivered'];
+
+/**
+ * Owner's marketing frequency cap, or null when not configured.
+ * @returns {Promise<{ max: number, days: number } | null>}
+ */
+async function getFrequencyCap(ownerId) {
+  const user = await prisma.user.findUnique({
+    where: { id: ownerId },
+    select: { freqCapMax: true, freqCapDays: true }
+  });
+  if (!user?.freqCapMax || !user?.freqCapDays) return null;
+  return { max: user.freqCapMax, days: user.freqCapDays };
+}
+
+/**
+ * Contact ids that already reached the cap within the window.
+ * Counts the owner's recent CampaignMessage history (one grouped query).
+ * @param {{ contactIds?: number[], db?: object }} [opts] only these contacts; db = transaction client
+ */
+async function cappedContactIds(ownerId, cap, { contactIds, db = prisma } = {}) {
+  if (!cap || (contactIds && !contactIds.length)) return new Set();
+  const rows = await db.campaignMessage.groupBy({
+    by: ['contactId'],
+    where: {
+      ownerId,
+      ...(contactIds ? { contactId: { in: contactIds } } : {}),
+      status: { in: COUNTED_STATUSES },
+      createdAt: { gte: new Date(Date.now() - cap.days * DAY_MS) }
+    },
+    _count: { _all: true },
+    having: { contactId: { _count: { gte: cap.max } } }
+  });
+  return new Set(rows.map((r) => r.contactId));
+}
+
+/**
+ * Cap check for a sender about to insert messages in transaction `tx`.
+ * Takes a transaction-level advisory lock on the owner first, so concurrent
+ * sends of the same owner check and insert one after the other and each one
+ * sees the messages the previous ones committed.
+ */
+async function lockedCappedContactIds(tx, ownerId, cap, contactIds) {
+  if (!cap || !contactIds.length) return new Set();
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext('frequency_cap'), ${ownerId})`;
+  return cappedContactIds(ownerId, cap, { contactIds, db: tx });
+}
+
+/**
+ * Split contacts into those that may receive one more marketing message and
+ * those the owner's frequency cap holds back.
+ * @returns {Promise<{ allowed: object[], skipped: object[], cap: object|null }>}
+ */
+async function partitionByFrequencyCap(ownerId, contacts) {
+  const cap = await getFrequencyCap(ownerId);
+  if (!cap || !contacts.length) return { allowed: contacts, skipped: [], cap };
+
+  const capped = await cappedContactIds(ownerId, cap);
+  const allowed = [];
+  const skipped = [];
+  for (const c of contacts) (capped.has(c.id) ? skipped : allowed).push(c);
+  return { allowed, skipped, cap };
+}
+
+module.exports = {
+  getFrequencyCap,
+  cappedContactIds,
+  lockedCappedContactIds,
+  partitionByFrequencyCap,
+  SKIP_REASON,
+};
@@ -0,0 +1,43 @@
+// apps/api/src/services/offers.service.js
+const prisma = require('../lib/prisma');
+const { recordContactEvent } = require('./contactEvents.service');
+const { buildOfferText } = require('../lib/messageLinks');
+
+/**
+ * Public view of the offer behind a message's tracking id. Counts the visit
+ * (Redemption row created on the first one) and records it on the contact.
+ * @returns {Promise<{ trackingId: string, storeName: string, offerText: string }|null>} null when unknown
+ */
+async function visitOffer(trackingId) {
+  const msg = await prisma.campaignMessage.findFirst({
+    where: { trackingId },
+    include: {
+      campaign: { include: { owner: true, template: { select: { text: true } } } },
+      variant: { select: { template: { select: { text: true } } } },
+      contact: true
+    }
+  });
+  if (!msg) return null;
+
+  // idempotent "visit" logging (create if not exists)
+  await prisma.redemption.upsert({
+    where: { messageId: msg.id }, // unique index
+    update: { lastVisitedAt: new Date(), visits: { increment: 1 } },
+    create: { messageId: msg.id, campaignId: msg.campaignId, contactId: msg.contactId, ownerId: msg.ownerId, visits: 1, lastVisitedAt: new Date() }
+  });
+  await recordContactEvent({
+    ownerId: msg.ownerId,
+    contactId: msg.contactId,
+    type: 'offer_visit',
+    messageId: msg.id,
+    meta: { campaignId: msg.campaignId, campaignName: msg.campaign?.name || null }
+  });
+
+  const storeName = msg.campaign?.owner?.company || msg.campaign?.name || 'Our Store';
+  // Not msg.text: the sent SMS carries the recipient's personal opt-out link
+  const template = msg.variant?.template || msg.campaign?.template;
+  const offerText = buildOfferText(template?.text || '', { contact: msg.contact, owner: msg.campaign?.owner });
+  return { trackingId, storeName, offerText };
+}
+
+module.exports = { visitOffer };
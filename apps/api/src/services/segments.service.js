@@ -0,0 +1,358 @@
+// apps/api/src/services/segments.service.js
+const prisma = require('../lib/prisma');
+const { highConversionContactIds, SLUG } = require('../lib/systemLists');
+const { CUSTOM_PREFIX, listContactFields, coerceFieldValue } = require('./contactFields.service');
+
+const ALL_LIST_NAME = '[ALL_CONTACTS]';
+
+/**
+ * Segment definition (stored as JSON on Segment.definition):
+ *
+ *   { "op": "and" | "or", "rules": [ <rule | group>, ... ] }
+ *
+ * rule = { "field": <field>, "operator": <operator>, "value": <value> }
+ *
+ * Fields & operators:
+ *   firstName, lastName, email, phone   eq, neq, contains, startsWith, isEmpty, isNotEmpty
+ *   gender                              eq, neq, in
+ *   isSubscribed                        eq
+ *   birthday                            before, after, between, isEmpty, isNotEmpty
+ *   createdAt (enrollment date)         before, after, between, withinDays, olderThanDays
+ *   list                                in, notIn           (list ids; system lists allowed)
+ *   tag                                 in, all, notIn      (tag ids: any of / every one of / none of)
+ *   redemptions                         gte, lte, eq        (number of redemptions)
+ *   lastMessageAt                       before, after, withinDays, olderThanDays, never
+ *   custom.<key> (owner's custom fields, by type; contacts without a value never match)
+ *     text                              eq, neq, contains, startsWith   (case-sensitive)
+ *     number                            eq, neq, gte, lte
+ *     date                              eq, before, after, between
+ *     boolean                           eq
+ *     enum                              eq, neq, in
+ */
+
+const TEXT_FIELDS = ['firstName', 'lastName', 'email', 'phone'];
+const DATE_FIELDS = ['birthday', 'createdAt'];
+const GENDERS = ['male', 'female', 'other', 'unknown'];
+
+const OPERATORS = {
+  text: ['eq', 'neq', 'contains', 'startsWith', 'isEmpty', 'isNotEmpty'],
+  gender: ['eq', 'neq', 'in'],
+  isSubscribed: ['eq'],
+  birthday: ['before', 'after', 'between', 'isEmpty', 'isNotEmpty'],
+  createdAt: ['before', 'after', 'between', 'withinDays', 'olderThanDays'],
+  list: ['in', 'notIn'],
+  tag: ['in', 'all', 'notIn'],
+  redemptions: ['gte', 'lte', 'eq'],
+  lastMessageAt: ['before', 'after', 'withinDays', 'olderThanDays', 'never'],
+};
+
+const CUSTOM_OPERATORS = {
+  text: ['eq', 'neq', 'contains', 'startsWith'],
+  number: ['eq', 'neq', 'gte', 'lte'],
+  date: ['eq', 'before', 'after', 'between'],
+  boolean: ['eq'],
+  enum: ['eq', 'neq', 'in'],
+};
+
+const MAX_DEPTH = 4;
+const MAX_RULES = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function customField(field, customFields) {
+  if (typeof field !== 'string' || !field.startsWith(CUSTOM_PREFIX)) return null;
+  return customFields.find((f) => f.key === field.slice(CUSTOM_PREFIX.length)) || null;
+}
+
+function operatorsFor(field, customFields) {
+  if (TEXT_FIELDS.includes(field)) return OPERATORS.text;
+  const custom = customField(field, customFields);
+  if (custom) return CUSTOM_OPERATORS[custom.type];
+  return OPERATORS[field];
+}
+
+// Every value of a custom field rule, in stored form (throws 400 on bad values)
+function customRuleValues(field, operator, value, where) {
+  const values = ['in', 'between'].includes(operator) ? value : [value];
+  if (!Array.isArray(values) || !values.length || (operator === 'between' && values.length !== 2)) {
+    throw badRequest(operator === 'between' ? `${where}: between needs [from, to]` : `${where}: value must be a non-empty array`);
+  }
+  return values.map((v) => {
+    const stored = coerceFieldValue(field, v, where);
+    if (stored === null) throw badRequest(`${where}: value required`);
+    return stored;
+  });
+}
+
+function toDate(v, where) {
+  const d = new Date(v);
+  if (v === null || typeof v === 'undefined' || Number.isNaN(d.getTime())) {
+    throw badRequest(`${where}: invalid date`);
+  }
+  return d;
+}
+
+function toCount(v, where) {
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 0) throw badRequest(`${where}: value must be a non-negative integer`);
+  return n;
+}
+
+function isGroup(node) {
+  return node && typeof node === 'object' && Array.isArray(node.rules);
+}
+
+/**
+ * Validate a definition's shape. Throws a 400 error describing the first problem.
+ * @param {{ customFields?: object[] }} [opts] the owner's custom fields (custom.<key> rules)
+ */
+function validateDefinition(def, { customFields = [] } = {}) {
+  let count = 0;
+
+  function walk(node, path, depth) {
+    if (isGroup(node)) {
+      if (depth > MAX_DEPTH) throw badRequest(`${path}: groups nested too deep (max ${MAX_DEPTH})`);
+      const op = String(node.op || 'and').toLowerCase();
+      if (!['and', 'or'].includes(op)) throw badRequest(`${path}.op must be "and" or "or"`);
+      node.rules.forEach((r, i) => walk(r, `${path}.rules[${i}]`, depth + 1));
+      return;
+    }
+
+    if (!node || typeof node !== 'object') throw badRequest(`${path}: rule must be an object`);
+    count += 1;
+    if (count > MAX_RULES) throw badRequest(`too many rules (max ${MAX_RULES})`);
+
+    const ops = operatorsFor(node.field, customFields);
+    if (!ops) throw badRequest(`${path}: unknown field "${node.field}"`);
+    if (!ops.includes(node.operator)) {
+      throw badRequest(`${path}: operator "${node.operator}" not allowed for ${node.field}`);
+    }
+
+    const { field, operator, value } = node;
+    if (['isEmpty', 'isNotEmpty', 'never'].includes(operator)) return;
+
+    const custom = customField(field, customFields);
+    if (custom) {
+      customRuleValues(custom, operator, value, path);
+    } else if (field === 'gender') {
+      const vals = operator === 'in' ? value : [value];
+      if (!Array.isArray(vals) || !vals.every((g) => GENDERS.includes(g))) {
+        throw badRequest(`${path}: gender must be one of ${GENDERS.join(', ')}`);
+      }
+    } else if (field === 'isSubscribed') {
+      if (typeof value !== 'boolean') throw badRequest(`${path}: value must be true or false`);
+    } else if (field === 'list' || field === 'tag') {
+      if (!Array.isArray(value) || !value.length || !value.every((id) => Number.isInteger(Number(id)) && Number(id) > 0)) {
+        throw badRequest(`${path}: value must be a non-empty array of ${field} ids`);
+      }
+    } else if (field === 'redemptions' || ['withinDays', 'olderThanDays'].includes(operator)) {
+      toCount(value, path);
+    } else if (operator === 'between') {
+      if (!Array.isArray(value) || value.length !== 2) throw badRequest(`${path}: between needs [from, to]`);
+      toDate(value[0], path);
+      toDate(value[1], path);
+    } else if (DATE_FIELDS.includes(field) || field === 'lastMessageAt') {
+      toDate(value, path);
+    } else if (typeof value !== 'string' || !value.length) {
+      throw badRequest(`${path}: value must be a non-empty string`);
+    }
+  }
+
+  if (!isGroup(def)) throw badRequest('definition must be { op, rules: [...] }');
+  walk(def, 'definition', 1);
+  return true;
+}
+
+/* =========================
+   Compilation → Prisma where
+   ========================= */
+
+function textCondition(field, operator, value) {
+  switch (operator) {
+    case 'eq': return { [field]: { equals: value, mode: 'insensitive' } };
+    case 'neq': return { NOT: { [field]: { equals: value, mode: 'insensitive' } } };
+    case 'contains': return { [field]: { contains: value, mode: 'insensitive' } };
+    case 'startsWith': return { [field]: { startsWith: value, mode: 'insensitive' } };
+    case 'isEmpty': return { OR: [{ [field]: null }, { [field]: '' }] };
+    case 'isNotEmpty': return { AND: [{ [field]: { not: null } }, { [field]: { not: '' } }] };
+  }
+  return {};
+}
+
+function dateCondition(field, operator, value) {
+  const now = Date.now();
+  switch (operator) {
+    case 'before': return { [field]: { lt: new Date(value) } };
+    case 'after': return { [field]: { gt: new Date(value) } };
+    case 'between': return { [field]: { gte: new Date(value[0]), lte: new Date(value[1]) } };
+    case 'withinDays': return { [field]: { gte: new Date(now - Number(value) * DAY_MS) } };
+    case 'olderThanDays': return { [field]: { lt: new Date(now - Number(value) * DAY_MS) } };
+    case 'isEmpty': return { [field]: null };
+    case 'isNotEmpty': return { [field]: { not: null } };
+  }
+  return {};
+}
+
+// Messages that reached the provider / that were redeemed (a Redemption row
+// also exists for offer visits, so only rows with a redeemer count)
+const SENT_MESSAGE = { sentAt: { not: null } };
+const REDEEMED_MESSAGE = { redemption: { is: { redeemedByUserId: { not: null } } } };
+
+/**
+ * Contacts with more than / exactly n redemptions (n ≥ 1). Counts can't be
+ * expressed as a relation filter, so the database groups and filters them
+ * (HAVING) and only the matching contact ids come back.
+ */
+async function redeemedContactIds(ownerId, having) {
+  const rows = await prisma.redemption.groupBy({
+    by: ['contactId'],
+    where: { ownerId, redeemedByUserId: { not: null } },
+    having: { contactId: { _count: having } }
+  });
+  return rows.map((r) => r.contactId);
+}
+
+async function redemptionCondition(ownerId, operator, value) {
+  const n = Number(value);
+  const none = { messages: { none: REDEEMED_MESSAGE } };
+  const some = { messages: { some: REDEEMED_MESSAGE } };
+
+  if (operator === 'gte') {
+    if (n <= 0) return {};
+    if (n === 1) return some;
+    return { id: { in: await redeemedContactIds(ownerId, { gte: n }) } };
+  }
+  if (operator === 'lte') {
+    if (n === 0) return none;
+    return { NOT: { id: { in: await redeemedContactIds(ownerId, { gt: n }) } } };
+  }
+  if (n === 0) return none;
+  return { id: { in: await redeemedContactIds(ownerId, { equals: n }) } };
+}
+
+// "Last message sent before t" = has a sent message and none sent at/after t
+function lastSentBefore(t) {
+  return { AND: [{ messages: { some: SENT_MESSAGE } }, { messages: { none: { sentAt: { gte: t } } } }] };
+}
+
+function lastMessageCondition(operator, value) {
+  const now = Date.now();
+  switch (operator) {
+    case 'never': return { messages: { none: SENT_MESSAGE } };
+    case 'before': return lastSentBefore(new Date(value));
+    case 'after': return { messages: { some: { sentAt: { gt: new Date(value) } } } };
+    case 'withinDays': return { messages: { some: { sentAt: { gte: new Date(now - Number(value) * DAY_MS) } } } };
+    case 'olderThanDays': return lastSentBefore(new Date(now - Number(value) * DAY_MS));
+  }
+  return {};
+}
+
+function customFieldCondition(field, operator, value) {
+  const values = customRuleValues(field, operator, value, `${CUSTOM_PREFIX}${field.key}`);
+  const json = (filter) => ({ customFields: { path: [field.key], ...filter } });
+  switch (operator) {
+    case 'eq': return json({ equals: values[0] });
+    case 'neq': return json({ not: values[0] });
+    case 'contains': return json({ string_contains: values[0] });
+    case 'startsWith': return json({ string_starts_with: values[0] });
+    case 'gte': return json({ gte: values[0] });
+    case 'lte': return json({ lte: values[0] });
+    case 'before': return json({ lt: values[0] });
+    case 'after': return json({ gt: values[0] });
+    case 'between': return json({ gte: values[0], lte: values[1] });
+    case 'in': return { OR: values.map((v) => json({ equals: v })) };
+  }
+  return {};
+}
+
+async function listRuleCondition(ownerId, operator, value) {
+  const ids = value.map(Number);
+  const lists = await prisma.list.findMany({
+    where: { ownerId, id: { in: ids } },
+    select: { id: true, name: true, isSystem: true, slug: true }
+  });
+
+  const conds = [];
+  const memberListIds = [];
+  for (const l of lists) {
+    if (l.name === ALL_LIST_NAME) {
+      conds.push({});
+    } else if (l.isSystem && l.slug === SLUG.HIGH) {
+      conds.push({ id: { in: await highConversionContactIds(ownerId) } });
+    } else {
+      memberListIds.push(l.id);
+    }
+  }
+  if (memberListIds.length) conds.push({ memberships: { some: { listId: { in: memberListIds } } } });
+
+  const inAny = conds.length ? { OR: conds } : { id: { in: [] } };
+  return operator === 'in' ? inAny : { NOT: inAny };
+}
+
+// Tag ids of other owners can't match: contacts are owner-scoped
+function tagRuleCondition(operator, value) {
+  const ids = value.map(Number);
+  if (operator === 'all') return { AND: ids.map((tagId) => ({ tags: { some: { tagId } } })) };
+  const inAny = { tags: { some: { tagId: { in: ids } } } };
+  return operator === 'in' ? inAny : { NOT: inAny };
+}
+
+async function compileNode(node, ownerId, customFields) {
+  if (isGroup(node)) {
+    const parts = await Promise.all(node.rules.map((r) => compileNode(r, ownerId, customFields)));
+    if (!parts.length) return {};
+    return String(node.op || 'and').toLowerCase() === 'or' ? { OR: parts } : { AND: parts };
+  }
+
+  const { field, operator, value } = node;
+  if (TEXT_FIELDS.includes(field)) return textCondition(field, operator, value);
+  const custom = customField(field, customFields);
+  if (custom) return customFieldCondition(custom, operator, value);
+  if (DATE_FIELDS.includes(field)) return dateCondition(field, operator, value);
+
+  switch (field) {
+    case 'gender':
+      if (operator === 'in') return { gender: { in: value } };
+      return operator === 'neq' ? { NOT: { gender: value } } : { gender: value };
+    case 'isSubscribed':
+      return { isSubscribed: value };
+    case 'list':
+      return listRuleCondition(ownerId, operator, value);
+    case 'tag':
+      return tagRuleCondition(operator, value);
+    case 'redemptions':
+      return redemptionCondition(ownerId, operator, value);
+    case 'lastMessageAt':
+      return lastMessageCondition(operator, value);
+  }
+  return {};
+}
+
+/**
+ * Compile a (validated) definition into a Prisma Contact where, scoped to the owner.
+ */
+async function compileSegment(ownerId, definition) {
+  const customFields = await listContactFields(ownerId);
+  validateDefinition(definition, { customFields });
+  const where = await compileNode(definition, ownerId, customFields);
+  return { AND: [{ ownerId }, where] };
+}
+
+/**
+ * Live counts for a definition.
+ */
+async function countSegment(ownerId, definition) {
+  const where = await compileSegment(ownerId, definition);
+  const [total, subscribed] = await Promise.all([
+    prisma.contact.count({ where }),
+    prisma.contact.count({ where: { AND: [where, { isSubscribed: true }] } })
+  ]);
+  return { total, subscribed };
+}
+
+module.exports = { validateDefinition, compileSegment, countSegment, OPERATORS, TEXT_FIELDS };
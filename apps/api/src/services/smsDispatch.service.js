@@ -0,0 +1,55 @@
+// apps/api/src/services/smsDispatch.service.js
+const prisma = require('../lib/prisma');
+const smsQueue = require('../queues/sms.queue');
+
+const BULK_SIZE = Number(process.env.SMS_DISPATCH_BULK_SIZE || 500);
+
+/**
+ * Deterministic BullMQ job id for a message.
+ * BullMQ ignores an add() whose jobId already exists, so publishing the
+ * same message twice can never produce two sends. A retried message gets a
+ * new id per retry (the job of the failed attempt is still in the queue).
+ */
+function messageJobId(messageId, retryCount = 0) {
+  return retryCount > 0 ? `sms:message:${messageId}-r${retryCount}` : `sms:message:${messageId}`;
+}
+
+/**
+ * Publish one smsQueue job per message, in bulk.
+ * @param {Array<number | { id: number, retryCount?: number }>} messages
+ * Returns the number of jobs handed to the queue (0 when queues are disabled).
+ */
+async function publishMessageJobs(messages) {
+  if (!messages?.length) return 0;
+  if (!smsQueue) {
+    console.warn('[Dispatch] smsQueue disabled; %d message(s) left queued', messages.length);
+    return 0;
+  }
+
+  let published = 0;
+  for (let i = 0; i < messages.length; i += BULK_SIZE) {
+    const slice = messages.slice(i, i + BULK_SIZE).map((m) => (typeof m === 'object' ? m : { id: m }));
+    await smsQueue.addBulk(slice.map((m) => ({
+      name: 'sendMessage',
+      data: { messageId: m.id },
+      opts: { jobId: messageJobId(m.id, m.retryCount) }
+    })));
+    published += slice.length;
+  }
+  return published;
+}
+
+/**
+ * (Re)publish every message of a campaign that is still 'queued'.
+ * Safe to call repeatedly thanks to deterministic job ids.
+ */
+async function publishQueuedForCampaign(campaignId) {
+  const rows = await prisma.campaignMessage.findMany({
+    where: { campaignId, status: 'queued' },
+    select: { id: true, retryCount: true },
+    orderBy: { id: 'asc' }
+  });
+  return publishMessageJobs(rows);
+}
+
+module.exports = { messageJobId, publishMessageJobs, publishQueuedForCampaign };
@@ -0,0 +1,130 @@
+// apps/api/src/services/tags.service.js
+const prisma = require('../lib/prisma');
+
+/**
+ * Contact tags: owner-scoped free-form labels, assigned directly to contacts
+ * (ContactTag). Names are trimmed, single-spaced and lowercase, so "VIP" and
+ * "vip" are the same tag.
+ */
+
+const MAX_NAME = 60;
+const MAX_TAG_IDS = 50;
+
+// Contact select that brings the contact's tags (see flattenTags)
+const CONTACT_TAGS_SELECT = {
+  select: { tag: { select: { id: true, name: true } } },
+  orderBy: { tag: { name: 'asc' } }
+};
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function normalizeTagName(input) {
+  const name = String(input ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+  if (!name) throw badRequest('name required');
+  if (name.length > MAX_NAME) throw badRequest(`name: at most ${MAX_NAME} characters`);
+  return name;
+}
+
+/**
+ * Validate a tag id array (comma-separated string accepted, e.g. from a query).
+ * @returns {number[]}
+ */
+function parseTagIds(input, field = 'tagIds') {
+  const list = Array.isArray(input) ? input : String(input ?? '').split(',').filter((s) => s.trim());
+  if (!list.length) throw badRequest(`${field} must be a non-empty array of tag ids`);
+  if (list.length > MAX_TAG_IDS) throw badRequest(`${field}: at most ${MAX_TAG_IDS} tags`);
+  const ids = list.map(Number);
+  if (ids.some((id) => !Number.isInteger(id) || id <= 0)) throw badRequest(`${field} must be tag ids`);
+  return [...new Set(ids)];
+}
+
+/**
+ * The owner's tags with these ids.
+ * @returns {Promise<{ ok: boolean, reason?: string, tags?: object[], missing?: number[] }>}
+ *   reason: tag_not_found (some id isn't one of the owner's tags)
+ */
+async function findOwnerTags(ownerId, tagIds) {
+  const tags = await prisma.tag.findMany({
+    where: { ownerId, id: { in: tagIds } },
+    select: { id: true, name: true }
+  });
+  const missing = tagIds.filter((id) => !tags.some((t) => t.id === id));
+  if (missing.length) return { ok: false, reason: 'tag_not_found', missing };
+  return { ok: true, tags };
+}
+
+/**
+ * Tag contacts (already tagged pairs are left as is).
+ * @returns {Promise<number[]>} ids of the contacts that got at least one new tag
+ */
+async function addTagsToContacts(tagIds, contactIds) {
+  if (!tagIds.length || !contactIds.length) return [];
+  const current = await prisma.contactTag.findMany({
+    where: { tagId: { in: tagIds }, contactId: { in: contactIds } },
+    select: { tagId: true, contactId: true }
+  });
+  const has = new Set(current.map((ct) => `${ct.tagId}:${ct.contactId}`));
+  const data = [];
+  for (const contactId of contactIds) {
+    for (const tagId of tagIds) {
+      if (!has.has(`${tagId}:${contactId}`)) data.push({ tagId, contactId });
+    }
+  }
+  if (!data.length) return [];
+  await prisma.contactTag.createMany({ data, skipDuplicates: true });
+  return [...new Set(data.map((d) => d.contactId))];
+}
+
+/**
+ * Untag contacts.
+ * @returns {Promise<number[]>} ids of the contacts that lost at least one tag
+ */
+async function removeTagsFromContacts(tagIds, contactIds) {
+  if (!tagIds.length || !contactIds.length) return [];
+  const current = await prisma.contactTag.findMany({
+    where: { tagId: { in: tagIds }, contactId: { in: contactIds } },
+    select: { id: true, contactId: true }
+  });
+  if (!current.length) return [];
+  await prisma.contactTag.deleteMany({ where: { id: { in: current.map((ct) => ct.id) } } });
+  return [...new Set(current.map((ct) => ct.contactId))];
+}
+
+/** { ..., tags: [{ tag }] } from CONTACT_TAGS_SELECT → { ..., tags: [{ id, name }] } */
+function flattenTags(contact) {
+  if (!contact || !Array.isArray(contact.tags)) return contact;
+  return { ...contact, tags: contact.tags.map((ct) => ct.tag) };
+}
+
+// Segment rules on a tag: { field: 'tag', value: [ids] } anywhere in the definition
+function definitionUsesTag(node, tagId) {
+  if (!node || typeof node !== 'object') return false;
+  if (Array.isArray(node.rules)) return node.rules.some((r) => definitionUsesTag(r, tagId));
+  return node.field === 'tag' && Array.isArray(node.value) && node.value.map(Number).includes(tagId);
+}
+
+/** The owner's segments with a rule on the tag. */
+async function segmentsUsingTag(ownerId, tagId) {
+  const segments = await prisma.segment.findMany({
+    where: { ownerId },
+    select: { id: true, name: true, definition: true }
+  });
+  return segments
+    .filter((s) => definitionUsesTag(s.definition, tagId))
+    .map(({ id, name }) => ({ id, name }));
+}
+
+module.exports = {
+  CONTACT_TAGS_SELECT,
+  normalizeTagName,
+  parseTagIds,
+  findOwnerTags,
+  addTagsToContacts,
+  removeTagsFromContacts,
+  flattenTags,
+  segmentsUsingTag,
+};
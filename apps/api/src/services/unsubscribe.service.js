@@ -0,0 +1,41 @@
+// apps/api/src/services/unsubscribe.service.js
+const prisma = require('../lib/prisma');
+const { sha256Hex } = require('../lib/messageLinks');
+const { SOURCES, recordContactEvent } = require('./contactEvents.service');
+
+/**
+ * Resolve a raw opt-out token to a contact and unsubscribe it (idempotent).
+ * Accepts both kinds of token we hand out:
+ *  - the contact-level token (Contact.unsubscribeTokenHash)
+ *  - the per-message token embedded in SMS links (CampaignMessage.unsubscribeTokenHash)
+ *
+ * @returns {Promise<{ ok: true, unsubscribed: boolean }>} never reveals whether the token exists
+ */
+exports.unsubscribeByToken = async (rawToken) => {
+  const hash = sha256Hex(String(rawToken));
+
+  let target = null;
+  const contact = await prisma.contact.findFirst({
+    where: { unsubscribeTokenHash: hash },
+    select: { id: true, ownerId: true }
+  });
+  if (contact) {
+    target = { contactId: contact.id, ownerId: contact.ownerId, messageId: null };
+  } else {
+    const msg = await prisma.campaignMessage.findFirst({
+      where: { unsubscribeTokenHash: hash },
+      select: { id: true, contactId: true, ownerId: true }
+    });
+    if (msg) target = { contactId: msg.contactId, ownerId: msg.ownerId, messageId: msg.id };
+  }
+  if (!target) return { ok: true, unsubscribed: false };
+
+  const r = await prisma.contact.updateMany({
+    where: { id: target.contactId, isSubscribed: true },
+    data: { isSubscribed: false, unsubscribedAt: new Date() }
+  });
+  if (r.count > 0) {
+    await recordContactEvent({ ...target, type: 'unsubscribed', source: SOURCES.LINK });
+  }
+  return { ok: true, unsubscribed: r.count > 0 };
+};
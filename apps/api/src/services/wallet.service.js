@@ -1,6 +1,19 @@
 // apps/api/src/services/wallet.service.js
 const prisma = require('../lib/prisma');
 
+/**
+ * Credits model:
+ *   balance  = spendable credits
+ *   reserved = credits held for messages whose outcome is not known yet
+ *
+ *   reserve  balance  -> reserved   (enqueue)
+ *   settle   reserved -> spent      (delivered)
+ *   release  reserved -> balance    (failed, cancelled)
+ *
+ * Every change locks the owner's wallet row (SELECT ... FOR UPDATE) and
+ * appends a CreditTransaction in the same database transaction.
+ */
+
 /**
  * Ensure a wallet row exists for the owner. Returns wallet.
  */
@@ -13,7 +26,7 @@ exports.ensureWallet = async (ownerId) => {
 };
 
 /**
- * Get current balance (ensures wallet exists).
+ * Get current (spendable) balance (ensures wallet exists).
  */
 exports.getBalance = async (ownerId) => {
   const w = await exports.ensureWallet(ownerId);
@@ -21,66 +34,187 @@ exports.getBalance = async (ownerId) => {
 };
 
 /**
- * Internal helper to append a transaction & update wallet balance atomically.
+ * Spendable + reserved credits (ensures wallet exists).
  */
-async function appendTxnAndUpdate(ownerId, delta, type, { reason, campaignId, messageId, meta } = {}) {
-  return prisma.$transaction(async (tx) => {
-    const wallet = await tx.wallet.upsert({
-      where: { ownerId },
-      update: {},
-      create: { ownerId, balance: 0 },
-      select: { id: true, balance: true }
-    });
+exports.getWallet = async (ownerId) => {
+  const w = await exports.ensureWallet(ownerId);
+  return { balance: w.balance, reserved: w.reserved };
+};
 
-    const newBalance = wallet.balance + delta;
-    if (newBalance < 0) {
-      throw new Error('INSUFFICIENT_CREDITS');
-    }
+// Run fn in the caller's transaction, or in a new one
+function inTx(tx, fn) {
+  return tx ? fn(tx) : prisma.$transaction(fn);
+}
 
-    // Update wallet
-    await tx.wallet.update({
-      where: { ownerId },
-      data: { balance: newBalance }
-    });
+function insufficientCredits() {
+  const err = new Error('INSUFFICIENT_CREDITS');
+  err.status = 402;
+  return err;
+}
 
-    // Insert transaction
-    const txn = await tx.creditTransaction.create({
-      data: {
-        ownerId,
-        type,
-        amount: Math.abs(delta),         // always positive in record
-        balanceAfter: newBalance,
-        reason: reason || null,
-        campaignId: campaignId || null,
-        messageId: messageId || null,
-        meta: meta || undefined
-      }
-    });
+/**
+ * Lock the owner's wallet row for the rest of the transaction.
+ * Concurrent reservations/settlements for the same owner queue up here.
+ */
+async function lockWallet(tx, ownerId) {
+  await tx.wallet.upsert({
+    where: { ownerId },
+    update: {},
+    create: { ownerId, balance: 0 }
+  });
+  const rows = await tx.$queryRaw`
+    SELECT "id", "balance", "reserved" FROM "public"."Wallet"
+    WHERE "ownerId" = ${ownerId}
+    FOR UPDATE`;
+  return rows[0];
+}
 
-    return { balance: newBalance, txn };
+/**
+ * Internal helper: apply deltas to a locked wallet and append the transaction.
+ */
+async function applyLocked(tx, ownerId, { balanceDelta = 0, reservedDelta = 0 }, type, amount, opts = {}) {
+  const wallet = await lockWallet(tx, ownerId);
+
+  const newBalance = wallet.balance + balanceDelta;
+  const newReserved = wallet.reserved + reservedDelta;
+  if (newBalance < 0) throw insufficientCredits();
+  if (newReserved < 0) throw new Error('RESERVATION_UNDERFLOW');
+
+  await tx.wallet.update({
+    where: { ownerId },
+    data: { balance: newBalance, reserved: newReserved }
   });
+
+  const txn = await tx.creditTransaction.create({
+    data: {
+      ownerId,
+      type,
+      amount,                           // always positive in record
+      balanceAfter: newBalance,
+      reservedAfter: reservedDelta !== 0 ? newReserved : null,
+      reason: opts.reason || null,
+      campaignId: opts.campaignId || null,
+      messageId: opts.messageId || null,
+      meta: opts.meta || undefined
+    }
+  });
+
+  return { balance: newBalance, reserved: newReserved, txn };
+}
+
+function appendTxnAndUpdate(ownerId, delta, type, opts = {}, tx) {
+  return inTx(tx, (t) => applyLocked(t, ownerId, { balanceDelta: delta }, type, Math.abs(delta), opts));
+}
+
+function assertAmount(amount) {
+  if (!Number.isInteger(amount) || amount <= 0) throw new Error('INVALID_AMOUNT');
 }
 
 /**
  * Credit (top-up/purchase/admin grant). Positive amount.
  */
-exports.credit = async (ownerId, amount, opts = {}) => {
-  if (!Number.isInteger(amount) || amount <= 0) throw new Error('INVALID_AMOUNT');
-  return appendTxnAndUpdate(ownerId, +amount, 'credit', opts);
+exports.credit = async (ownerId, amount, opts = {}, tx) => {
+  assertAmount(amount);
+  return appendTxnAndUpdate(ownerId, +amount, 'credit', opts, tx);
 };
 
 /**
  * Debit (consume). Positive amount. Throws on insufficient credits.
  */
-exports.debit = async (ownerId, amount, opts = {}) => {
-  if (!Number.isInteger(amount) || amount <= 0) throw new Error('INVALID_AMOUNT');
-  return appendTxnAndUpdate(ownerId, -amount, 'debit', opts);
+exports.debit = async (ownerId, amount, opts = {}, tx) => {
+  assertAmount(amount);
+  return appendTxnAndUpdate(ownerId, -amount, 'debit', opts, tx);
 };
 
 /**
  * Refund (give back). Positive amount.
  */
-exports.refund = async (ownerId, amount, opts = {}) => {
-  if (!Number.isInteger(amount) || amount <= 0) throw new Error('INVALID_AMOUNT');
-  return appendTxnAndUpdate(ownerId, +amount, 'refund', opts);
+exports.refund = async (ownerId, amount, opts = {}, tx) => {
+  assertAmount(amount);
+  return appendTxnAndUpdate(ownerId, +amount, 'refund', opts, tx);
+};
+
+/**
+ * Hold credits for messages about to be queued. Throws (status 402) when the
+ * spendable balance is too low. Pass `tx` to reserve in the same transaction
+ * that creates the messages.
+ */
+exports.reserve = async (ownerId, amount, opts = {}, tx) => {
+  assertAmount(amount);
+  return inTx(tx, (t) => applyLocked(t, ownerId, { balanceDelta: -amount, reservedDelta: +amount }, 'reserve', amount, opts));
+};
+
+/**
+ * Close the reservations of some messages:
+ *   outcome 'settle'  → credits are spent (delivered)
+ *   outcome 'release' → credits go back to the balance (failed, cancelled)
+ *
+ * Only messages still in billingStatus 'reserved' are touched, so calling it
+ * twice for the same message (e.g. a repeated DLR) is a no-op.
+ * Records one CreditTransaction per call (messageId set for single messages).
+ */
+async function closeReservations(ownerId, messageIds, outcome, opts = {}, tx) {
+  if (!messageIds?.length) return { count: 0, credits: 0 };
+
+  return inTx(tx, async (t) => {
+    // Lock first: every billing change for this owner is serialized here
+    await lockWallet(t, ownerId);
+
+    const rows = await t.campaignMessage.findMany({
+      where: { ownerId, id: { in: messageIds }, billingStatus: 'reserved' },
+      select: { id: true, credits: true }
+    });
+    if (!rows.length) return { count: 0, credits: 0 };
+
+    await t.campaignMessage.updateMany({
+      where: { id: { in: rows.map((r) => r.id) }, billingStatus: 'reserved' },
+      data: { billingStatus: outcome === 'settle' ? 'settled' : 'released' }
+    });
+
+    const credits = rows.reduce((acc, r) => acc + r.credits, 0);
+    if (credits > 0) {
+      const deltas = outcome === 'settle'
+        ? { reservedDelta: -credits }
+        : { reservedDelta: -credits, balanceDelta: +credits };
+      await applyLocked(t, ownerId, deltas, outcome, credits, {
+        ...opts,
+        messageId: rows.length === 1 ? rows[0].id : opts.messageId,
+        meta: { ...(opts.meta || {}), messages: rows.length }
+      });
+    }
+
+    return { count: rows.length, credits };
+  });
+}
+
+exports.settleMessages = (ownerId, messageIds, opts, tx) =>
+  closeReservations(ownerId, messageIds, 'settle', opts, tx);
+
+exports.releaseMessages = (ownerId, messageIds, opts, tx) =>
+  closeReservations(ownerId, messageIds, 'release', opts, tx);
+
+/**
+ * Settle reservations of messages sent before `olderThan` that never got a
+ * DLR — the provider charges for them either way. Returns credits settled.
+ */
+exports.settleUnconfirmed = async (olderThan, { limit = 5000 } = {}) => {
+  const rows = await prisma.campaignMessage.findMany({
+    where: { billingStatus: 'reserved', status: 'sent', sentAt: { lt: olderThan } },
+    select: { id: true, ownerId: true },
+    orderBy: { id: 'asc' },
+    take: limit
+  });
+
+  const byOwner = new Map();
+  for (const r of rows) {
+    if (!byOwner.has(r.ownerId)) byOwner.set(r.ownerId, []);
+    byOwner.get(r.ownerId).push(r.id);
+  }
+
+  let credits = 0;
+  for (const [ownerId, ids] of byOwner) {
+    const r = await exports.settleMessages(ownerId, ids, { reason: 'settle:no_dlr' });
+    credits += r.credits;
+  }
+  return credits;
 };
@@ -0,0 +1,77 @@
+// apps/worker/src/contacts.worker.js
+require('dotenv').config();
+
+if (process.env.QUEUE_DISABLED === '1') {
+  console.warn('[ContactsWorker] Disabled via QUEUE_DISABLED=1');
+  process.exit(0);
+}
+
+const { Worker } = require('bullmq');
+const IORedis = require('ioredis');
+const {
+  IMPORT_JOB_NAME,
+  runContactImport,
+  markContactImportFailed,
+} = require('../../api/src/services/contactImport.service');
+const {
+  BULK_JOB_NAME,
+  runBulkOperation,
+  markBulkOperationFailed,
+} = require('../../api/src/services/contactBulk.service');
+
+const url = process.env.REDIS_URL || 'redis://localhost:6379';
+const connection = new IORedis(url, { maxRetriesPerRequest: null });
+connection.on('error', (e) => console.warn('[Redis] contacts connection error:', e.message));
+
+const concurrency = Number(process.env.CONTACTS_CONCURRENCY || 1);
+
+function isLastAttempt(job) {
+  return job.attemptsMade + 1 >= (job.opts?.attempts || 1);
+}
+
+async function handleImport(job) {
+  const importId = Number(job.data?.importId);
+  if (!importId) return;
+
+  try {
+    const result = await runContactImport(importId);
+    if (result.ok) {
+      const { created, updated, skipped, rejected } = result.import;
+      console.log('[Contacts] import', importId, 'done:', { created, updated, skipped, rejected });
+    }
+    return result;
+  } catch (e) {
+    // Earlier attempts resume from the saved progress; the last one gives up
+    if (isLastAttempt(job)) await markContactImportFailed(importId, e);
+    throw e;
+  }
+}
+
+async function handleBulk(job) {
+  const operationId = Number(job.data?.operationId);
+  if (!operationId) return;
+
+  try {
+    const result = await runBulkOperation(operationId);
+    if (result.ok) {
+      const { action, processed, affected } = result.operation;
+      console.log('[Contacts] bulk', operationId, action, 'done:', { processed, affected });
+    }
+    return result;
+  } catch (e) {
+    if (isLastAttempt(job)) await markBulkOperationFailed(operationId, e);
+    throw e;
+  }
+}
+
+const worker = new Worker(
+  'contactsQueue',
+  async (job) => {
+    if (job.name === IMPORT_JOB_NAME) return handleImport(job);
+    if (job.name === BULK_JOB_NAME) return handleBulk(job);
+  },
+  { connection, concurrency }
+);
+
+worker.on('active', (job) => console.log(`[Contacts] processing ${job.name} ${job.id}`));
+worker.on('failed', (job, err) => console.error(`[Contacts] failed ${job?.name} ${job?.id}:`, err?.message));
@@ -6,22 +6,64 @@ if (process.env.QUEUE_DISABLED === '1') {
   process.exit(0);
 }
 
-const { Worker } = require('bullmq');
+const { Worker, DelayedError } = require('bullmq');
 const IORedis = require('ioredis');
 const { enqueueCampaign } = require('../../api/src/services/campaignEnqueue.service');
+const { reconcileScheduledCampaigns } = require('../../api/src/services/campaignSchedule.service');
+const { decideAbWinner } = require('../../api/src/services/campaignAbTest.service');
+const { RECURRENCE_JOB_NAME, runRecurringOccurrence } = require('../../api/src/services/campaignRecurrence.service');
+const { settleUnconfirmed } = require('../../api/src/services/wallet.service');
+const { failStaleClaims } = require('../../api/src/services/campaignFinalizer.service');
 
 const url = process.env.REDIS_URL || 'redis://localhost:6379';
 const connection = new IORedis(url, { maxRetriesPerRequest: null });
 connection.on('error', (e) => console.warn('[Redis] scheduler connection error:', e.message));
 
 const concurrency = Number(process.env.SCHEDULER_CONCURRENCY || 2);
+const reconcileEveryMs = Number(process.env.SCHEDULER_RECONCILE_INTERVAL_MS || 5 * 60 * 1000);
+const settleAfterMs = Number(process.env.DLR_SETTLE_AFTER_HOURS || 72) * 60 * 60 * 1000;
+const staleClaimMs = Number(process.env.SENDING_STALE_AFTER_MINUTES || 15) * 60 * 1000;
+const abPausedRecheckMs = Number(process.env.AB_PAUSED_RECHECK_MS || 15 * 60 * 1000);
+
+// A/B test due: pick the winner, then build the remainder of the audience with it
+async function evaluateAbTest(job, token, campaignId) {
+  const decision = await decideAbWinner(campaignId);
+  if (!decision.ok) {
+    // Paused mid-test: hold the job and evaluate once the campaign runs again
+    if (decision.reason === 'paused') {
+      await job.moveToDelayed(Date.now() + abPausedRecheckMs, token);
+      throw new DelayedError();
+    }
+    console.warn('[Scheduler] A/B evaluation skipped:', campaignId, decision.reason);
+    return decision;
+  }
+
+  console.log('[Scheduler] A/B winner for campaign', campaignId, 'variant', decision.winner.label);
+  const result = await enqueueCampaign(campaignId);
+  if (!result.ok) console.warn('[Scheduler] A/B remainder enqueue result:', result);
+  return { ...result, winner: decision.winner };
+}
+
+// Recurring campaign: the job scheduler fired for one occurrence → child campaign
+async function runRecurring(job, campaignId) {
+  const firedAt = new Date(job.timestamp + (job.delay || 0));
+  const result = await runRecurringOccurrence(campaignId, firedAt);
+  if (result.ok) {
+    console.log('[Scheduler] Recurring campaign', campaignId, 'occurrence', result.childId, 'jobs:', result.enqueuedJobs);
+  } else {
+    console.warn('[Scheduler] Recurring campaign', campaignId, 'result:', result);
+  }
+  return result;
+}
 
 const worker = new Worker(
   'schedulerQueue',
-  async (job) => {
-    if (job.name !== 'enqueueCampaign') return;
+  async (job, token) => {
     const { campaignId } = job.data || {};
     if (!campaignId) return;
+    if (job.name === 'evaluateAbTest') return evaluateAbTest(job, token, Number(campaignId));
+    if (job.name === RECURRENCE_JOB_NAME) return runRecurring(job, Number(campaignId));
+    if (job.name !== 'enqueueCampaign') return;
 
     const result = await enqueueCampaign(Number(campaignId));
     if (!result.ok) {
@@ -29,6 +71,7 @@ const worker = new Worker(
     } else {
       console.log('[Scheduler] Enqueued campaign', campaignId, 'jobs:', result.enqueuedJobs);
     }
+    return result;
   },
   { connection, concurrency }
 );
@@ -36,3 +79,34 @@ const worker = new Worker(
 worker.on('active', (job) => console.log(`[Scheduler] processing ${job.name} ${job.id}`));
 worker.on('completed', (job) => console.log(`[Scheduler] completed ${job.name} ${job.id}`));
 worker.on('failed', (job, err) => console.error(`[Scheduler] failed ${job.name} ${job.id}:`, err?.message));
+
+// Recreate lost schedule jobs (Redis flush, QUEUE_DISABLED windows, ...)
+async function reconcile() {
+  try {
+    const report = await reconcileScheduledCampaigns();
+    if (report.fixed?.length || report.orphansRemoved?.length) {
+      console.warn('[Scheduler] reconciliation fixed:', JSON.stringify(report));
+    }
+  } catch (e) {
+    console.error('[Scheduler] reconciliation failed:', e.message);
+  }
+
+  // Sent messages whose DLR never arrived still hold reserved credits
+  try {
+    const settled = await settleUnconfirmed(new Date(Date.now() - settleAfterMs));
+    if (settled) console.log('[Scheduler] settled credits without DLR:', settled);
+  } catch (e) {
+    console.error('[Scheduler] settling unconfirmed messages failed:', e.message);
+  }
+
+  // Messages claimed by a worker that never finished the send
+  try {
+    const failed = await failStaleClaims(new Date(Date.now() - staleClaimMs));
+    if (failed) console.warn('[Scheduler] failed stale sending claims:', failed);
+  } catch (e) {
+    console.error('[Scheduler] failing stale sending claims failed:', e.message);
+  }
+}
+
+reconcile();
+setInterval(reconcile, reconcileEveryMs);
@@ -6,38 +6,39 @@ if (process.env.QUEUE_DISABLED === '1') {
   process.exit(0);
 }
 
-const { Worker } = require('bullmq');
+const { Worker, DelayedError } = require('bullmq');
 const IORedis = require('ioredis');
 const prisma = require('../../api/src/lib/prisma');
 const { sendSingle } = require('../../api/src/services/mitto.service');
-const { refund } = require('../../api/src/services/wallet.service');
+const { releaseMessages } = require('../../api/src/services/wallet.service');
+const { classifySendError, isTransient } = require('../../api/src/lib/sendErrors');
+const { nextWindowStart } = require('../../api/src/lib/sendWindow');
 
 const url = process.env.REDIS_URL || 'redis://localhost:6379';
 const connection = new IORedis(url, { maxRetriesPerRequest: null });
 connection.on('error', (e) => console.warn('[Redis] connection error:', e.message));
 
 const concurrency = Number(process.env.WORKER_CONCURRENCY || 5);
+const pauseRecheckMs = Number(process.env.PAUSE_RECHECK_MS || 30000);
 
-function isRetryable(err) {
-  const status = err?.status;
-  if (!status) return true;        // network/timeout
-  if (status >= 500) return true;  // provider/server error
-  if (status === 429) return true; // rate limited
-  return false;                    // 4xx hard fail
+// Transient failures are retried by BullMQ until the job runs out of attempts
+function isLastAttempt(job) {
+  return job.attemptsMade + 1 >= (job.opts?.attempts || 1);
 }
 
 /**
- * If no more messages are in 'queued' for this campaign, mark it completed.
+ * If no more messages are 'queued' (or in flight) for this campaign, mark it completed.
  * This runs after transitioning a message to 'sent' or 'failed'.
  */
 async function maybeCompleteCampaign(campaignId) {
   if (!campaignId) return;
   const remaining = await prisma.campaignMessage.count({
-    where: { campaignId, status: 'queued' }
+    where: { campaignId, status: { in: ['queued', 'sending'] } }
   });
   if (remaining === 0) {
-    await prisma.campaign.update({
-      where: { id: campaignId },
+    // Only a running, fully built campaign completes; paused/cancelled keep their status.
+    await prisma.campaign.updateMany({
+      where: { id: campaignId, status: 'sending', enqueuedAt: { not: null }, abPhase: { not: 'testing' } },
       data: { status: 'completed', finishedAt: new Date() }
     });
   }
@@ -45,20 +46,55 @@ async function maybeCompleteCampaign(campaignId) {
 
 const worker = new Worker(
   'smsQueue',
-  async (job) => {
+  async (job, token) => {
     const { messageId } = job.data;
 
     const msg = await prisma.campaignMessage.findUnique({
       where: { id: messageId },
       include: {
-        campaign: { select: { id: true, ownerId: true, createdById: true } },
+        campaign: {
+          select: {
+            id: true, ownerId: true, createdById: true, status: true,
+            owner: { select: { sendWindow: true } }
+          }
+        },
         contact:  { select: { id: true, phone: true, unsubscribeTokenHash: true } }
       }
     });
-    if (!msg) return;
+    // Jobs are published with deterministic ids, but a message may already
+    // have been handled by an earlier attempt — never send it twice.
+    if (!msg || msg.status !== 'queued') return;
+    if (msg.campaign.status === 'cancelled') return;
+
+    // Paused campaign: hold the job and look again later (message stays queued)
+    if (msg.campaign.status === 'paused') {
+      await job.moveToDelayed(Date.now() + pauseRecheckMs, token);
+      throw new DelayedError();
+    }
+
+    // Outside the owner's send window: hold the job until the window opens
+    const window = msg.campaign.owner?.sendWindow;
+    if (window) {
+      const now = new Date();
+      const opensAt = nextWindowStart(window, now);
+      if (opensAt && opensAt > now) {
+        await job.moveToDelayed(opensAt.getTime(), token);
+        throw new DelayedError();
+      }
+    }
+
+    // Claim the message before calling the provider. A cancel that got here
+    // first has already moved it to 'cancelled' (and released its credits),
+    // and a concurrent attempt on the same message loses the claim. A claim
+    // left behind by a crash is failed later by the scheduler (failStaleClaims).
+    const claim = await prisma.campaignMessage.updateMany({
+      where: { id: msg.id, status: 'queued' },
+      data: { status: 'sending', claimedAt: new Date() }
+    });
+    if (claim.count === 0) return;
 
     try {
-      // If you build final text (redeem/unsub links), do it here.
+      // msg.text is final: offer + opt-out links were rendered at enqueue
       const resp = await sendSingle({
         userId: msg.campaign.createdById,
         destination: msg.to, // NOTE: keep as 'destination' to match your service signature
@@ -67,8 +103,8 @@ const worker = new Worker(
 
       const providerId = resp?.messageId || resp?.messages?.[0]?.messageId || null;
 
-      await prisma.campaignMessage.update({
-        where: { id: msg.id },
+      await prisma.campaignMessage.updateMany({
+        where: { id: msg.id, status: 'sending' },
         data: {
           providerMessageId: providerId,
           sentAt: new Date(),
@@ -79,28 +115,32 @@ const worker = new Worker(
       // Try campaign auto-complete (no queued left)
       await maybeCompleteCampaign(msg.campaign.id);
     } catch (e) {
-      const retryable = isRetryable(e);
+      const errorClass = classifySendError(e);
+      const retryable = isTransient(errorClass) && !isLastAttempt(job);
 
-      await prisma.campaignMessage.update({
-        where: { id: msg.id },
+      // A retryable failure hands the message back ('queued') for the next attempt
+      await prisma.campaignMessage.updateMany({
+        where: { id: msg.id, status: 'sending' },
         data: {
           failedAt: retryable ? null : new Date(),
           status: retryable ? 'queued' : 'failed',
-          error: e?.message?.slice(0, 500) || 'send_failed'
+          error: e?.message?.slice(0, 500) || 'send_failed',
+          errorClass
         }
       });
 
-      // Hard fail → refund 1 credit
+      // Terminal failure (hard fail or attempts exhausted) → release the
+      // credits reserved for this message; it can be retried later via
+      // POST /campaigns/:id/retry-failed
       if (!retryable) {
         try {
-          await refund(msg.campaign.ownerId, 1, {
+          await releaseMessages(msg.campaign.ownerId, [msg.id], {
             reason: `hardfail:message:${msg.id}`,
             campaignId: msg.campaign.id,
-            messageId: msg.id,
-            meta: { error: e.message }
+            meta: { error: e.message, errorClass }
           });
         } catch (rf) {
-          console.warn('[Wallet] refund failed:', rf?.message);
+          console.warn('[Wallet] release failed:', rf?.message);
         }
         // After a terminal failure, attempt campaign auto-complete
         await maybeCompleteCampaign(msg.campaign.id);
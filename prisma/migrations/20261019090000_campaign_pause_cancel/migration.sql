@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "public"."CampaignStatus" ADD VALUE 'cancelled';
+
+-- AlterEnum
+ALTER TYPE "public"."MessageStatus" ADD VALUE 'cancelled';
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."CampaignMessage" ADD COLUMN     "unsubscribeTokenHash" VARCHAR(64);
+
+-- CreateIndex
+CREATE INDEX "CampaignMessage_unsubscribeTokenHash_idx" ON "public"."CampaignMessage"("unsubscribeTokenHash");
@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "public"."AudienceMode" AS ENUM ('include', 'exclude');
+
+-- CreateTable
+CREATE TABLE "public"."CampaignList" (
+    "id" SERIAL NOT NULL,
+    "campaignId" INTEGER NOT NULL,
+    "listId" INTEGER NOT NULL,
+    "mode" "public"."AudienceMode" NOT NULL DEFAULT 'include',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CampaignList_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CampaignList_listId_idx" ON "public"."CampaignList"("listId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CampaignList_campaignId_listId_key" ON "public"."CampaignList"("campaignId", "listId");
+
+-- AddForeignKey
+ALTER TABLE "public"."CampaignList" ADD CONSTRAINT "CampaignList_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "public"."Campaign"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."CampaignList" ADD CONSTRAINT "CampaignList_listId_fkey" FOREIGN KEY ("listId") REFERENCES "public"."List"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: existing single-list campaigns become one include row
+INSERT INTO "public"."CampaignList" ("campaignId", "listId", "mode")
+SELECT "id", "listId", 'include' FROM "public"."Campaign" WHERE "listId" IS NOT NULL;
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "public"."Campaign" ADD COLUMN     "segmentId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."Segment" (
+    "id" SERIAL NOT NULL,
+    "ownerId" INTEGER NOT NULL,
+    "name" VARCHAR(160) NOT NULL,
+    "description" VARCHAR(400),
+    "definition" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Segment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Segment_ownerId_idx" ON "public"."Segment"("ownerId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Segment_ownerId_name_key" ON "public"."Segment"("ownerId", "name");
+
+-- CreateIndex
+CREATE INDEX "Campaign_segmentId_idx" ON "public"."Campaign"("segmentId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Campaign" ADD CONSTRAINT "Campaign_segmentId_fkey" FOREIGN KEY ("segmentId") REFERENCES "public"."Segment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Segment" ADD CONSTRAINT "Segment_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "public"."MessageStatus" ADD VALUE 'skipped';
+
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "freqCapDays" INTEGER,
+ADD COLUMN     "freqCapMax" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."CampaignMessage" ADD COLUMN     "skipReason" VARCHAR(40);
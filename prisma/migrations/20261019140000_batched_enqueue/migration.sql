@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "public"."Campaign" ADD COLUMN     "enqueueCursor" INTEGER,
+ADD COLUMN     "enqueueHeartbeatAt" TIMESTAMP(3),
+ADD COLUMN     "enqueueProcessed" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "enqueueTotal" INTEGER,
+ADD COLUMN     "enqueuedAt" TIMESTAMP(3);
+
+-- De-duplicate before the unique index: nothing used to prevent two messages
+-- for the same contact in one campaign. Per (campaignId, contactId) keep the
+-- redeemed message if there is one, else the oldest.
+CREATE TEMP TABLE "_message_dupes" AS
+SELECT "id" FROM (
+  SELECT m."id",
+         ROW_NUMBER() OVER (
+           PARTITION BY m."campaignId", m."contactId"
+           ORDER BY (r."messageId" IS NULL), m."id"
+         ) AS "rn"
+  FROM "public"."CampaignMessage" m
+  LEFT JOIN "public"."Redemption" r ON r."messageId" = m."id"
+) ranked
+WHERE "rn" > 1;
+
+DELETE FROM "public"."Redemption" WHERE "messageId" IN (SELECT "id" FROM "_message_dupes");
+DELETE FROM "public"."CampaignMessage" WHERE "id" IN (SELECT "id" FROM "_message_dupes");
+DROP TABLE "_message_dupes";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CampaignMessage_campaignId_contactId_key" ON "public"."CampaignMessage"("campaignId", "contactId");
+
+-- Backfill: campaigns that already went out were built in one go
+UPDATE "public"."Campaign"
+SET "enqueuedAt" = COALESCE("startedAt", CURRENT_TIMESTAMP)
+WHERE "status" NOT IN ('draft', 'scheduled');
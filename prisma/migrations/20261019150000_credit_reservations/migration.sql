@@ -0,0 +1,17 @@
+-- CreateEnum
+CREATE TYPE "public"."BillingStatus" AS ENUM ('none', 'reserved', 'settled', 'released');
+
+-- AlterEnum
+ALTER TYPE "public"."CreditTxnType" ADD VALUE 'reserve';
+ALTER TYPE "public"."CreditTxnType" ADD VALUE 'settle';
+ALTER TYPE "public"."CreditTxnType" ADD VALUE 'release';
+
+-- AlterTable
+ALTER TABLE "public"."Wallet" ADD COLUMN     "reserved" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."CreditTransaction" ADD COLUMN     "reservedAfter" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."CampaignMessage" ADD COLUMN     "billingStatus" "public"."BillingStatus" NOT NULL DEFAULT 'none',
+ADD COLUMN     "credits" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "public"."CampaignMessage" ADD COLUMN     "errorClass" VARCHAR(40),
+ADD COLUMN     "lastRetriedAt" TIMESTAMP(3),
+ADD COLUMN     "retryCount" INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill: failures recorded by the DLR webhook
+UPDATE "public"."CampaignMessage"
+SET "errorClass" = 'dlr_failed'
+WHERE "status" = 'failed' AND "providerMessageId" IS NOT NULL;
@@ -0,0 +1,41 @@
+-- CreateEnum
+CREATE TYPE "public"."ContactEventType" AS ENUM ('subscribed', 'unsubscribed', 'list_added', 'list_removed', 'offer_visit', 'automation_sent');
+
+-- CreateTable
+CREATE TABLE "public"."ContactEvent" (
+    "id" SERIAL NOT NULL,
+    "ownerId" INTEGER NOT NULL,
+    "contactId" INTEGER NOT NULL,
+    "type" "public"."ContactEventType" NOT NULL,
+    "source" VARCHAR(40),
+    "listId" INTEGER,
+    "messageId" INTEGER,
+    "meta" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ContactEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ContactEvent_contactId_createdAt_idx" ON "public"."ContactEvent"("contactId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ContactEvent_ownerId_idx" ON "public"."ContactEvent"("ownerId");
+
+-- AddForeignKey
+ALTER TABLE "public"."ContactEvent" ADD CONSTRAINT "ContactEvent_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ContactEvent" ADD CONSTRAINT "ContactEvent_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "public"."Contact"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill what the existing tables already tell us (source unknown)
+INSERT INTO "public"."ContactEvent" ("ownerId", "contactId", "type", "createdAt", "meta")
+SELECT "ownerId", "id", 'unsubscribed', "unsubscribedAt", '{"backfilled": true}'::jsonb
+FROM "public"."Contact"
+WHERE "isSubscribed" = false AND "unsubscribedAt" IS NOT NULL;
+
+INSERT INTO "public"."ContactEvent" ("ownerId", "contactId", "type", "listId", "createdAt", "meta")
+SELECT l."ownerId", m."contactId", 'list_added', l."id", m."createdAt",
+       jsonb_build_object('listName', l."name", 'backfilled', true)
+FROM "public"."ListMembership" m
+JOIN "public"."List" l ON l."id" = m."listId";
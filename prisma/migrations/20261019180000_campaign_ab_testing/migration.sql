@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "public"."AbWinnerMetric" AS ENUM ('delivery', 'offer_visits', 'redemptions');
+
+-- CreateEnum
+CREATE TYPE "public"."AbPhase" AS ENUM ('none', 'testing', 'decided');
+
+-- AlterTable
+ALTER TABLE "public"."Campaign" ADD COLUMN     "abDecidedAt" TIMESTAMP(3),
+ADD COLUMN     "abEvalDelayMinutes" INTEGER,
+ADD COLUMN     "abEvaluateAt" TIMESTAMP(3),
+ADD COLUMN     "abPhase" "public"."AbPhase" NOT NULL DEFAULT 'none',
+ADD COLUMN     "abTestPercent" INTEGER,
+ADD COLUMN     "abWinnerMetric" "public"."AbWinnerMetric",
+ADD COLUMN     "abWinnerVariantId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."CampaignMessage" ADD COLUMN     "variantId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."CampaignVariant" (
+    "id" SERIAL NOT NULL,
+    "campaignId" INTEGER NOT NULL,
+    "label" VARCHAR(1) NOT NULL,
+    "templateId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CampaignVariant_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CampaignVariant_templateId_idx" ON "public"."CampaignVariant"("templateId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CampaignVariant_campaignId_label_key" ON "public"."CampaignVariant"("campaignId", "label");
+
+-- CreateIndex
+CREATE INDEX "CampaignMessage_variantId_idx" ON "public"."CampaignMessage"("variantId");
+
+-- AddForeignKey
+ALTER TABLE "public"."CampaignMessage" ADD CONSTRAINT "CampaignMessage_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "public"."CampaignVariant"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."CampaignVariant" ADD CONSTRAINT "CampaignVariant_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "public"."Campaign"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."CampaignVariant" ADD CONSTRAINT "CampaignVariant_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "public"."MessageTemplate"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- AlterEnum
+ALTER TYPE "public"."CampaignStatus" ADD VALUE 'recurring';
+
+-- AlterTable
+ALTER TABLE "public"."Campaign" ADD COLUMN     "occurrenceAt" TIMESTAMP(3),
+ADD COLUMN     "parentCampaignId" INTEGER,
+ADD COLUMN     "recurrenceCron" VARCHAR(120),
+ADD COLUMN     "recurrenceEndsAt" TIMESTAMP(3),
+ADD COLUMN     "recurrenceRule" VARCHAR(200),
+ADD COLUMN     "recurrenceSkips" TIMESTAMP(3)[],
+ADD COLUMN     "timezone" VARCHAR(64);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Campaign_parentCampaignId_occurrenceAt_key" ON "public"."Campaign"("parentCampaignId", "occurrenceAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."Campaign" ADD CONSTRAINT "Campaign_parentCampaignId_fkey" FOREIGN KEY ("parentCampaignId") REFERENCES "public"."Campaign"("id") ON DELETE SET NULL ON UPDATE CASCADE;
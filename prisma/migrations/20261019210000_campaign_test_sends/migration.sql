@@ -0,0 +1,38 @@
+-- CreateEnum
+CREATE TYPE "public"."TestMessageStatus" AS ENUM ('sent', 'failed');
+
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "seedNumbers" TEXT[];
+
+-- CreateTable
+CREATE TABLE "public"."CampaignTestMessage" (
+    "id" SERIAL NOT NULL,
+    "ownerId" INTEGER NOT NULL,
+    "campaignId" INTEGER NOT NULL,
+    "variantLabel" VARCHAR(1),
+    "sampleContactId" INTEGER,
+    "to" TEXT NOT NULL,
+    "text" TEXT NOT NULL,
+    "parts" INTEGER NOT NULL,
+    "credits" INTEGER NOT NULL,
+    "status" "public"."TestMessageStatus" NOT NULL,
+    "providerMessageId" TEXT,
+    "error" TEXT,
+    "errorClass" VARCHAR(40),
+    "sentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CampaignTestMessage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CampaignTestMessage_campaignId_createdAt_idx" ON "public"."CampaignTestMessage"("campaignId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "CampaignTestMessage_ownerId_idx" ON "public"."CampaignTestMessage"("ownerId");
+
+-- AddForeignKey
+ALTER TABLE "public"."CampaignTestMessage" ADD CONSTRAINT "CampaignTestMessage_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."CampaignTestMessage" ADD CONSTRAINT "CampaignTestMessage_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "public"."Campaign"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."Campaign" ADD COLUMN     "archivedAt" TIMESTAMP(3);
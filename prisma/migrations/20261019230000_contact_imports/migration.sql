@@ -0,0 +1,35 @@
+-- CreateEnum
+CREATE TYPE "public"."ContactImportStatus" AS ENUM ('uploaded', 'queued', 'running', 'completed', 'failed');
+
+-- CreateTable
+CREATE TABLE "public"."ContactImport" (
+    "id" SERIAL NOT NULL,
+    "ownerId" INTEGER NOT NULL,
+    "fileName" VARCHAR(255) NOT NULL,
+    "status" "public"."ContactImportStatus" NOT NULL DEFAULT 'uploaded',
+    "headers" JSONB NOT NULL,
+    "rows" JSONB NOT NULL,
+    "totalRows" INTEGER NOT NULL,
+    "mapping" JSONB,
+    "defaultCountry" VARCHAR(2) NOT NULL DEFAULT 'GR',
+    "updateExisting" BOOLEAN NOT NULL DEFAULT true,
+    "listId" INTEGER,
+    "processedRows" INTEGER NOT NULL DEFAULT 0,
+    "created" INTEGER NOT NULL DEFAULT 0,
+    "updated" INTEGER NOT NULL DEFAULT 0,
+    "skipped" INTEGER NOT NULL DEFAULT 0,
+    "rejected" INTEGER NOT NULL DEFAULT 0,
+    "errors" JSONB,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ContactImport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ContactImport_ownerId_createdAt_idx" ON "public"."ContactImport"("ownerId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."ContactImport" ADD CONSTRAINT "ContactImport_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
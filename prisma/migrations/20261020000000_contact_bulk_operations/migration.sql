@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "public"."ContactBulkStatus" AS ENUM ('queued', 'running', 'completed', 'failed');
+
+-- CreateTable
+CREATE TABLE "public"."ContactBulkOperation" (
+    "id" SERIAL NOT NULL,
+    "ownerId" INTEGER NOT NULL,
+    "action" VARCHAR(30) NOT NULL,
+    "params" JSONB,
+    "status" "public"."ContactBulkStatus" NOT NULL DEFAULT 'queued',
+    "contactIds" JSONB,
+    "filter" JSONB,
+    "maxContactId" INTEGER NOT NULL,
+    "total" INTEGER NOT NULL,
+    "processed" INTEGER NOT NULL DEFAULT 0,
+    "affected" INTEGER NOT NULL DEFAULT 0,
+    "lastContactId" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ContactBulkOperation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ContactBulkOperation_ownerId_createdAt_idx" ON "public"."ContactBulkOperation"("ownerId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."ContactBulkOperation" ADD CONSTRAINT "ContactBulkOperation_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "public"."ContactFieldType" AS ENUM ('text', 'number', 'date', 'boolean', 'enum');
+
+-- AlterTable
+ALTER TABLE "public"."Contact" ADD COLUMN     "customFields" JSONB;
+
+-- CreateTable
+CREATE TABLE "public"."ContactField" (
+    "id" SERIAL NOT NULL,
+    "ownerId" INTEGER NOT NULL,
+    "key" VARCHAR(40) NOT NULL,
+    "label" VARCHAR(120) NOT NULL,
+    "type" "public"."ContactFieldType" NOT NULL,
+    "options" TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ContactField_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ContactField_ownerId_key_key" ON "public"."ContactField"("ownerId", "key");
+
+-- AddForeignKey
+ALTER TABLE "public"."ContactField" ADD CONSTRAINT "ContactField_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
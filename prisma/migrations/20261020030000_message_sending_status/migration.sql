@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "public"."MessageStatus" ADD VALUE 'sending';
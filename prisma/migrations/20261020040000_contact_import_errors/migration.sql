@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "public"."ContactImportError" (
+    "id" SERIAL NOT NULL,
+    "importId" INTEGER NOT NULL,
+    "row" INTEGER NOT NULL,
+    "reason" VARCHAR(120) NOT NULL,
+
+    CONSTRAINT "ContactImportError_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ContactImportError_importId_row_key" ON "public"."ContactImportError"("importId", "row");
+
+-- AddForeignKey
+ALTER TABLE "public"."ContactImportError" ADD CONSTRAINT "ContactImportError_importId_fkey" FOREIGN KEY ("importId") REFERENCES "public"."ContactImport"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Move the per-row errors out of ContactImport.errors
+INSERT INTO "public"."ContactImportError" ("importId", "row", "reason")
+SELECT i."id", (e->>'row')::INTEGER, LEFT(e->>'reason', 120)
+FROM "public"."ContactImport" i, jsonb_array_elements(i."errors") e
+WHERE jsonb_typeof(i."errors") = 'array'
+ON CONFLICT DO NOTHING;
+
+-- AlterTable
+ALTER TABLE "public"."ContactImport" DROP COLUMN "errors";
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."CampaignMessage" ADD COLUMN     "claimedAt" TIMESTAMP(3);